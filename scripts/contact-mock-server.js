@@ -0,0 +1,128 @@
+// Local stand-in for the contact form endpoint
+//
+//   npm run mock:contact
+//   VITE_CONTACT_ENDPOINT=http://localhost:8787/api/contact npm run dev
+//
+// Accepts POST /api/contact with the same rules as the form, prints each
+// message and answers { ok: true }. Nothing is stored or mailed.
+//
+//   PORT=8787                port to listen on
+//   MOCK_CONTACT_DELAY=800   ms before answering, to see the pending state
+//   MOCK_CONTACT_FAIL=1      answer every message with 500
+
+import { createServer } from "node:http";
+import {
+  normalizeContactMessage,
+  validateContactMessage,
+} from "../src/utils/contactMessage.js";
+
+const PORT = Number(process.env.PORT) || 8787;
+const DELAY = Number(process.env.MOCK_CONTACT_DELAY ?? 800);
+const FAIL = process.env.MOCK_CONTACT_FAIL === "1";
+const MAX_BODY_BYTES = 16 * 1024;
+
+// The dev server runs on another port
+const CORS_HEADERS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "POST, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type, Accept",
+};
+
+const reply = (response, status, body, headers = {}) => {
+  response.writeHead(status, {
+    ...CORS_HEADERS,
+    "Content-Type": "application/json",
+    ...headers,
+  });
+  response.end(JSON.stringify(body));
+};
+
+class BodyTooLargeError extends Error {}
+
+// Rejects with BodyTooLargeError past MAX_BODY_BYTES. The rest of the body
+// is drained, not read, so the client still gets the answer
+const readBody = (request) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    const onData = (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        request.off("data", onData);
+        request.resume();
+        reject(new BodyTooLargeError("Body too large"));
+        return;
+      }
+      chunks.push(chunk);
+    };
+
+    request.on("data", onData);
+    request.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    request.on("error", reject);
+  });
+
+let received = 0;
+
+const server = createServer(async (request, response) => {
+  const { pathname } = new URL(request.url, `http://${request.headers.host}`);
+
+  if (request.method === "OPTIONS") {
+    response.writeHead(204, CORS_HEADERS);
+    response.end();
+    return;
+  }
+
+  if (pathname !== "/api/contact") {
+    reply(response, 404, { ok: false, error: "Not found" });
+    return;
+  }
+  if (request.method !== "POST") {
+    reply(response, 405, { ok: false, error: "Use POST" });
+    return;
+  }
+
+  let message;
+  try {
+    message = normalizeContactMessage(JSON.parse(await readBody(request)));
+  } catch (error) {
+    if (error instanceof BodyTooLargeError) {
+      reply(
+        response,
+        413,
+        { ok: false, error: "Message too large" },
+        { Connection: "close" }
+      );
+    } else {
+      reply(response, 400, { ok: false, error: "Expected a JSON body" });
+    }
+    return;
+  }
+
+  const errors = validateContactMessage(message);
+  if (Object.keys(errors).length > 0) {
+    reply(response, 422, { ok: false, errors });
+    return;
+  }
+
+  await new Promise((resolve) => setTimeout(resolve, DELAY));
+
+  if (FAIL) {
+    reply(response, 500, { ok: false, error: "Simulated failure" });
+    return;
+  }
+
+  received++;
+  console.log(
+    `\n✉ Message #${received} from ${message.name} <${message.email}>`
+  );
+  console.log(message.message);
+  reply(response, 200, { ok: true, id: received });
+});
+
+server.listen(PORT, () => {
+  console.log(
+    `Contact mock listening on http://localhost:${PORT}/api/contact`
+  );
+  if (FAIL) console.log("Every message will fail (MOCK_CONTACT_FAIL=1)");
+});
@@ -0,0 +1,32 @@
+// Reads the runtime content in assets/content from disk, through the same
+// ContentLoader the site fetches it with. Used by validate-content.js and
+// seo-plugin.js
+
+import { existsSync } from "node:fs";
+import { readFile } from "node:fs/promises";
+import ContentLoader from "../src/utils/ContentLoader.js";
+
+const ASSETS_DIR = new URL("../assets/", import.meta.url);
+
+// Serve "/content/..." requests from the assets folder
+const readFromDisk = async (url) => {
+  try {
+    const body = await readFile(new URL(`.${url}`, ASSETS_DIR));
+    return new Response(body);
+  } catch (error) {
+    return new Response(null, { status: 404 });
+  }
+};
+
+export const hasRuntimeContent = () =>
+  existsSync(new URL("content/index.json", ASSETS_DIR));
+
+// Resolves with { content, localeContent } like ContentLoader.load(), and
+// throws the same way when a file can't be read
+export const loadRuntimeContent = ({ fallback, localeCodes = [] }) =>
+  new ContentLoader({
+    fallback,
+    localeCodes,
+    baseUrl: "/",
+    fetcher: readFromDisk,
+  }).load();
@@ -0,0 +1,90 @@
+// Vite plugin: structured data, link preview tags and sitemap.xml from the
+// content the site loads at runtime (assets/content), or the bundled
+// portfolioContent when that is missing or invalid
+//
+// Adds to <head> of index.html:
+//   - Open Graph / Twitter meta tags
+//   - one JSON-LD script with the Person and the projects
+// and writes sitemap.xml next to it on build. Every section route serves
+// this same index.html, so there is no fixed canonical or og:url that
+// would mark the routes in the sitemap as duplicates of the root.
+// Absolute URLs start at `siteUrl` (SITE_URL, see vite.config.js) plus
+// Vite's base.
+
+import { portfolioContent } from "../src/data/portfolioContent.js";
+import ContentValidator from "../src/utils/ContentValidator.js";
+import { getRouteSections } from "../src/utils/contentUtils.js";
+import {
+  buildMetaTags,
+  buildSitemap,
+  buildStructuredData,
+} from "../src/utils/structuredData.js";
+import { hasRuntimeContent, loadRuntimeContent } from "./runtime-content.js";
+
+// JSON inside <script> must not be able to close the tag
+const toScriptJson = (data) =>
+  JSON.stringify(data, null, 2).replace(/</g, "\\u003c");
+
+// Falls back like the site does, validate:content reports the errors
+const loadContent = async () => {
+  if (!hasRuntimeContent()) return portfolioContent;
+
+  try {
+    const { content } = await loadRuntimeContent({
+      fallback: portfolioContent,
+    });
+    if (new ContentValidator().validate(content).length === 0) {
+      return content;
+    }
+    console.warn("SEO: assets/content has errors, using bundled content");
+  } catch (error) {
+    console.warn("SEO: using bundled content:", error.message);
+  }
+  return portfolioContent;
+};
+
+export default function seoPlugin({ siteUrl }) {
+  let resolvedUrl = siteUrl;
+  let content = portfolioContent;
+
+  return {
+    name: "portfolio-seo",
+
+    configResolved(config) {
+      resolvedUrl = new URL(config.base, siteUrl).toString();
+    },
+
+    async buildStart() {
+      content = await loadContent();
+    },
+
+    transformIndexHtml() {
+      const options = { siteUrl: resolvedUrl };
+
+      return [
+        ...buildMetaTags(content).map((attrs) => ({
+          tag: "meta",
+          attrs,
+          injectTo: "head",
+        })),
+        {
+          tag: "script",
+          attrs: { type: "application/ld+json" },
+          children: toScriptJson(buildStructuredData(content, options)),
+          injectTo: "head",
+        },
+      ];
+    },
+
+    generateBundle() {
+      this.emitFile({
+        type: "asset",
+        fileName: "sitemap.xml",
+        source: buildSitemap(getRouteSections(content.hologram.screens), {
+          siteUrl: resolvedUrl,
+          lastModified: new Date().toISOString().slice(0, 10),
+        }),
+      });
+    },
+  };
+}
@@ -0,0 +1,70 @@
+// Check portfolio content and translations before deploying
+//
+//   npm run validate:content
+//
+// Checks the bundled content and, when present, the runtime content in
+// assets/content, and that phone numbers reach the contact vCard. Exits
+// with code 1 and lists every bad field when something is wrong.
+
+import ContentValidator from "../src/utils/ContentValidator.js";
+import { applyLocaleContent } from "../src/utils/contentUtils.js";
+import { buildVCard, isPhoneNumber } from "../src/utils/contactCard.js";
+import { portfolioContent } from "../src/data/portfolioContent.js";
+import { locales } from "../src/data/locales/index.js";
+import { hasRuntimeContent, loadRuntimeContent } from "./runtime-content.js";
+
+// A phone number becomes TEL in the vCard, also when the entry links to a
+// chat app such as WhatsApp
+const checkVCard = (content) => {
+  const vCard = buildVCard(content);
+  const vCardErrors = [];
+
+  content.contact.contactInfo.forEach(({ value }, index) => {
+    if (!isPhoneNumber(value)) return;
+    if (!vCard.includes(`\r\nTEL;TYPE=CELL:${value}\r\n`)) {
+      vCardErrors.push({
+        path: `contact.contactInfo[${index}].value`,
+        message: "is a phone number but has no TEL line in the vCard",
+      });
+    }
+  });
+
+  return vCardErrors;
+};
+
+const validator = new ContentValidator();
+const errors = validator.validateLocales(portfolioContent, locales);
+if (errors.length === 0) {
+  errors.push(...checkVCard(portfolioContent));
+}
+
+if (hasRuntimeContent()) {
+  try {
+    const { content, localeContent } = await loadRuntimeContent({
+      fallback: portfolioContent,
+      localeCodes: Object.keys(locales),
+    });
+    const contentErrors = validator.validateLocales(
+      content,
+      applyLocaleContent(locales, localeContent)
+    );
+    if (contentErrors.length === 0) {
+      contentErrors.push(...checkVCard(content));
+    }
+    contentErrors.forEach(({ path, message }) => {
+      errors.push({ path: `assets/content: ${path}`, message });
+    });
+  } catch (error) {
+    errors.push({ path: "assets/content", message: error.message });
+  }
+}
+
+if (errors.length > 0) {
+  console.error(`✖ Portfolio content has ${errors.length} error(s):\n`);
+  console.error(validator.format(errors));
+  process.exit(1);
+}
+
+console.log(
+  `✔ Portfolio content is valid (locales: ${Object.keys(locales).join(", ")})`
+);
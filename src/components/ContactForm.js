@@ -0,0 +1,243 @@
+// Contact form in the contact modal
+//
+// Works on the markup from ModalManager.renderContactForm. Messages go out
+// through a transport (see utils/contactTransports.js); when that fails
+// and a mailto: fallback is given, the visitor can send the message from
+// their mail app instead.
+//
+// Spam protection stays in the browser: a hidden "website" field that
+// only bots fill in, and a limit on how many messages one browser sends.
+
+import {
+  CONTACT_FIELDS,
+  normalizeContactMessage,
+  validateContactMessage,
+} from "../utils/contactMessage.js";
+
+// At most 3 messages an hour, and 30 seconds between two of them
+const RATE_LIMIT = {
+  storageKey: "portfolio-contact-sent",
+  maxMessages: 3,
+  windowMs: 60 * 60 * 1000,
+  minIntervalMs: 30 * 1000,
+};
+
+export default class ContactForm {
+  constructor(element, { transport, fallback = null, i18n, draft = {} }) {
+    this.element = element;
+    this.transport = transport;
+    this.fallback = fallback;
+    this.i18n = i18n;
+    this.isSending = false;
+
+    this.fields = {};
+    Object.keys(CONTACT_FIELDS).forEach((name) => {
+      this.fields[name] = element.querySelector(`[name="${name}"]`);
+    });
+    this.trap = element.querySelector('[name="website"]');
+    this.submitButton = element.querySelector(".contact-form-submit");
+    this.status = element.querySelector(".contact-form-status");
+
+    // Called with the field values after every edit, so a re-render
+    // (language switch) can keep what was typed
+    this.onChange = null;
+
+    element.addEventListener("submit", (event) => {
+      event.preventDefault();
+      this.submit();
+    });
+
+    element.addEventListener("input", (event) => {
+      const { name } = event.target;
+      if (!(name in this.fields)) return;
+
+      // Errors disappear as soon as the field is fixed
+      if (this.fields[name].getAttribute("aria-invalid") === "true") {
+        this.showErrors(this.validate(), [name]);
+      }
+      if (this.onChange) {
+        this.onChange(this.getValues());
+      }
+    });
+
+    element.addEventListener("focusout", (event) => {
+      const { name } = event.target;
+      if (name in this.fields && event.target.value) {
+        this.showErrors(this.validate(), [name]);
+      }
+    });
+
+    this.setValues(draft);
+  }
+
+  getValues() {
+    const values = {};
+    Object.entries(this.fields).forEach(([name, field]) => {
+      values[name] = field.value;
+    });
+    return values;
+  }
+
+  setValues(values = {}) {
+    Object.entries(this.fields).forEach(([name, field]) => {
+      field.value = values[name] || "";
+    });
+  }
+
+  validate() {
+    return validateContactMessage(normalizeContactMessage(this.getValues()));
+  }
+
+  // Show or clear the error of the given fields
+  showErrors(errors, names = Object.keys(this.fields)) {
+    names.forEach((name) => {
+      const field = this.fields[name];
+      const message = this.element.querySelector(`#${field.id}-error`);
+      const error = errors[name];
+
+      field.setAttribute("aria-invalid", error ? "true" : "false");
+      message.hidden = !error;
+      message.textContent = error
+        ? this.i18n.t(`contactForm.errors.${error.code}`, {
+            limit: error.limit,
+          })
+        : "";
+    });
+  }
+
+  async submit() {
+    if (this.isSending) return;
+
+    const errors = this.validate();
+    this.showErrors(errors);
+
+    const invalid = Object.keys(this.fields).find((name) => errors[name]);
+    if (invalid) {
+      this.fields[invalid].focus();
+      this.setStatus("error", this.i18n.t("contactForm.invalid"));
+      return;
+    }
+
+    const message = normalizeContactMessage(this.getValues());
+
+    // Bots that filled in the hidden field get the usual success message
+    // and nothing is sent
+    if (this.trap && this.trap.value) {
+      this.finish(this.transport.type);
+      return;
+    }
+
+    const wait = this.getRateLimitWait();
+    if (wait > 0) {
+      this.setStatus(
+        "error",
+        this.i18n.t("contactForm.rateLimited", {
+          minutes: Math.max(1, Math.ceil(wait / 60000)),
+        })
+      );
+      return;
+    }
+
+    await this.send(this.transport, message);
+  }
+
+  async send(transport, message) {
+    this.setSending(true);
+    this.setStatus("pending", this.i18n.t("contactForm.sending"));
+
+    try {
+      await transport.send(message);
+    } catch (error) {
+      console.error("Error sending contact message:", error);
+      this.setSending(false);
+      this.showFailure(message);
+      return;
+    }
+
+    this.setSending(false);
+    this.recordSend();
+    this.finish(transport.type);
+  }
+
+  finish(transportType) {
+    this.setValues({});
+    this.setStatus(
+      "success",
+      this.i18n.t(`contactForm.sent.${transportType}`)
+    );
+
+    if (this.onChange) {
+      this.onChange(this.getValues());
+    }
+  }
+
+  // The error, plus a button that hands the message to the mail app when
+  // the form has a different transport to fall back to
+  showFailure(message) {
+    this.setStatus("error", this.i18n.t("contactForm.failed"));
+
+    if (!this.fallback || this.fallback.type === this.transport.type) return;
+
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "contact-form-fallback";
+    button.textContent = this.i18n.t("contactForm.useMail");
+    button.addEventListener("click", () => this.send(this.fallback, message));
+    this.status.append(" ", button);
+  }
+
+  setSending(isSending) {
+    this.isSending = isSending;
+    this.element.setAttribute("aria-busy", isSending ? "true" : "false");
+    this.submitButton.disabled = isSending;
+    this.submitButton.textContent = this.i18n.t(
+      isSending ? "contactForm.sendingButton" : "contactForm.submit"
+    );
+  }
+
+  // state is "pending", "success" or "error"
+  setStatus(state, text) {
+    this.status.dataset.state = state;
+    this.status.textContent = text;
+  }
+
+  // Milliseconds until this browser may send again, 0 when it may now
+  getRateLimitWait(now = Date.now()) {
+    const sent = this.getSentTimes(now);
+    if (!sent.length) return 0;
+
+    const { maxMessages, windowMs, minIntervalMs } = RATE_LIMIT;
+    const intervalWait = minIntervalMs - (now - sent[sent.length - 1]);
+    const windowWait =
+      sent.length >= maxMessages
+        ? sent[sent.length - maxMessages] + windowMs - now
+        : 0;
+
+    return Math.max(0, intervalWait, windowWait);
+  }
+
+  // Send times within the rate limit window, oldest first
+  getSentTimes(now = Date.now()) {
+    try {
+      const stored = JSON.parse(
+        localStorage.getItem(RATE_LIMIT.storageKey) || "[]"
+      );
+      return stored.filter(
+        (time) => Number.isFinite(time) && now - time < RATE_LIMIT.windowMs
+      );
+    } catch (error) {
+      // Blocked or garbled storage - nothing to count against
+      return [];
+    }
+  }
+
+  recordSend(now = Date.now()) {
+    const sent = [...this.getSentTimes(now), now];
+
+    try {
+      localStorage.setItem(RATE_LIMIT.storageKey, JSON.stringify(sent));
+    } catch (error) {
+      // Not fatal - the limit just won't apply in this browser
+    }
+  }
+}
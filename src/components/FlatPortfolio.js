@@ -0,0 +1,182 @@
+// 2D version of the portfolio, one scrolling page instead of the office
+//
+// Shown when the browser has no WebGL or the visitor picked "2D Mode".
+// Every hologram screen becomes a section rendered by the same
+// ModalManager generators as its details modal, so both versions always
+// show the same content.
+
+import { html } from "../utils/html.js";
+
+export default class FlatPortfolio {
+  constructor(modalManager, i18n) {
+    this.modalManager = modalManager;
+    this.i18n = i18n;
+
+    // Filters, form drafts and views per section, kept across re-renders
+    this.sectionOptions = {};
+
+    this.element = document.createElement("main");
+    this.element.className = "flat-portfolio";
+    this.element.id = "flat-portfolio";
+
+    this.stylesAdded = false;
+  }
+
+  // notice is shown above the sections, e.g. why the 2D page is shown
+  render(content, { notice = null } = {}) {
+    this.addStyles();
+
+    const { about } = content;
+    const screens = content.hologram.screens;
+
+    this.element.innerHTML = String(html`
+      <header class="flat-header">
+        <h1>${about.name}</h1>
+        ${about.headline ? html`<p class="flat-headline">${about.headline}</p>` : ""}
+        <nav class="flat-nav" aria-label="${this.i18n.t("flat.sections")}">
+          ${screens.map(
+            ({ section, title }) => html`<a href="#${section}">${title}</a>`
+          )}
+        </nav>
+      </header>
+      ${notice ? html`<p class="flat-notice" role="status">${notice}</p>` : ""}
+    `);
+
+    screens.forEach(({ section, title, modalType, content: contentKey }) => {
+      const sectionContent = content[contentKey || modalType];
+      if (!sectionContent) return;
+
+      const element = document.createElement("section");
+      element.className = "flat-section";
+      element.id = section;
+      element.setAttribute("aria-label", title);
+
+      this.sectionOptions[section] = this.sectionOptions[section] || {};
+      element.appendChild(
+        this.modalManager.createInlineSection(
+          sectionContent,
+          modalType,
+          this.sectionOptions[section]
+        )
+      );
+      this.element.appendChild(element);
+    });
+  }
+
+  scrollToSection(section) {
+    const element = this.element.querySelector(`#${CSS.escape(section)}`);
+    if (element) element.scrollIntoView();
+  }
+
+  addStyles() {
+    if (this.stylesAdded) return;
+    this.stylesAdded = true;
+
+    const style = document.createElement("style");
+    style.textContent = `
+      body.flat-mode {
+        height: auto;
+        overflow: auto;
+        overscroll-behavior: auto;
+      }
+
+      body.flat-mode #canvas-container,
+      body.flat-mode #loading-screen,
+      body.flat-mode .navigation-panel,
+      body.flat-mode #copy-view-link {
+        display: none !important;
+      }
+
+      .flat-portfolio {
+        max-width: 900px;
+        margin: 0 auto;
+        padding: 3rem 1.5rem 7rem;
+        background: radial-gradient(circle at top, rgba(0, 255, 255, 0.08), transparent 60%);
+      }
+
+      .flat-portfolio,
+      .flat-portfolio * {
+        -webkit-user-select: text;
+        user-select: text;
+      }
+
+      .flat-header {
+        margin-bottom: 2rem;
+        text-align: center;
+      }
+
+      .flat-header h1 {
+        color: #00ffff;
+        font-family: 'Orbitron', monospace;
+        font-size: clamp(1.8rem, 5vw, 3rem);
+        letter-spacing: 0.08em;
+        text-shadow: 0 0 12px rgba(0, 255, 255, 0.6);
+      }
+
+      .flat-headline {
+        margin-top: 0.4rem;
+        color: #ff00ff;
+        font-size: 1.3rem;
+      }
+
+      .flat-nav {
+        display: flex;
+        flex-wrap: wrap;
+        justify-content: center;
+        gap: 0.6rem;
+        margin-top: 1.5rem;
+      }
+
+      .flat-nav a {
+        padding: 0.4rem 1rem;
+        border: 1px solid #00ffff;
+        border-radius: 20px;
+        color: #00ffff;
+        font-family: 'Orbitron', monospace;
+        font-size: 0.8rem;
+        text-decoration: none;
+        transition: background 0.3s ease;
+      }
+
+      .flat-nav a:hover,
+      .flat-nav a:focus-visible {
+        background: rgba(0, 255, 255, 0.2);
+        outline: none;
+      }
+
+      .flat-notice {
+        margin-bottom: 2rem;
+        padding: 0.8rem 1rem;
+        border-left: 4px solid #ffaa00;
+        background: rgba(255, 170, 0, 0.1);
+      }
+
+      .flat-section {
+        position: relative;
+        margin-bottom: 2rem;
+        padding: 2rem;
+        background: linear-gradient(135deg, rgba(26, 26, 46, 0.95) 0%, rgba(0, 17, 34, 0.95) 100%);
+        border: 2px solid #00ffff;
+        border-radius: 12px;
+        box-shadow: 0 0 30px rgba(0, 255, 255, 0.2);
+        scroll-margin-top: 1rem;
+      }
+
+      /* The generators add a close button for their modal */
+      .flat-section .close-modal {
+        display: none !important;
+      }
+
+      @media (max-width: 768px) {
+        .flat-portfolio {
+          padding: 2rem 0.8rem 6rem;
+        }
+
+        .flat-section {
+          padding: 1.5rem;
+        }
+      }
+    `;
+    document.head.appendChild(style);
+  }
+}
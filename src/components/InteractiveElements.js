@@ -1,8 +1,10 @@
 import * as THREE from "three";
+import { html } from "../utils/html.js";
 
 export default class InteractiveElements {
-  constructor(scene) {
+  constructor(scene, i18n) {
     this.scene = scene;
+    this.i18n = i18n;
     this.raycaster = new THREE.Raycaster();
     this.mouse = new THREE.Vector2();
     this.camera = null;
@@ -146,6 +148,8 @@ export default class InteractiveElements {
   }
 
   showInfoModal(content) {
+    const t = (key) => this.i18n.t(key);
+
     // Create a simple modal overlay
     const modal = document.createElement("div");
     modal.style.cssText = `
@@ -174,7 +178,7 @@ export default class InteractiveElements {
             box-shadow: 0 0 30px rgba(0, 255, 255, 0.3);
         `;
 
-    modalContent.innerHTML = `
+    modalContent.innerHTML = String(html`
             <h2 style="color: #00ffff; margin-bottom: 1rem; font-family: 'Orbitron', monospace;">
                 ${content.title || content.name}
             </h2>
@@ -183,16 +187,15 @@ export default class InteractiveElements {
             </p>
             ${
               content.technologies
-                ? `
+                ? html`
                 <div style="margin-bottom: 1rem;">
-                    <strong style="color: #ff00ff;">Technologies:</strong>
+                    <strong style="color: #ff00ff;">${t("modal.technologies")}:</strong>
                     <div style="margin-top: 0.5rem;">
                         ${content.technologies
                           .map(
                             (tech) =>
-                              `<span style="background: rgba(0, 255, 255, 0.2); padding: 0.25rem 0.5rem; margin: 0.25rem; border-radius: 4px; display: inline-block; font-size: 0.9rem;">${tech}</span>`
-                          )
-                          .join("")}
+                              html`<span style="background: rgba(0, 255, 255, 0.2); padding: 0.25rem 0.5rem; margin: 0.25rem; border-radius: 4px; display: inline-block; font-size: 0.9rem;">${tech}</span>`
+                          )}
                     </div>
                 </div>
             `
@@ -200,15 +203,15 @@ export default class InteractiveElements {
             }
             ${
               content.experience
-                ? `
-                <p style="margin-bottom: 0.5rem;"><strong style="color: #ff00ff;">Experience:</strong> ${content.experience}</p>
+                ? html`
+                <p style="margin-bottom: 0.5rem;"><strong style="color: #ff00ff;">${t("modal.experience")}</strong> ${content.experience}</p>
             `
                 : ""
             }
             ${
               content.location
-                ? `
-                <p style="margin-bottom: 1rem;"><strong style="color: #ff00ff;">Location:</strong> ${content.location}</p>
+                ? html`
+                <p style="margin-bottom: 1rem;"><strong style="color: #ff00ff;">${t("modal.location")}</strong> ${content.location}</p>
             `
                 : ""
             }
@@ -222,8 +225,8 @@ export default class InteractiveElements {
                 font-family: 'Rajdhani', sans-serif;
                 font-weight: 600;
                 margin-top: 1rem;
-            ">Close</button>
-        `;
+            ">${t("modal.close")}</button>
+        `);
 
     modal.appendChild(modalContent);
     document.body.appendChild(modal);
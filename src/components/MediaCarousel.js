@@ -0,0 +1,104 @@
+// Image/video carousel for the project detail modal
+//
+// Works on the markup from ModalManager.renderMediaCarousel. Media carry
+// their URL in data-lazy-src and are only loaded once their slide (or the
+// slide before it) is shown.
+
+export default class MediaCarousel {
+  constructor(element) {
+    this.element = element;
+    this.slides = Array.from(element.querySelectorAll(".carousel-slide"));
+    this.dots = Array.from(element.querySelectorAll(".carousel-dot"));
+    this.counter = element.querySelector(".carousel-counter");
+    this.index = 0;
+
+    const previousButton = element.querySelector(".carousel-prev");
+    const nextButton = element.querySelector(".carousel-next");
+    if (previousButton) {
+      previousButton.addEventListener("click", () => this.previous());
+    }
+    if (nextButton) {
+      nextButton.addEventListener("click", () => this.next());
+    }
+
+    this.dots.forEach((dot, index) => {
+      dot.addEventListener("click", () => this.show(index));
+    });
+
+    // Arrow keys while focus is anywhere inside the carousel, except on a
+    // video where they seek
+    element.addEventListener("keydown", (event) => {
+      if (event.target.tagName === "VIDEO") return;
+
+      if (event.key === "ArrowLeft") {
+        event.preventDefault();
+        this.previous();
+      } else if (event.key === "ArrowRight") {
+        event.preventDefault();
+        this.next();
+      } else if (event.key === "Home") {
+        event.preventDefault();
+        this.show(0);
+      } else if (event.key === "End") {
+        event.preventDefault();
+        this.show(this.slides.length - 1);
+      }
+    });
+
+    this.show(0);
+  }
+
+  previous() {
+    this.show(this.index - 1);
+  }
+
+  next() {
+    this.show(this.index + 1);
+  }
+
+  show(index) {
+    const count = this.slides.length;
+    if (!count) return;
+
+    this.index = (index + count) % count;
+
+    this.slides.forEach((slide, slideIndex) => {
+      const isActive = slideIndex === this.index;
+      slide.hidden = !isActive;
+      if (!isActive) this.pause(slide);
+    });
+
+    // Load the next slide too so stepping forward doesn't wait
+    this.load(this.slides[this.index]);
+    this.load(this.slides[(this.index + 1) % count]);
+
+    this.dots.forEach((dot, dotIndex) => {
+      const isActive = dotIndex === this.index;
+      dot.setAttribute("aria-current", isActive ? "true" : "false");
+      dot.style.background = isActive ? "#00ffff" : "transparent";
+    });
+
+    if (this.counter) {
+      this.counter.textContent = `${this.index + 1} / ${count}`;
+    }
+  }
+
+  load(slide) {
+    slide.querySelectorAll("[data-lazy-src]").forEach((media) => {
+      media.src = media.dataset.lazySrc;
+      media.removeAttribute("data-lazy-src");
+    });
+
+    slide.querySelectorAll("[data-lazy-poster]").forEach((video) => {
+      video.poster = video.dataset.lazyPoster;
+      video.removeAttribute("data-lazy-poster");
+    });
+  }
+
+  pause(slide) {
+    const video = slide.querySelector("video");
+    if (video && !video.paused) {
+      video.pause();
+    }
+  }
+}
@@ -0,0 +1,118 @@
+// Search, filters and sorting for the projects modal
+//
+// Works on the markup from ModalManager.generateProjectsContent: every
+// .project-card carries its name, year, status, technologies and search
+// text as data attributes, so filtering only hides and reorders cards.
+
+const FILTER_NAMES = ["search", "tech", "status", "year", "sort"];
+
+export default class ProjectFilter {
+  constructor(element, { filters = {}, formatCount = null } = {}) {
+    this.element = element;
+    this.list = element.querySelector(".project-list");
+    this.cards = Array.from(this.list.querySelectorAll(".project-card"));
+    this.count = element.querySelector(".project-count");
+    this.emptyMessage = element.querySelector(".project-empty");
+    this.formatCount = formatCount;
+
+    this.controls = {};
+    FILTER_NAMES.forEach((name) => {
+      this.controls[name] = element.querySelector(`[name="${name}"]`);
+    });
+
+    // Called with the current filters after every change
+    this.onChange = null;
+
+    element.addEventListener("input", (event) => {
+      if (event.target.name in this.controls) this.apply();
+    });
+    element.addEventListener("change", (event) => {
+      if (event.target.name in this.controls) this.apply();
+    });
+
+    const resetButton = element.querySelector(".project-reset");
+    if (resetButton) {
+      resetButton.addEventListener("click", () => this.setFilters({}));
+    }
+
+    this.setFilters(filters);
+  }
+
+  // Replace all filters, missing ones are cleared
+  setFilters(filters = {}) {
+    FILTER_NAMES.forEach((name) => {
+      const control = this.controls[name];
+      if (!control) return;
+
+      control.value = filters[name] || "";
+
+      // Selects fall back to their first option for unknown values
+      if (control.value !== (filters[name] || "")) {
+        control.selectedIndex = 0;
+      }
+    });
+
+    this.apply();
+  }
+
+  // Only the filters that are set
+  getFilters() {
+    const filters = {};
+    FILTER_NAMES.forEach((name) => {
+      const control = this.controls[name];
+      if (control && control.value) {
+        filters[name] = control.value;
+      }
+    });
+    return filters;
+  }
+
+  apply() {
+    const filters = this.getFilters();
+    const query = (filters.search || "").trim().toLowerCase();
+    const tech = (filters.tech || "").toLowerCase();
+
+    let visible = 0;
+    this.cards.forEach((card) => {
+      const technologies = JSON.parse(card.dataset.technologies).map((name) =>
+        name.toLowerCase()
+      );
+      const matches =
+        (!tech || technologies.includes(tech)) &&
+        (!filters.status || card.dataset.status === filters.status) &&
+        (!filters.year || card.dataset.year === filters.year) &&
+        (!query || card.dataset.search.includes(query));
+
+      card.hidden = !matches;
+      if (matches) visible++;
+    });
+
+    this.sortCards(filters.sort);
+
+    if (this.emptyMessage) {
+      this.emptyMessage.hidden = visible > 0;
+    }
+    if (this.count && this.formatCount) {
+      this.count.textContent = this.formatCount(visible, this.cards.length);
+    }
+
+    if (this.onChange) {
+      this.onChange(filters);
+    }
+  }
+
+  sortCards(sort) {
+    const byIndex = (a, b) => Number(a.dataset.index) - Number(b.dataset.index);
+    const compare = {
+      newest: (a, b) =>
+        b.dataset.year.localeCompare(a.dataset.year) || byIndex(a, b),
+      oldest: (a, b) =>
+        a.dataset.year.localeCompare(b.dataset.year) || byIndex(a, b),
+      name: (a, b) => a.dataset.name.localeCompare(b.dataset.name),
+    }[sort];
+
+    [...this.cards]
+      .sort(compare || byIndex)
+      .forEach((card) => this.list.appendChild(card));
+  }
+}
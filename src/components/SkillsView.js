@@ -0,0 +1,73 @@
+// List/chart switch for the skills modal
+//
+// Works on the markup from ModalManager.generateSkillsContent. The chart's
+// bars and radar shapes grow from zero every time the chart is shown.
+
+const VIEWS = ["list", "chart"];
+
+export default class SkillsView {
+  constructor(element, { view = "list" } = {}) {
+    this.element = element;
+    this.buttons = Array.from(element.querySelectorAll("[data-skills-view]"));
+    this.panels = {
+      list: element.querySelector(".skills-list"),
+      chart: element.querySelector(".skills-chart"),
+    };
+
+    // Called with the view name after every switch
+    this.onChange = null;
+
+    this.buttons.forEach((button) => {
+      button.addEventListener("click", () => {
+        this.setView(button.dataset.skillsView);
+      });
+    });
+
+    this.setView(view);
+  }
+
+  setView(view) {
+    this.view = VIEWS.includes(view) ? view : "list";
+
+    VIEWS.forEach((name) => {
+      this.panels[name].hidden = name !== this.view;
+    });
+    this.buttons.forEach((button) => {
+      const isActive = button.dataset.skillsView === this.view;
+      button.setAttribute("aria-pressed", isActive ? "true" : "false");
+    });
+
+    if (this.view === "chart") {
+      this.animateChart();
+    }
+
+    if (this.onChange) {
+      this.onChange(this.view);
+    }
+  }
+
+  animateChart() {
+    const chart = this.panels.chart;
+    const bars = chart.querySelectorAll(".skill-bar-fill");
+    const shapes = chart.querySelectorAll(".radar-shape");
+
+    bars.forEach((bar) => {
+      bar.style.width = "0";
+    });
+    shapes.forEach((shape) => {
+      shape.style.transform = "scale(0)";
+    });
+
+    // Wait a frame so the empty state is painted before the transition
+    requestAnimationFrame(() => {
+      requestAnimationFrame(() => {
+        bars.forEach((bar) => {
+          bar.style.width = `${bar.dataset.score}%`;
+        });
+        shapes.forEach((shape) => {
+          shape.style.transform = "scale(1)";
+        });
+      });
+    });
+  }
+}
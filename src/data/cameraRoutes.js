@@ -0,0 +1,22 @@
+// Authored camera routes between named viewpoints
+//
+// Keys are "from>to". Names are "home", a hologram section ("about",
+// "projects", ...), "phone" and "robot"; "*" stands for any viewpoint, or
+// for a camera that isn't resting at one. "about>home" wins over "*>home",
+// which wins over "about>*". Flights without a route get a path planned
+// around CyberpunkOffice.obstacles.
+//
+//   waypoints - [x, y, z] points the camera passes through, in order
+//   duration  - seconds, instead of the caller's
+//   ease      - GSAP ease, instead of "power2.inOut"
+//
+// Open the page with ?debug=camera to see the routes and every flight.
+
+// Flights home go without one: from the holograms the planned path already
+// clears the desk and lands in front of the monitors
+export const cameraRoutes = {
+  // Swing in from the left of the desk and drop down to the phone
+  "home>phone": {
+    waypoints: [[-8, 7, 9]],
+  },
+};
@@ -0,0 +1,263 @@
+// Shape of portfolioContent, checked by ContentValidator
+//
+// Every field is required unless marked `optional`. Supported rules:
+//   type      - "string", "number", "object" or "array"
+//   minLength - strings must not be shorter (1 = not empty)
+//   min, max  - numbers must lie within these bounds
+//   pattern   - strings must match this RegExp
+//   enum      - strings must be one of these values
+//   minItems  - arrays must have at least this many items
+//   items     - schema for every array item
+//   fields    - schema for every known object key (unknown keys are errors)
+
+export const SKILL_LEVELS = ["Advanced", "Intermediate", "Beginner"];
+export const PROJECT_STATUSES = ["Completed", "In Progress"];
+
+// What clicking a contact entry does (phone hologram and contact modal):
+// open its link, write an e-mail to its value, or copy its value
+export const CONTACT_ACTIONS = ["link", "mailto", "copy"];
+
+// Modal types a hologram screen can open (see ModalManager.generateContent)
+export const HOLOGRAM_MODAL_TYPES = [
+  "about",
+  "projects",
+  "skills",
+  "contact",
+  "timeline",
+];
+
+// Where a tour step takes the camera: the overview, a hologram screen
+// (`section`), a NavigationManager viewpoint (`viewpoint`, e.g. the CPU
+// tower), the robot or the phone
+export const TOUR_STOPS = ["home", "section", "viewpoint", "robot", "phone"];
+
+const text = { type: "string", minLength: 1 };
+const textList = { type: "array", items: text };
+const optional = (schema) => ({ ...schema, optional: true });
+// "2023" or "2023-06"
+const yearMonth = { type: "string", pattern: /^\d{4}(-(0[1-9]|1[0-2]))?$/ };
+const url = { type: "string", pattern: /^https?:\/\/\S+$/ };
+const hexColor = { type: "string", pattern: /^#[0-9a-fA-F]{6}$/ };
+
+// A file in assets/ such as "media/projects/shop-cart.webp", or a full URL
+const mediaSrc = {
+  type: "string",
+  pattern: /^(https?:\/\/\S+|(?!.*\.\.)[\w-][\w./-]*)$/,
+};
+
+export const contentSchema = {
+  type: "object",
+  fields: {
+    about: {
+      type: "object",
+      fields: {
+        title: text,
+        // Shown at the top of the exported CV
+        name: text,
+        headline: optional(text),
+        description: text,
+        technologies: textList,
+        experience: text,
+        location: text,
+      },
+    },
+
+    projects: {
+      type: "object",
+      fields: {
+        title: text,
+        description: text,
+        projectList: {
+          type: "array",
+          items: {
+            type: "object",
+            fields: {
+              name: text,
+              description: text,
+              technologies: textList,
+              status: { type: "string", enum: PROJECT_STATUSES },
+              year: { type: "string", pattern: /^\d{4}$/ },
+              role: optional(text),
+              outcomes: optional(textList),
+              repoUrl: optional(url),
+              liveUrl: optional(url),
+              screenshots: optional({
+                type: "array",
+                items: {
+                  type: "object",
+                  fields: {
+                    src: mediaSrc,
+                    alt: text,
+                    caption: optional(text),
+                  },
+                },
+              }),
+              videos: optional({
+                type: "array",
+                items: {
+                  type: "object",
+                  fields: {
+                    src: mediaSrc,
+                    caption: text,
+                    poster: optional(mediaSrc),
+                  },
+                },
+              }),
+            },
+          },
+        },
+      },
+    },
+
+    skills: {
+      type: "object",
+      fields: {
+        title: text,
+        description: text,
+        skillCategories: {
+          type: "array",
+          items: {
+            type: "object",
+            fields: {
+              category: text,
+              skills: {
+                type: "array",
+                minItems: 1,
+                items: {
+                  type: "object",
+                  fields: {
+                    name: text,
+                    level: { type: "string", enum: SKILL_LEVELS },
+                    // Optional 0-100 value for the chart, otherwise the
+                    // level decides
+                    score: optional({ type: "number", min: 0, max: 100 }),
+                    years: optional({ type: "number", min: 0 }),
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+    },
+
+    contact: {
+      type: "object",
+      fields: {
+        title: text,
+        description: text,
+        contactInfo: {
+          type: "array",
+          items: {
+            type: "object",
+            fields: {
+              type: text,
+              value: text,
+              icon: text,
+              // Brand colour of the phone hologram button
+              color: hexColor,
+              action: { type: "string", enum: CONTACT_ACTIONS },
+              // Required for "link", optional for "mailto"
+              link: optional({
+                type: "string",
+                pattern: /^(https?:\/\/|mailto:|tel:)/,
+              }),
+            },
+          },
+        },
+        availability: text,
+        timezone: text,
+      },
+    },
+
+    experience: {
+      type: "object",
+      fields: {
+        title: text,
+        description: text,
+        entries: {
+          type: "array",
+          minItems: 1,
+          items: {
+            type: "object",
+            fields: {
+              company: text,
+              role: text,
+              start: yearMonth,
+              end: optional(yearMonth), // Missing = current position
+              location: optional(text),
+              highlights: textList,
+              technologies: textList,
+            },
+          },
+        },
+      },
+    },
+
+    hologram: {
+      type: "object",
+      fields: {
+        layout: {
+          type: "object",
+          fields: {
+            radius: { type: "number" },
+            height: { type: "number" },
+            startAngle: { type: "number" },
+          },
+        },
+        screens: {
+          type: "array",
+          minItems: 1,
+          items: {
+            type: "object",
+            fields: {
+              // Used in URLs, so lowercase letters, digits and dashes only
+              section: { type: "string", pattern: /^[a-z0-9-]+$/ },
+              title: text,
+              subtitle: text,
+              preview: text,
+              hint: text,
+              color: hexColor,
+              modalType: { type: "string", enum: HOLOGRAM_MODAL_TYPES },
+              // Content section shown in the modal, defaults to modalType
+              content: optional(text),
+              placement: optional({
+                type: "object",
+                fields: {
+                  radius: optional({ type: "number" }),
+                  angle: optional({ type: "number" }),
+                  height: optional({ type: "number" }),
+                },
+              }),
+            },
+          },
+        },
+      },
+    },
+
+    // Guided tour behind the "Start Tour" button, hidden without it
+    tour: optional({
+      type: "object",
+      fields: {
+        steps: {
+          type: "array",
+          minItems: 1,
+          items: {
+            type: "object",
+            fields: {
+              stop: { type: "string", enum: TOUR_STOPS },
+              // Hologram section, for "section" stops
+              section: optional(text),
+              // NavigationManager viewpoint name, for "viewpoint" stops
+              viewpoint: optional(text),
+              // Narration shown while the camera is there
+              caption: text,
+              // Seconds to stay once the camera arrived (default 6)
+              duration: optional({ type: "number", min: 1, max: 60 }),
+            },
+          },
+        },
+      },
+    }),
+  },
+};
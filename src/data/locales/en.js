@@ -0,0 +1,248 @@
+// English UI strings. Portfolio content is already English in
+// portfolioContent.js, so there are no content overrides here.
+
+export const en = {
+  name: "EN",
+  ui: {
+    nav: {
+      home: "Home",
+    },
+    actions: {
+      copyViewLink: "🔗 Copy View Link",
+      copyViewLinkTitle: "Copy a link to this exact camera view",
+      linkCopied: "Link Copied!",
+      copyPrompt: "Copy this view link:",
+      language: "Language",
+      exportCv: "📄 Export CV",
+      exportCvTitle: "Printable CV, PDF and Markdown",
+      mode2d: "🗂️ 2D Mode",
+      mode2dTitle: "Show the portfolio as a plain page",
+      mode3d: "🧊 3D Mode",
+      mode3dTitle: "Back to the 3D office",
+      startTour: "🎬 Start Tour",
+      startTourTitle: "Fly through the office with captions",
+      walk: "🚶 Walk Mode",
+      walkTitle: "Walk through the office in first person",
+      orbit: "🛸 Orbit Mode",
+      orbitTitle: "Back to orbiting the office",
+    },
+    walk: {
+      hintMouse:
+        "Click to look around · WASD / arrows to walk · Shift to run · E to interact · Esc twice to leave",
+      hintTouch: "Joystick to walk · drag to look around",
+      targets: {
+        hologram: "View {title}",
+        phone: "Check the phone",
+      },
+    },
+    tour: {
+      label: "Guided tour",
+      pause: "⏸ Pause",
+      resume: "▶ Resume",
+      skip: "⏭ Skip",
+      stop: "✕ Stop",
+      progress: "{current} / {total}",
+    },
+    loading: {
+      messages: [
+        "Initializing Cyberpunk Terminal...",
+        "Loading 3D Environment...",
+        "Booting Neon Systems...",
+        "Synchronizing Holograms...",
+        "Calibrating Neural Interface...",
+        "Loading Portfolio Data...",
+        "Rendering Cyberpunk Office...",
+        "Activating Interactive Elements...",
+        "Finalizing Matrix Connection...",
+        "Ready to Enter Cyberspace...",
+      ],
+    },
+    hologram: {
+      details: "VIEW DETAILS",
+      back: "BACK",
+    },
+    timeline: {
+      present: "Present",
+    },
+    robot: {
+      help: "Need Help?",
+      yes: "YES",
+      no: "NO",
+    },
+    phone: {
+      close: "Close",
+      scanQr: "Scan to save contact",
+      copied: "Copied!",
+    },
+    keyboard: {
+      canvas:
+        "3D office. Tab moves between objects, Enter opens them, number keys and arrow keys switch sections, W A S D orbits and Q E zooms.",
+      targets: {
+        hologram: "{title} hologram",
+        details: "{title}: view details",
+        back: "Back to the main view",
+        robot: "Robot helper",
+        phone: "Phone contacts",
+      },
+    },
+    modal: {
+      close: "Close",
+      technologies: "Technologies",
+      experience: "Experience:",
+      location: "Location:",
+      timezone: "Timezone:",
+      notAvailable: "Content not available",
+      back: "Back",
+      viewProject: "View details of {name}",
+      image: "Image",
+      role: "Role:",
+      outcomes: "Outcomes",
+      repo: "Source Code",
+      live: "Live Demo",
+      media: "Project media",
+      openImage: "Enlarge image",
+      previous: "Previous",
+      next: "Next",
+      slide: "Slide {current} of {total}",
+      contactCard: "Save my contact",
+      contactCardHint:
+        "Scan the code with your phone camera, or download the vCard.",
+      contactCardQr: "QR code with my contact details",
+      downloadVcard: "⬇️ Download vCard (.vcf)",
+      copy: "Copy",
+      copyContact: "Copy {type}",
+      skills: {
+        view: "View",
+        list: "List",
+        chart: "Chart",
+        year: "1 year",
+        years: "{count} years",
+        usedIn: "Used in:",
+        noProjects: "Not used in the listed projects yet",
+      },
+      filters: {
+        search: "Search",
+        searchPlaceholder: "Name, description or technology…",
+        tech: "Technology",
+        status: "Status",
+        year: "Year",
+        sort: "Sort",
+        all: "All",
+        sorts: {
+          default: "Default order",
+          newest: "Newest first",
+          oldest: "Oldest first",
+          name: "Name (A–Z)",
+        },
+        count: "{count} of {total} projects",
+        empty: "No projects match these filters.",
+        reset: "Clear filters",
+        byTech: "Show projects using {tech}",
+      },
+      projectStatus: {
+        Completed: "Completed",
+        "In Progress": "In Progress",
+      },
+      skillLevels: {
+        Advanced: "Advanced",
+        Intermediate: "Intermediate",
+        Beginner: "Beginner",
+      },
+    },
+    flat: {
+      sections: "Sections",
+      noWebgl:
+        "Your browser can't show the 3D office (WebGL is unavailable), so here is the 2D version.",
+    },
+    contactForm: {
+      title: "📨 Send a Message",
+      name: "Name",
+      email: "E-mail",
+      message: "Message",
+      submit: "Send Message",
+      sendingButton: "Sending…",
+      sending: "Sending your message…",
+      sent: {
+        http: "Thanks! Your message has been sent, I'll get back to you soon.",
+        mailto: "Your mail app should open with the message ready to send.",
+      },
+      failed: "Sorry, the message couldn't be sent.",
+      useMail: "Send it from your mail app instead",
+      invalid: "Please check the highlighted fields.",
+      rateLimited:
+        "You've sent several messages already, please try again in {minutes} min.",
+      subject: "Message from your portfolio",
+      errors: {
+        required: "This field is required.",
+        invalid: "Please enter a valid e-mail address.",
+        tooShort: "Please write at least {limit} characters.",
+        tooLong: "Please keep it under {limit} characters.",
+      },
+    },
+    notifications: {
+      dismiss: "Dismiss",
+      copied: "{type} copied to clipboard",
+      copyFailed: "Couldn't copy, please select the text instead",
+      unknownSection:
+        'Section "{section}" doesn\'t exist, showing the office instead',
+      invalidViewLink: "This view link is broken, showing the normal view",
+      missingContent: "No details available for {title}",
+      tourStopped: "Tour stopped, the camera is yours",
+      qualityReduced: {
+        decorations: "Low frame rate: decorations turned off",
+        particles: "Low frame rate: particles turned off",
+        shadows: "Low frame rate: shadows turned off",
+        pixelRatio: "Low frame rate: render resolution lowered",
+      },
+    },
+    resume: {
+      title: "Curriculum Vitae",
+      print: "🖨️ Print / Save as PDF",
+      markdown: "⬇️ Download Markdown",
+      pdfHint: 'For a PDF, pick "Save as PDF" as the printer.',
+      preview: "CV preview",
+      profile: "Profile",
+      experience: "Experience",
+      projects: "Projects",
+      skills: "Skills",
+      technologies: "Technologies",
+    },
+    // Tutorial strings may contain trusted inline HTML
+    tutorial: {
+      title: "📱 How to Use This 3D Portfolio",
+      navigationHeading: "🖱️ Basic Navigation:",
+      navigation: [
+        "<strong>Mouse</strong>: Click and drag to rotate camera view",
+        "<strong>Scroll</strong>: Zoom in/out of the office",
+        "<strong>Click</strong>: Interactive elements will show pointer cursor",
+      ],
+      keyboardHeading: "⌨️ Keyboard:",
+      keyboard: [
+        "<strong>1-9</strong>: Jump to a hologram screen, <strong>0</strong> or <strong>Home</strong> back to the main view",
+        "<strong>← / →</strong>: Previous / next section",
+        "<strong>Tab</strong>: Move the highlight between screens, buttons, robot and phone",
+        "<strong>Enter</strong>: Open the highlighted object or the details of the current screen",
+        "<strong>W A S D</strong>: Rotate the camera, <strong>Q / E</strong>: Zoom out / in",
+        "<strong>Esc</strong>: Clear the highlight or stop following the screen",
+      ],
+      hologramHeading: "🔮 Hologram Screens Guide:",
+      hologramItem: 'Click "{title}" hologram',
+      featuresHeading: "⚡ Interactive Features:",
+      features: [
+        '<strong>"{details}"</strong> button → View detailed information',
+        '<strong>"{back}"</strong> button → Return to main view',
+        "<strong>Robot Helper</strong> → Click me anytime for help!",
+        "<strong>Auto Focus</strong> → Camera automatically centers on selected content",
+      ],
+      tipsHeading: "💡 Pro Tips:",
+      tips: [
+        "Explore all {count} hologram screens around the office",
+        "Each screen has unique content and details",
+        "Robot moves randomly - click for instant help",
+        "Use mouse wheel for best viewing angle",
+      ],
+      welcome: "Welcome to my Cyberpunk Office! 🚀",
+    },
+  },
+  content: {},
+};
@@ -0,0 +1,385 @@
+// Bahasa Indonesia UI strings and portfolio content overrides.
+// Content overrides are merged onto portfolioContent.js, lists item by item,
+// so only translated fields are listed. Never override `section`, it is
+// part of the URL.
+
+export const id = {
+  name: "ID",
+  ui: {
+    nav: {
+      home: "Beranda",
+    },
+    actions: {
+      copyViewLink: "🔗 Salin Link Tampilan",
+      copyViewLinkTitle: "Salin link ke tampilan kamera ini",
+      linkCopied: "Link Tersalin!",
+      copyPrompt: "Salin link tampilan ini:",
+      language: "Bahasa",
+      exportCv: "📄 Ekspor CV",
+      exportCvTitle: "CV siap cetak, PDF dan Markdown",
+      mode2d: "🗂️ Mode 2D",
+      mode2dTitle: "Tampilkan portfolio sebagai halaman biasa",
+      mode3d: "🧊 Mode 3D",
+      mode3dTitle: "Kembali ke kantor 3D",
+      startTour: "🎬 Mulai Tur",
+      startTourTitle: "Terbang keliling kantor dengan teks narasi",
+      walk: "🚶 Mode Jalan",
+      walkTitle: "Jelajahi kantor dari sudut pandang orang pertama",
+      orbit: "🛸 Mode Orbit",
+      orbitTitle: "Kembali memutari kantor",
+    },
+    walk: {
+      hintMouse:
+        "Klik untuk melihat sekeliling · WASD / panah untuk berjalan · Shift untuk berlari · E untuk berinteraksi · Esc dua kali untuk keluar",
+      hintTouch: "Joystick untuk berjalan · geser untuk melihat sekeliling",
+      targets: {
+        hologram: "Lihat {title}",
+        phone: "Cek ponsel",
+      },
+    },
+    tour: {
+      label: "Tur terpandu",
+      pause: "⏸ Jeda",
+      resume: "▶ Lanjut",
+      skip: "⏭ Lewati",
+      stop: "✕ Berhenti",
+      progress: "{current} / {total}",
+    },
+    loading: {
+      messages: [
+        "Menginisialisasi Terminal Cyberpunk...",
+        "Memuat Lingkungan 3D...",
+        "Menyalakan Sistem Neon...",
+        "Menyinkronkan Hologram...",
+        "Mengkalibrasi Antarmuka Neural...",
+        "Memuat Data Portofolio...",
+        "Merender Kantor Cyberpunk...",
+        "Mengaktifkan Elemen Interaktif...",
+        "Menyelesaikan Koneksi Matrix...",
+        "Siap Memasuki Cyberspace...",
+      ],
+    },
+    hologram: {
+      details: "LIHAT DETAIL",
+      back: "KEMBALI",
+    },
+    timeline: {
+      present: "Sekarang",
+    },
+    robot: {
+      help: "Butuh Bantuan?",
+      yes: "YA",
+      no: "TIDAK",
+    },
+    phone: {
+      close: "Tutup",
+      scanQr: "Pindai untuk simpan kontak",
+      copied: "Tersalin!",
+    },
+    keyboard: {
+      canvas:
+        "Kantor 3D. Tab berpindah antar objek, Enter membukanya, tombol angka dan panah berganti bagian, W A S D memutar dan Q E memperbesar/memperkecil.",
+      targets: {
+        hologram: "Hologram {title}",
+        details: "{title}: lihat detail",
+        back: "Kembali ke tampilan utama",
+        robot: "Robot helper",
+        phone: "Kontak di ponsel",
+      },
+    },
+    modal: {
+      close: "Tutup",
+      technologies: "Teknologi",
+      experience: "Pengalaman:",
+      location: "Lokasi:",
+      timezone: "Zona Waktu:",
+      notAvailable: "Konten tidak tersedia",
+      back: "Kembali",
+      viewProject: "Lihat detail {name}",
+      image: "Gambar",
+      role: "Peran:",
+      outcomes: "Hasil",
+      repo: "Kode Sumber",
+      live: "Demo Langsung",
+      media: "Media project",
+      openImage: "Perbesar gambar",
+      previous: "Sebelumnya",
+      next: "Berikutnya",
+      slide: "Slide {current} dari {total}",
+      contactCard: "Simpan kontak saya",
+      contactCardHint:
+        "Pindai kode dengan kamera ponsel, atau unduh vCard-nya.",
+      contactCardQr: "Kode QR berisi detail kontak saya",
+      downloadVcard: "⬇️ Unduh vCard (.vcf)",
+      copy: "Salin",
+      copyContact: "Salin {type}",
+      skills: {
+        view: "Tampilan",
+        list: "Daftar",
+        chart: "Grafik",
+        year: "1 tahun",
+        years: "{count} tahun",
+        usedIn: "Dipakai di:",
+        noProjects: "Belum dipakai di project yang ditampilkan",
+      },
+      filters: {
+        search: "Cari",
+        searchPlaceholder: "Nama, deskripsi atau teknologi…",
+        tech: "Teknologi",
+        status: "Status",
+        year: "Tahun",
+        sort: "Urutkan",
+        all: "Semua",
+        sorts: {
+          default: "Urutan bawaan",
+          newest: "Terbaru",
+          oldest: "Terlama",
+          name: "Nama (A–Z)",
+        },
+        count: "{count} dari {total} project",
+        empty: "Tidak ada project yang cocok dengan filter ini.",
+        reset: "Hapus filter",
+        byTech: "Tampilkan project dengan {tech}",
+      },
+      projectStatus: {
+        Completed: "Selesai",
+        "In Progress": "Sedang Berjalan",
+      },
+      skillLevels: {
+        Advanced: "Mahir",
+        Intermediate: "Menengah",
+        Beginner: "Pemula",
+      },
+    },
+    flat: {
+      sections: "Bagian",
+      noWebgl:
+        "Browser kamu tidak bisa menampilkan kantor 3D (WebGL tidak tersedia), jadi ini versi 2D-nya.",
+    },
+    contactForm: {
+      title: "📨 Kirim Pesan",
+      name: "Nama",
+      email: "E-mail",
+      message: "Pesan",
+      submit: "Kirim Pesan",
+      sendingButton: "Mengirim…",
+      sending: "Pesan sedang dikirim…",
+      sent: {
+        http: "Terima kasih! Pesan terkirim, saya akan segera membalas.",
+        mailto: "Aplikasi e-mail akan terbuka dengan pesan yang siap dikirim.",
+      },
+      failed: "Maaf, pesan gagal dikirim.",
+      useMail: "Kirim lewat aplikasi e-mail saja",
+      invalid: "Periksa kembali kolom yang ditandai.",
+      rateLimited:
+        "Kamu sudah mengirim beberapa pesan, coba lagi dalam {minutes} menit.",
+      subject: "Pesan dari portfolio",
+      errors: {
+        required: "Kolom ini wajib diisi.",
+        invalid: "Masukkan alamat e-mail yang valid.",
+        tooShort: "Tulis minimal {limit} karakter.",
+        tooLong: "Maksimal {limit} karakter.",
+      },
+    },
+    notifications: {
+      dismiss: "Tutup",
+      copied: "{type} tersalin ke clipboard",
+      copyFailed: "Gagal menyalin, silakan pilih teksnya secara manual",
+      unknownSection: 'Bagian "{section}" tidak ada, menampilkan kantor',
+      invalidViewLink: "Link tampilan ini rusak, menampilkan tampilan biasa",
+      missingContent: "Detail untuk {title} tidak tersedia",
+      tourStopped: "Tur dihentikan, kamera sekarang milikmu",
+      qualityReduced: {
+        decorations: "Frame rate rendah: dekorasi dimatikan",
+        particles: "Frame rate rendah: partikel dimatikan",
+        shadows: "Frame rate rendah: bayangan dimatikan",
+        pixelRatio: "Frame rate rendah: resolusi render diturunkan",
+      },
+    },
+    resume: {
+      title: "Curriculum Vitae",
+      print: "🖨️ Cetak / Simpan PDF",
+      markdown: "⬇️ Unduh Markdown",
+      pdfHint: 'Untuk PDF, pilih "Simpan sebagai PDF" sebagai printer.',
+      preview: "Pratinjau CV",
+      profile: "Profil",
+      experience: "Pengalaman",
+      projects: "Project",
+      skills: "Keahlian",
+      technologies: "Teknologi",
+    },
+    tutorial: {
+      title: "📱 Cara Menggunakan Portofolio 3D Ini",
+      navigationHeading: "🖱️ Navigasi Dasar:",
+      navigation: [
+        "<strong>Mouse</strong>: Klik dan geser untuk memutar kamera",
+        "<strong>Scroll</strong>: Perbesar/perkecil tampilan kantor",
+        "<strong>Klik</strong>: Elemen interaktif menampilkan kursor pointer",
+      ],
+      keyboardHeading: "⌨️ Keyboard:",
+      keyboard: [
+        "<strong>1-9</strong>: Lompat ke layar hologram, <strong>0</strong> atau <strong>Home</strong> kembali ke tampilan utama",
+        "<strong>← / →</strong>: Bagian sebelumnya / berikutnya",
+        "<strong>Tab</strong>: Pindahkan sorotan antar layar, tombol, robot dan ponsel",
+        "<strong>Enter</strong>: Buka objek yang disorot atau detail layar saat ini",
+        "<strong>W A S D</strong>: Putar kamera, <strong>Q / E</strong>: Perkecil / perbesar",
+        "<strong>Esc</strong>: Hapus sorotan atau berhenti mengikuti layar",
+      ],
+      hologramHeading: "🔮 Panduan Layar Hologram:",
+      hologramItem: 'Klik hologram "{title}"',
+      featuresHeading: "⚡ Fitur Interaktif:",
+      features: [
+        'Tombol <strong>"{details}"</strong> → Lihat informasi lengkap',
+        'Tombol <strong>"{back}"</strong> → Kembali ke tampilan utama',
+        "<strong>Robot Helper</strong> → Klik saya kapan saja untuk bantuan!",
+        "<strong>Auto Focus</strong> → Kamera otomatis mengarah ke konten yang dipilih",
+      ],
+      tipsHeading: "💡 Tips:",
+      tips: [
+        "Jelajahi {count} layar hologram di sekeliling kantor",
+        "Setiap layar punya konten dan detail tersendiri",
+        "Robot bergerak acak - klik untuk bantuan instan",
+        "Gunakan scroll mouse untuk sudut pandang terbaik",
+      ],
+      welcome: "Selamat datang di Kantor Cyberpunk saya! 🚀",
+    },
+  },
+  content: {
+    about: {
+      title: "Tentang Saya",
+      description: `Saya Taufik Hidayat Zebua, seorang programmer dengan passion dalam mengembangkan aplikasi web modern dan teknologi AI. Dengan pengalaman dalam berbagai teknologi programming, saya selalu antusias untuk belajar hal-hal baru dan menghadapi tantangan teknis yang menarik.
+
+Saya memiliki minat khusus dalam:
+• Frontend Development dengan teknologi terkini
+• 3D Web Development menggunakan Three.js
+• UI/UX Design yang user-friendly
+• Performance Optimization
+• Clean Code & Best Practices`,
+      experience: "3+ tahun",
+    },
+
+    projects: {
+      title: "Project Saya",
+      description: `Berikut adalah beberapa project yang telah saya kerjakan, menunjukkan kemampuan saya dalam berbagai teknologi dan domain aplikasi.`,
+      projectList: [
+        {
+          description:
+            "Interactive 3D portfolio website menggunakan Three.js dengan tema cyberpunk office environment.",
+          role: "Solo developer - desain, scene 3D dan frontend",
+          outcomes: [
+            "Seluruh scene kantor dibuat lewat kode, tanpa model 3D eksternal",
+            "Deep link yang bisa dibagikan untuk setiap hologram dan sudut kamera",
+            "Versi Inggris dan Indonesia dengan pergantian bahasa langsung",
+          ],
+        },
+        {
+          description:
+            "Full-stack e-commerce solution dengan fitur shopping cart, payment integration, dan admin dashboard.",
+        },
+        {
+          description:
+            "Aplikasi manajemen tugas dengan real-time collaboration dan drag-drop interface.",
+        },
+        {
+          description:
+            "Dashboard cuaca interaktif dengan data visualization dan forecast accuracy.",
+        },
+      ],
+    },
+
+    skills: {
+      title: "Keahlian Teknis",
+      description: `Saya memiliki pengalaman dalam berbagai teknologi dan tools development modern. Berikut adalah skills utama yang saya kuasai:`,
+      skillCategories: [{}, {}, { category: "Tools & Lainnya" }],
+    },
+
+    contact: {
+      title: "Informasi Kontak",
+      description: `Jika Anda tertarik untuk berkolaborasi atau memiliki pertanyaan tentang project saya, jangan ragu untuk menghubungi saya melalui channel berikut:`,
+      availability: "Tersedia untuk project freelance dan kesempatan full-time",
+    },
+
+    experience: {
+      title: "Pengalaman",
+      description: `Tempat saya bekerja dan apa yang saya bangun selama ini. Terbaru di atas.`,
+      entries: [
+        {
+          location: "Remote",
+          highlights: [
+            "Membangun portofolio 3D interaktif ini dengan Three.js dan GSAP",
+            "Mengembangkan platform e-commerce full-stack dengan React dan Node.js",
+            "Merilis PWA manajemen tugas dengan real-time collaboration",
+          ],
+        },
+        {
+          highlights: [
+            "Membangun dashboard cuaca dengan visualisasi D3.js dan Chart.js",
+            "Mengembangkan dan memelihara website dengan PHP dan MySQL",
+          ],
+        },
+      ],
+    },
+
+    hologram: {
+      screens: [
+        {
+          title: "TENTANG",
+          subtitle: "Programmer & 3D Developer",
+          preview:
+            "Antusias dengan teknologi web modern\ndan pengembangan 3D dengan Three.js",
+          hint: "Lihat latar belakang dan pengalaman saya",
+        },
+        {
+          title: "PROJECT",
+          subtitle: "Etalase Portofolio",
+          preview:
+            "Website 3D interaktif, platform\ne-commerce, dan aplikasi web modern",
+          hint: "Lihat project-project portofolio saya",
+        },
+        {
+          title: "KEAHLIAN",
+          subtitle: "Keahlian Teknis",
+          preview:
+            "JavaScript, React, Vue.js, Three.js\nNode.js, PHP, dan tools modern",
+          hint: "Keahlian teknis dan tools",
+        },
+        {
+          title: "KONTAK",
+          subtitle: "Hubungi Saya",
+          preview:
+            "Tersedia untuk project freelance\ndan peluang kolaborasi",
+          hint: "Hubungi saya untuk kolaborasi",
+        },
+        {
+          title: "PENGALAMAN",
+          subtitle: "Linimasa Karier",
+          preview: "Freelance web & 3D development\nsejak 2022",
+          hint: "Telusuri riwayat kerja saya",
+        },
+      ],
+    },
+    tour: {
+      steps: [
+        {
+          caption:
+            "Selamat datang di kantor cyberpunk saya! Santai saja, saya ajak keliling.",
+        },
+        {
+          caption:
+            "Ini saya: programmer yang suka teknologi web modern dan 3D di web.",
+        },
+        {
+          caption:
+            "Ini karya-karya saya, dari website 3D sampai platform e-commerce.",
+        },
+        {
+          caption: "Bahasa, framework dan tools yang saya pakai setiap hari.",
+        },
+        {
+          caption:
+            "Tertarik? Di sini kamu bisa menghubungi saya. Terima kasih sudah menonton!",
+        },
+      ],
+    },
+  },
+};
@@ -0,0 +1,7 @@
+// Available languages, keyed by locale code. English is the fallback for
+// missing UI strings.
+
+import { en } from "./en.js";
+import { id } from "./id.js";
+
+export const locales = { en, id };
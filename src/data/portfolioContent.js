@@ -1,14 +1,19 @@
 // Portfolio content data for modal displays
+//
+// This is the English (default) text. Translations live in src/data/locales
+// and only override the fields they change.
 
 export const portfolioContent = {
   about: {
     title: "About Me",
-    description: `Saya Taufik Hidayat Zebua, seorang programmer dengan passion dalam mengembangkan aplikasi web modern dan teknologi AI. Dengan pengalaman dalam berbagai teknologi programming, saya selalu antusias untuk belajar hal-hal baru dan menghadapi tantangan teknis yang menarik.
+    name: "Taufik Hidayat Zebua",
+    headline: "Programmer & 3D Developer",
+    description: `I'm Taufik Hidayat Zebua, a programmer with a passion for building modern web applications and AI technology. With experience across many programming technologies, I'm always eager to learn new things and take on interesting technical challenges.
 
-Saya memiliki minat khusus dalam:
-• Frontend Development dengan teknologi terkini
-• 3D Web Development menggunakan Three.js
-• UI/UX Design yang user-friendly
+I have a special interest in:
+• Frontend Development with the latest technologies
+• 3D Web Development using Three.js
+• User-friendly UI/UX Design
 • Performance Optimization
 • Clean Code & Best Practices`,
     technologies: [
@@ -30,20 +35,29 @@ Saya memiliki minat khusus dalam:
 
   projects: {
     title: "My Projects",
-    description: `Berikut adalah beberapa project yang telah saya kerjakan, menunjukkan kemampuan saya dalam berbagai teknologi dan domain aplikasi.`,
+    description: `Here are some of the projects I have worked on, showing my skills across different technologies and application domains.`,
     projectList: [
       {
         name: "3D Portfolio Website",
         description:
-          "Interactive 3D portfolio website menggunakan Three.js dengan tema cyberpunk office environment.",
+          "Interactive 3D portfolio website built with Three.js around a cyberpunk office environment.",
         technologies: ["Three.js", "JavaScript", "WebGL", "GSAP"],
         status: "Completed",
         year: "2025",
+        role: "Solo developer - design, 3D scene and frontend",
+        outcomes: [
+          "Whole office scene generated in code, no external 3D models",
+          "Shareable deep links for every hologram and camera view",
+          "English and Indonesian versions with live switching",
+        ],
+        // Optional media, files live in assets/ (e.g. assets/media/projects):
+        // screenshots: [{ src: "media/projects/office.webp", alt: "..." }],
+        // videos: [{ src: "media/projects/tour.mp4", caption: "..." }],
       },
       {
         name: "E-Commerce Platform",
         description:
-          "Full-stack e-commerce solution dengan fitur shopping cart, payment integration, dan admin dashboard.",
+          "Full-stack e-commerce solution with a shopping cart, payment integration and an admin dashboard.",
         technologies: ["React", "Node.js", "MongoDB", "Express"],
         status: "In Progress",
         year: "2024",
@@ -51,7 +65,7 @@ Saya memiliki minat khusus dalam:
       {
         name: "Task Management App",
         description:
-          "Aplikasi manajemen tugas dengan real-time collaboration dan drag-drop interface.",
+          "Task management app with real-time collaboration and a drag-and-drop interface.",
         technologies: ["Vue.js", "Firebase", "CSS3", "PWA"],
         status: "Completed",
         year: "2024",
@@ -59,7 +73,7 @@ Saya memiliki minat khusus dalam:
       {
         name: "Weather Dashboard",
         description:
-          "Dashboard cuaca interaktif dengan data visualization dan forecast accuracy.",
+          "Interactive weather dashboard with data visualization and accurate forecasts.",
         technologies: ["React", "D3.js", "API Integration", "Chart.js"],
         status: "Completed",
         year: "2023",
@@ -69,7 +83,7 @@ Saya memiliki minat khusus dalam:
 
   skills: {
     title: "Technical Skills",
-    description: `Saya memiliki pengalaman dalam berbagai teknologi dan tools development modern. Berikut adalah skills utama yang saya kuasai:`,
+    description: `I have experience with a wide range of modern development technologies and tools. These are my main skills:`,
     skillCategories: [
       {
         category: "Frontend Development",
@@ -107,39 +121,194 @@ Saya memiliki minat khusus dalam:
 
   contact: {
     title: "Contact Information",
-    description: `Jika Anda tertarik untuk berkolaborasi atau memiliki pertanyaan tentang project saya, jangan ragu untuk menghubungi saya melalui channel berikut:`,
+    description: `If you're interested in working together or have questions about my projects, feel free to reach me through any of these channels:`,
+    // One button per entry on the phone hologram, in this order. `action`
+    // is "link" (open `link`), "mailto" (write to `value`) or "copy"
     contactInfo: [
       {
         type: "Email",
         value: "taufikhidayatzebua@gmail.com",
         icon: "✉️",
+        color: "#4285f4",
+        action: "mailto",
+      },
+      {
+        type: "WhatsApp",
+        value: "+62 822-9840-0897",
+        icon: "💬",
+        color: "#25d366",
+        action: "link",
+        link: "https://wa.me/6282298400897",
       },
       {
         type: "LinkedIn",
         value: "linkedin.com/in/taufikhizet",
         icon: "💼",
+        color: "#0a66c2",
+        action: "link",
         link: "https://linkedin.com/in/taufikhizet",
       },
       {
         type: "GitHub",
         value: "github.com/taufikhizet",
         icon: "🐱",
+        color: "#8957e5",
+        action: "link",
         link: "https://github.com/taufikhizet",
       },
       {
         type: "Portfolio",
         value: "taufikhizet.github.io",
         icon: "🌐",
+        color: "#00b8d4",
+        action: "link",
         link: "https://taufikhizet.github.io",
       },
       {
         type: "Phone",
         value: "+62 xxx-xxx-xxxx",
         icon: "📱",
+        color: "#ff9800",
+        action: "copy",
       },
     ],
     availability:
       "Available for freelance projects and full-time opportunities",
     timezone: "WIB (UTC+7)",
   },
+
+  // Hologram screens circling the office. Screens are spread evenly on a
+  // ring (angles in degrees, 0 = front, going clockwise seen from above);
+  // a screen can override its own radius, angle or height via `placement`.
+  // `section` is the URL/nav name, `modalType` the content shown by details.
+  experience: {
+    title: "Experience",
+    description: `Where I have worked and what I built along the way. Newest first.`,
+    entries: [
+      {
+        company: "Freelance",
+        role: "Frontend & 3D Web Developer",
+        start: "2024-01",
+        // No "end" means this is the current position
+        location: "Remote",
+        highlights: [
+          "Built this interactive 3D portfolio with Three.js and GSAP",
+          "Developing a full-stack e-commerce platform with React and Node.js",
+          "Shipped a task management PWA with real-time collaboration",
+        ],
+        technologies: ["Three.js", "React", "Node.js", "Vue.js", "Firebase"],
+      },
+      {
+        company: "Freelance",
+        role: "Web Developer",
+        start: "2022-01",
+        end: "2023-12",
+        location: "Indonesia",
+        highlights: [
+          "Built a weather dashboard with D3.js and Chart.js visualizations",
+          "Developed and maintained websites with PHP and MySQL",
+        ],
+        technologies: ["React", "D3.js", "PHP", "MySQL"],
+      },
+    ],
+  },
+
+  hologram: {
+    layout: {
+      radius: 25,
+      height: 10,
+      startAngle: -90, // First screen on the left side
+    },
+    screens: [
+      {
+        section: "about",
+        title: "ABOUT",
+        subtitle: "Programmer & 3D Developer",
+        preview:
+          "Passionate about modern web technologies\nand 3D development with Three.js",
+        hint: "View my background and experience",
+        color: "#00ffff",
+        modalType: "about",
+      },
+      {
+        section: "projects",
+        title: "PROJECTS",
+        subtitle: "Portfolio Showcase",
+        preview:
+          "Interactive 3D websites, E-commerce\nplatforms, and modern web applications",
+        hint: "See my portfolio projects",
+        color: "#00ffff",
+        modalType: "projects",
+        placement: { radius: 30 }, // Further back, behind the second desk
+      },
+      {
+        section: "skills",
+        title: "SKILLS",
+        subtitle: "Technical Expertise",
+        preview:
+          "JavaScript, React, Vue.js, Three.js\nNode.js, PHP, and modern tools",
+        hint: "Technical expertise and tools",
+        color: "#00ffff",
+        modalType: "skills",
+      },
+      {
+        section: "contact",
+        title: "CONTACT",
+        subtitle: "Get In Touch",
+        preview:
+          "Available for freelance projects\nand collaboration opportunities",
+        hint: "Get in touch for collaboration",
+        color: "#00ffff",
+        modalType: "contact",
+      },
+      {
+        section: "experience",
+        title: "EXPERIENCE",
+        subtitle: "Work Timeline",
+        preview: "Freelance web & 3D development\nsince 2022",
+        hint: "Scroll through my work history",
+        color: "#ffaa00",
+        modalType: "timeline",
+        content: "experience", // Timeline entries come from this section
+        placement: { angle: 45 }, // Front right, between CONTACT and SKILLS
+      },
+    ],
+  },
+
+  // Played by the "Start Tour" button. Stops can also be the robot, the
+  // phone or a viewpoint such as { stop: "viewpoint", viewpoint: "cpuTower" }
+  tour: {
+    steps: [
+      {
+        stop: "home",
+        caption:
+          "Welcome to my cyberpunk office! Sit back, I'll show you around.",
+        duration: 5,
+      },
+      {
+        stop: "section",
+        section: "about",
+        caption:
+          "This is me: a programmer who loves modern web tech and 3D on the web.",
+      },
+      {
+        stop: "section",
+        section: "projects",
+        caption:
+          "Here are the things I've built, from 3D websites to e-commerce platforms.",
+      },
+      {
+        stop: "section",
+        section: "skills",
+        caption: "The languages, frameworks and tools I work with every day.",
+      },
+      {
+        stop: "section",
+        section: "contact",
+        caption:
+          "Like what you see? This is where you can reach me. Thanks for watching!",
+        duration: 7,
+      },
+    ],
+  },
 };
@@ -11,9 +11,34 @@ import CyberpunkOffice from "./scenes/CyberpunkOffice.js";
 import LoadingManager from "./utils/LoadingManager.js";
 import PerformanceManager from "./utils/PerformanceManager.js";
 import NavigationManager from "./utils/NavigationManager.js";
+import KeyboardManager from "./utils/KeyboardManager.js";
+import TourManager from "./utils/TourManager.js";
+import WalkManager from "./utils/WalkManager.js";
+import CameraPathDebug from "./utils/CameraPathDebug.js";
 import InteractiveElements from "./components/InteractiveElements.js";
 import ModalManager from "./utils/ModalManager.js";
+import FlatPortfolio from "./components/FlatPortfolio.js";
+import NotificationManager from "./utils/NotificationManager.js";
+import Router from "./utils/Router.js";
+import ViewLinkManager from "./utils/ViewLinkManager.js";
+import { copyToClipboard } from "./utils/clipboard.js";
+import { createHttpTransport } from "./utils/contactTransports.js";
+import {
+  getPreferredMode,
+  isWebGLAvailable,
+  setPreferredMode,
+} from "./utils/displayMode.js";
+import I18nManager from "./utils/I18nManager.js";
+import ContentValidator from "./utils/ContentValidator.js";
+import ContentErrorOverlay from "./utils/ContentErrorOverlay.js";
+import ContentLoader from "./utils/ContentLoader.js";
+import {
+  applyLocaleContent,
+  getRouteSections,
+} from "./utils/contentUtils.js";
 import { portfolioContent } from "./data/portfolioContent.js";
+import { cameraRoutes } from "./data/cameraRoutes.js";
+import { locales } from "./data/locales/index.js";
 
 class Portfolio3D {
   constructor() {
@@ -23,11 +48,41 @@ class Portfolio3D {
     this.renderer = null;
     this.controls = null;
 
-    this.loadingManager = new LoadingManager();
+    // Catch broken content edits while developing (builds run the same
+    // check through `npm run validate:content`)
+    if (import.meta.env.DEV) {
+      this.validateContent();
+    }
+
+    // Language first - everything below reads its texts from it
+    this.i18n = new I18nManager({ locales, baseContent: portfolioContent });
+    this.content = this.i18n.getContent();
+
+    this.loadingManager = new LoadingManager(this.i18n);
     this.performanceManager = new PerformanceManager();
-    this.navigationManager = new NavigationManager();
-    this.interactiveElements = new InteractiveElements(this.scene);
-    this.modalManager = new ModalManager();
+    this.navigationManager = new NavigationManager({ routes: cameraRoutes });
+    this.keyboardManager = null;
+    this.tourManager = null;
+    this.walkManager = null;
+    this.interactiveElements = new InteractiveElements(this.scene, this.i18n);
+    this.notificationManager = new NotificationManager(this.i18n);
+    this.modalManager = new ModalManager(this.i18n);
+    this.modalManager.getContent = (type) => this.content[type];
+    this.modalManager.notifications = this.notificationManager;
+
+    // Contact form messages go to this endpoint when it is set (see
+    // .env.example), otherwise the form falls back to mailto:
+    if (import.meta.env.VITE_CONTACT_ENDPOINT) {
+      this.modalManager.contactTransport = createHttpTransport({
+        endpoint: import.meta.env.VITE_CONTACT_ENDPOINT,
+      });
+    }
+
+    // Hologram screen definitions, in screen index order
+    this.hologramScreens = this.content.hologram.screens;
+
+    this.router = new Router({ sections: this.getRouteSections() });
+    this.viewLinkManager = new ViewLinkManager();
 
     // Make modal manager globally accessible for robot interaction
     window.modalManager = this.modalManager;
@@ -49,12 +104,44 @@ class Portfolio3D {
     this.isLoaded = false;
     this.currentSection = "home";
 
+    // Without WebGL (or by choice) the portfolio is a 2D page instead
+    this.webglAvailable = isWebGLAvailable();
+    this.displayMode = this.webglAvailable ? getPreferredMode() : "2d";
+    this.flatPortfolio = null;
+
     this.init();
   }
 
+  validateContent() {
+    const validator = new ContentValidator();
+    const errors = validator.validateLocales(portfolioContent, locales);
+    if (errors.length === 0) return;
+
+    console.error(`Portfolio content has errors:\n${validator.format(errors)}`);
+    new ContentErrorOverlay().show(errors);
+  }
+
   init() {
+    // Fill the static markup in the detected language
+    this.i18n.translateDom();
+
+    if (this.displayMode === "2d") {
+      this.startFlatMode();
+      return;
+    }
+
     this.setupScene();
-    this.setupRenderer();
+    try {
+      this.setupRenderer();
+    } catch (error) {
+      // Detection passed but the context still failed (blocklisted GPU,
+      // lost context, ...)
+      console.error("WebGL renderer unavailable, using the 2D page:", error);
+      this.webglAvailable = false;
+      this.displayMode = "2d";
+      this.startFlatMode();
+      return;
+    }
     this.setupCamera();
     this.setupControls();
     this.setupLights();
@@ -73,6 +160,33 @@ class Portfolio3D {
     this.setupLoadingManager();
   }
 
+  // 2D page in place of the office: same content, same modals, no scene
+  async startFlatMode() {
+    document.body.classList.add("flat-mode");
+    this.setupActionPanel();
+
+    await this.loadContent();
+
+    this.flatPortfolio = new FlatPortfolio(this.modalManager, this.i18n);
+    document.body.insertBefore(
+      this.flatPortfolio.element,
+      document.getElementById("ui-overlay")
+    );
+    this.renderFlatPortfolio();
+
+    // Section links such as /projects land on their section
+    const { section } = this.router.parse(window.location);
+    if (section !== "home") {
+      this.flatPortfolio.scrollToSection(section);
+    }
+  }
+
+  renderFlatPortfolio() {
+    this.flatPortfolio.render(this.content, {
+      notice: this.webglAvailable ? null : this.i18n.t("flat.noWebgl"),
+    });
+  }
+
   setupScene() {
     this.scene = new THREE.Scene();
     this.scene.background = new THREE.Color(0x0a0a0a);
@@ -98,6 +212,11 @@ class Portfolio3D {
 
     canvasContainer.appendChild(this.renderer.domElement);
     this.canvas = this.renderer.domElement;
+
+    // In the tab order for the keyboard controls (see KeyboardManager), and
+    // so closing a modal opened from the scene can hand focus back to it
+    this.canvas.tabIndex = 0;
+    this.modalManager.fallbackFocus = this.canvas;
   }
 
   setupCamera() {
@@ -108,10 +227,10 @@ class Portfolio3D {
       1000
     );
 
-    // Position camera to face the center monitor
-    // Center monitor is at position (0, 5.0, -1.5)
-    this.camera.position.set(0, 8, 12);
-    this.camera.lookAt(0, 5, -1.5);
+    // Start at the "home" viewpoint, facing the center monitor
+    const { position, target } = this.navigationManager.viewpoints.home;
+    this.camera.position.set(position.x, position.y, position.z);
+    this.camera.lookAt(target.x, target.y, target.z);
   }
 
   setupControls() {
@@ -121,7 +240,9 @@ class Portfolio3D {
     this.controls.minDistance = 5;
     this.controls.maxDistance = 50;
     this.controls.maxPolarAngle = Math.PI * 0.75;
-    this.controls.target.set(0, 5, -1.5); // Target center monitor
+    // Target center monitor, as in the "home" viewpoint
+    const { target } = this.navigationManager.viewpoints.home;
+    this.controls.target.set(target.x, target.y, target.z);
     this.controls.autoRotate = true;
     this.controls.autoRotateSpeed = 0.5;
   }
@@ -200,20 +321,71 @@ class Portfolio3D {
     this.scene.add(textAmbient);
   }
 
+  // Prefer content/*.json from the public folder, keep the bundled
+  // portfolioContent when it is missing, unreachable or invalid
+  async loadContent() {
+    const loader = new ContentLoader({
+      fallback: portfolioContent,
+      localeCodes: Object.keys(locales),
+    });
+
+    // One extra step for building the scene afterwards
+    loader.onProgress = (loaded, total) => {
+      this.loadingManager.setProgress(loaded, total + 1);
+    };
+
+    let loaded;
+    try {
+      loaded = await loader.load();
+    } catch (error) {
+      console.warn("Using bundled portfolio content:", error.message);
+      return;
+    }
+
+    const validator = new ContentValidator();
+    const errors = validator.validateLocales(
+      loaded.content,
+      applyLocaleContent(locales, loaded.localeContent)
+    );
+    if (errors.length > 0) {
+      const report = validator.format(errors);
+      console.error(
+        `Loaded content has errors, using bundled content:\n${report}`
+      );
+      if (import.meta.env.DEV) {
+        new ContentErrorOverlay().show(errors, "content/ has errors");
+      }
+      return;
+    }
+
+    this.i18n.setBaseContent(loaded.content, loaded.localeContent);
+    this.content = this.i18n.getContent();
+    this.hologramScreens = this.content.hologram.screens;
+    this.router.sections = this.getRouteSections();
+  }
+
   async loadScene() {
     try {
+      await this.loadContent();
+      this.setupNavigationButtons();
+
       this.cyberpunkOffice = new CyberpunkOffice(
         this.scene,
-        this.loadingManager
+        this.loadingManager,
+        this.content.hologram,
+        this.i18n
       );
+      this.cyberpunkOffice.getContent = (key) => this.content[key];
+      this.cyberpunkOffice.notifications = this.notificationManager;
+      this.cyberpunkOffice.navigation = this.navigationManager;
       await this.cyberpunkOffice.load();
 
-      // Setup navigation after scene is loaded
-      this.navigationManager.setup(
-        this.camera,
-        this.controls,
-        this.cyberpunkOffice
-      );
+      // Setup navigation after scene is loaded. Camera flights go around
+      // the same obstacles the robot walks around
+      this.navigationManager.setup(this.camera, this.controls, this.scene);
+      this.navigationManager.obstacles = this.cyberpunkOffice.obstacles;
+      this.navigationManager.location = "home"; // See setupCamera
+      this.setupCameraPathDebug();
 
       // Setup interactive elements
       this.interactiveElements.setCamera(this.camera);
@@ -223,6 +395,13 @@ class Portfolio3D {
       this.createRotatingText();
 
       this.isLoaded = true;
+      this.loadingManager.complete();
+
+      this.setupTour();
+      this.setupWalkMode();
+
+      // Apply the route from the URL now that the scene can respond to it
+      this.setupRouter();
 
       // Scene is loaded, loading will continue automatically
     } catch (error) {
@@ -230,6 +409,175 @@ class Portfolio3D {
     }
   }
 
+  setupRouter() {
+    // Drop the "/details" part of the URL when a details modal is dismissed
+    this.modalManager.onClose = () => {
+      if (this.router.currentRoute && this.router.currentRoute.view) {
+        this.router.navigate(
+          { section: this.currentSection },
+          { replace: true }
+        );
+      }
+    };
+
+    // Broken links fall back to a working view, say so instead of failing
+    // silently
+    this.router.onUnknownRoute = (section) => {
+      this.notificationManager.show(
+        this.i18n.t("notifications.unknownSection", { section }),
+        { type: "warning" }
+      );
+    };
+    this.viewLinkManager.onInvalidLink = () => {
+      this.notificationManager.show(
+        this.i18n.t("notifications.invalidViewLink"),
+        { type: "warning" }
+      );
+    };
+
+    // A shared view link pins the camera, otherwise follow the route
+    const initialRoute = this.router.start();
+    const viewLink = this.viewLinkManager.parse(window.location.search);
+
+    if (viewLink) {
+      this.restoreViewLink(viewLink, initialRoute);
+    } else {
+      this.applyRoute(initialRoute);
+    }
+
+    // Back/forward buttons
+    this.router.onRouteChange = (route) => {
+      this.applyRoute(route);
+    };
+  }
+
+  // ?debug=camera shows the planned camera paths in the scene
+  setupCameraPathDebug() {
+    const params = new URLSearchParams(window.location.search);
+    if (params.get("debug") !== "camera") return;
+
+    const debug = new CameraPathDebug(this.scene);
+    debug.showObstacles(this.navigationManager.obstacles);
+    debug.showRoutes(this.navigationManager.routes);
+    this.navigationManager.onPathPlanned = (points, curve) => {
+      debug.showFlight(points, curve);
+    };
+  }
+
+  // Bring the scene in line with a route coming from the URL
+  applyRoute(route) {
+    const { section, view } = route;
+
+    if (section === "home") {
+      if (this.modalManager.isOpen()) {
+        this.modalManager.closeModal();
+      }
+      if (this.currentSection !== "home" || this.activeHologramIndex !== -1) {
+        this.returnToDefaultView();
+      }
+      return;
+    }
+
+    const screenIndex = this.getScreenIndex(section);
+    if (screenIndex === -1) return;
+
+    if (
+      this.currentSection !== section ||
+      this.activeHologramIndex !== screenIndex
+    ) {
+      this.focusOnHologramScreen(screenIndex);
+    }
+
+    if (view === "details") {
+      this.showDetailsModal(screenIndex);
+    } else if (this.modalManager.isOpen()) {
+      this.modalManager.closeModal();
+    }
+  }
+
+  // Build a link to the exact camera view, including what is in focus
+  getViewLink() {
+    let focus = null;
+    if (this.cyberpunkOffice.phoneInteractionMode) {
+      focus = "phone";
+    } else if (this.cyberpunkOffice.robotInteractionMode) {
+      focus = "robot";
+    } else if (this.activeHologramIndex >= 0) {
+      focus = "hologram";
+    }
+
+    const section =
+      focus === "hologram"
+        ? this.hologramScreens[this.activeHologramIndex].section
+        : this.currentSection;
+
+    return this.viewLinkManager.buildUrl(this.router.buildPath({ section }), {
+      viewpoint: this.navigationManager.getCurrentViewpoint(),
+      focus,
+    });
+  }
+
+  async copyViewLink(button) {
+    if (!this.isLoaded) return;
+
+    const url = this.getViewLink();
+
+    try {
+      await copyToClipboard(url);
+      button.textContent = this.i18n.t("actions.linkCopied");
+      console.log("View link copied:", url);
+    } catch (error) {
+      // Let the visitor copy it by hand instead
+      console.error("Error copying view link:", error);
+      window.prompt(this.i18n.t("actions.copyPrompt"), url);
+    }
+
+    setTimeout(() => {
+      button.textContent = this.i18n.t("actions.copyViewLink");
+    }, 2000);
+  }
+
+  // Fly the camera to a shared view and re-enter the mode it was taken in
+  restoreViewLink({ viewpoint, focus }, route) {
+    const screenIndex = this.getScreenIndex(route.section);
+
+    // Keep the exact angle the link was made with
+    this.controls.autoRotate = false;
+
+    if (focus === "phone") {
+      this.cyberpunkOffice.enterPhoneMode(this.camera, this.controls, {
+        animateCamera: false,
+      });
+    } else if (focus === "robot") {
+      // The robot wanders around, so put it back under the shared view
+      this.cyberpunkOffice.placeRobotAt(viewpoint.target.x, viewpoint.target.z);
+      this.cyberpunkOffice.activateRobotHelpMode(this.camera, this.controls, {
+        animateCamera: false,
+      });
+    } else if (screenIndex !== -1) {
+      this.currentSection = route.section;
+      this.updateNavigationUI(route.section);
+
+      if (focus === "hologram") {
+        this.activeHologramIndex = screenIndex;
+        this.isHologramActive = false; // Activated once the camera arrives
+      }
+    }
+
+    const fromViewpoint = this.navigationManager.getCurrentViewpoint();
+    this.navigationManager
+      .customTransition(fromViewpoint, viewpoint)
+      .then((arrived) => {
+        if (!arrived) return;
+
+        if (focus === "hologram" && this.activeHologramIndex === screenIndex) {
+          this.isHologramActive = true;
+          this.cyberpunkOffice.showHologramContent(screenIndex);
+        }
+        console.log("Shared view link restored");
+      });
+  }
+
   setupLoadingManager() {
     // Setup rotating loading messages
     this.setupLoadingMessages();
@@ -257,16 +605,7 @@ class Portfolio3D {
     const loadingText = document.getElementById("loading-text");
     if (!loadingText) return;
 
-    const messages = [
-      "Initializing Cyberpunk Terminal...",
-      "Loading 3D Environment...",
-      "Connecting Neural Networks...",
-      "Activating Hologram Systems...",
-      "Calibrating Reality Matrix...",
-      "Synchronizing Digital Assets...",
-      "Preparing Portfolio Interface...",
-      "Almost Ready to Launch...",
-    ];
+    const messages = this.i18n.t("loading.messages");
 
     let messageIndex = 0;
 
@@ -356,26 +695,363 @@ class Portfolio3D {
       this.onMouseMove(event);
     });
 
-    // Keyboard escape to deactivate hologram tracking
-    document.addEventListener("keydown", (event) => {
-      if (event.key === "Escape" && this.isHologramActive) {
-        this.deactivateHologram();
+    this.setupKeyboardControls();
+
+    // Copy a link to the current camera view
+    const copyViewLinkButton = document.getElementById("copy-view-link");
+    if (copyViewLinkButton) {
+      copyViewLinkButton.addEventListener("click", () => {
+        this.copyViewLink(copyViewLinkButton);
+      });
+    }
+
+    this.setupActionPanel();
+
+    // Navigation buttons are set up once the content is loaded, since the
+    // hologram sections come from it (see setupNavigationButtons)
+
+    // Performance monitoring
+    this.performanceManager.onPerformanceChange = (settings) => {
+      this.applyPerformanceSettings(settings);
+    };
+    this.performanceManager.onQualityReduced = (setting) => {
+      this.notificationManager.show(
+        this.i18n.t(`notifications.qualityReduced.${setting}`),
+        { type: "warning" }
+      );
+    };
+  }
+
+  // Section keys, Enter, Tab through the 3D objects and WASD/QE orbiting
+  setupKeyboardControls() {
+    this.keyboardManager = new KeyboardManager(this.canvas, this.i18n);
+    this.keyboardManager.setup(this.camera, this.controls);
+
+    // Modals have their own keys, walk mode too
+    this.keyboardManager.isEnabled = () =>
+      this.isLoaded &&
+      !this.modalManager.isOpen() &&
+      !this.walkManager?.isActive;
+    this.keyboardManager.getTargets = () => this.getKeyboardTargets();
+
+    this.keyboardManager.onSectionKey = (number) => {
+      const section = this.getRouteSections()[number];
+      if (section) this.navigateToSection(section);
+    };
+    this.keyboardManager.onSectionStep = (step) => {
+      const sections = this.getRouteSections();
+      const index = sections.indexOf(this.currentSection);
+      this.navigateToSection(
+        sections[(index + step + sections.length) % sections.length]
+      );
+    };
+
+    // Enter opens the details of the hologram the camera is on
+    this.keyboardManager.onActivate = () => {
+      const screenIndex = this.getScreenIndex(this.currentSection);
+      if (screenIndex !== -1) this.showDetailsModal(screenIndex);
+    };
+
+    // Escape stops hologram tracking
+    this.keyboardManager.onEscape = () => {
+      if (this.isHologramActive) this.deactivateHologram();
+    };
+  }
+
+  // What Tab can focus in the scene, in order: the robot's and phone's
+  // open buttons first, then the hologram buttons, screens, robot and phone
+  getKeyboardTargets() {
+    if (!this.cyberpunkOffice) return [];
+
+    const office = this.cyberpunkOffice;
+    const t = (key, params) => this.i18n.t(key, params);
+    const targets = [];
+
+    if (office.robotInteractionMode) {
+      office.getRobotButtons().forEach(({ button, type }) => {
+        targets.push({
+          object: button,
+          label: t(`robot.${type}`),
+          activate: () => this.answerRobotHelp(type),
+        });
+      });
+    }
+
+    if (office.phoneHologram && office.phoneHologram.visible) {
+      office.phoneButtons.forEach((button) => {
+        const { type, contactIndex } = button.userData;
+        targets.push({
+          object: button,
+          label:
+            type === "close"
+              ? t("phone.close")
+              : office.getContactLabel(contactIndex),
+          activate: () => this.pressPhoneButton(button.userData),
+        });
+      });
+    }
+
+    office.getBackButtons().forEach(({ button }) => {
+      targets.push({
+        object: button,
+        label: t("keyboard.targets.back"),
+        activate: () => this.returnToDefaultView(),
+      });
+    });
+
+    office.getInternalDetailsButtons().forEach(({ button, screenIndex }) => {
+      targets.push({
+        object: button,
+        label: t("keyboard.targets.details", {
+          title: this.hologramScreens[screenIndex].title,
+        }),
+        activate: () => this.showDetailsModal(screenIndex),
+      });
+    });
+
+    office.getHologramScreens().forEach((screen, screenIndex) => {
+      targets.push({
+        object: screen,
+        label: t("keyboard.targets.hologram", {
+          title: this.hologramScreens[screenIndex].title,
+        }),
+        // A second Enter on the screen in front of the camera opens it
+        activate: () => {
+          if (
+            this.isHologramActive &&
+            this.activeHologramIndex === screenIndex
+          ) {
+            this.showDetailsModal(screenIndex);
+          } else {
+            this.focusOnHologramScreen(screenIndex);
+          }
+        },
+      });
+    });
+
+    if (office.objects.robot && !office.robotInteractionMode) {
+      targets.push({
+        object: office.objects.robot,
+        label: t("keyboard.targets.robot"),
+        activate: () => this.activateRobotHelp(),
+      });
+    }
+
+    if (office.objects.phone) {
+      targets.push({
+        object: office.objects.phone,
+        label: t("keyboard.targets.phone"),
+        activate: () => {
+          office.handlePhoneClick(this.camera, this.controls);
+        },
+      });
+    }
+
+    return targets;
+  }
+
+  // "Start Tour" plays content.tour, the button stays hidden without one
+  setupTour() {
+    const startButton = document.getElementById("start-tour");
+    if (!startButton || !this.content.tour) return;
+
+    this.tourManager = new TourManager(this.i18n);
+    this.tourManager.goTo = (step) => this.showTourStop(step);
+    this.tourManager.onStop = (reason) => {
+      if (reason === "input" || reason === "interrupted") {
+        this.notificationManager.show(this.i18n.t("notifications.tourStopped"));
+      }
+    };
+
+    startButton.hidden = false;
+    startButton.addEventListener("click", () => {
+      if (this.modalManager.isOpen()) this.modalManager.closeModal();
+      // Steps are read now, so the captions follow the current language
+      this.tourManager.start(this.content.tour.steps);
+    });
+  }
+
+  // "Walk Mode" swaps OrbitControls for walking around on foot
+  setupWalkMode() {
+    const walkButton = document.getElementById("walk-mode");
+    if (!walkButton) return;
+
+    this.walkManager = new WalkManager(this.canvas, this.i18n);
+    this.walkManager.setup(this.camera);
+
+    // Same footprints and scene boundary the robot walks around
+    this.walkManager.isBlocked = (x, z) =>
+      this.cyberpunkOffice.checkCollision(x, z, 1.2);
+    this.walkManager.getTargets = () => this.getWalkTargets();
+
+    this.walkManager.onExit = (reason) => {
+      this.updateWalkButton(walkButton);
+
+      // Orbit around a point just ahead, so nothing jumps
+      const forward = new THREE.Vector3();
+      this.camera.getWorldDirection(forward);
+      this.controls.target
+        .copy(this.camera.position)
+        .addScaledVector(forward, 10);
+      this.controls.enabled = true;
+
+      if (reason === "leave") this.returnToDefaultView();
+    };
+
+    // Any camera flight (navigation, tour, back/forward) ends the walk
+    this.navigationManager.onBeforeMove = () => {
+      this.walkManager.exit("camera");
+    };
+
+    walkButton.hidden = false;
+    walkButton.addEventListener("click", () => {
+      if (this.walkManager.isActive) {
+        this.walkManager.exit("leave");
+      } else {
+        this.startWalking(walkButton);
       }
     });
+  }
+
+  startWalking(walkButton) {
+    if (this.modalManager.isOpen()) this.modalManager.closeModal();
 
-    // Navigation buttons
+    // Closing the phone or robot flies the camera back, stop that too
+    this.leaveFocusModes();
+    this.navigationManager.cancel();
+    this.navigationManager.location = null;
+    this.keyboardManager.clearFocus();
+    this.controls.autoRotate = false;
+    this.controls.enabled = false;
+
+    this.walkManager.enter();
+    this.updateWalkButton(walkButton);
+  }
+
+  updateWalkButton(walkButton) {
+    const walking = this.walkManager.isActive;
+    walkButton.dataset.i18n = walking ? "actions.orbit" : "actions.walk";
+    walkButton.dataset.i18nTitle = walking
+      ? "actions.orbitTitle"
+      : "actions.walkTitle";
+    walkButton.setAttribute("aria-pressed", String(walking));
+    this.i18n.translateDom(walkButton.parentNode);
+  }
+
+  // What the walker can use: the hologram screens and the phone
+  getWalkTargets() {
+    const office = this.cyberpunkOffice;
+    const t = (key, params) => this.i18n.t(key, params);
+
+    const targets = this.hologramScreens.map(({ title }, screenIndex) => {
+      const [x, , z] = office.getHologramPlacement(screenIndex).position;
+      return {
+        position: { x, z },
+        range: 9,
+        label: t("walk.targets.hologram", { title }),
+        activate: () => this.focusOnHologramScreen(screenIndex),
+      };
+    });
+
+    if (office.objects.phone) {
+      targets.push({
+        position: office.objects.phone.position,
+        range: 6,
+        label: t("walk.targets.phone"),
+        activate: () => {
+          if (!office.phoneInteractionMode) {
+            office.enterPhoneMode(this.camera, this.controls);
+          }
+        },
+      });
+    }
+
+    return targets;
+  }
+
+  // Camera move of one tour step, resolves with whether it got there
+  showTourStop({ stop, section, viewpoint }) {
+    const office = this.cyberpunkOffice;
+
+    // The URL follows the tour without a history entry per stop
+    switch (stop) {
+      case "home":
+        return this.returnToDefaultView({ replace: true });
+
+      case "section":
+        return this.focusOnHologramScreen(this.getScreenIndex(section), {
+          replace: true,
+        });
+
+      case "viewpoint":
+        if (!this.navigationManager.viewpoints[viewpoint]) {
+          console.warn(`Tour: unknown viewpoint "${viewpoint}", skipping`);
+          return Promise.resolve(true);
+        }
+        this.leaveFocusModes();
+        this.controls.autoRotate = false;
+        return this.navigationManager.navigateTo(viewpoint);
+
+      case "robot":
+        if (office.robotInteractionMode) return Promise.resolve(true);
+        this.leaveFocusModes();
+        return this.activateRobotHelp();
+
+      case "phone":
+        if (office.phoneInteractionMode) return Promise.resolve(true);
+        this.leaveFocusModes();
+        return office.enterPhoneMode(this.camera, this.controls);
+
+      default:
+        return Promise.resolve(false);
+    }
+  }
+
+  // Buttons shared by the 3D office and the 2D page
+  setupActionPanel() {
+    // Switch between the office and the 2D page. The page reloads in the
+    // other mode, which is simpler than tearing the scene down
+    const modeButton = document.getElementById("display-mode");
+    if (modeButton) {
+      modeButton.hidden = !this.webglAvailable;
+      modeButton.dataset.i18n =
+        this.displayMode === "2d" ? "actions.mode3d" : "actions.mode2d";
+      modeButton.dataset.i18nTitle =
+        this.displayMode === "2d"
+          ? "actions.mode3dTitle"
+          : "actions.mode2dTitle";
+      this.i18n.translateDom(modeButton.parentNode);
+
+      modeButton.addEventListener("click", () => {
+        setPreferredMode(this.displayMode === "2d" ? "3d" : "2d");
+        window.location.reload();
+      });
+    }
+
+    // Printable CV built from the current content
+    const exportCvButton = document.getElementById("export-cv");
+    if (exportCvButton) {
+      exportCvButton.addEventListener("click", () => {
+        this.modalManager.showModal(this.content, "resume");
+      });
+    }
+
+    // Language switcher
+    this.renderLanguageSwitcher();
+    this.i18n.onLocaleChange = () => {
+      this.applyLocale();
+    };
+  }
+
+  setupNavigationButtons() {
+    this.renderNavigationButtons();
     const navButtons = document.querySelectorAll(".nav-button");
     navButtons.forEach((button) => {
       button.addEventListener("click", (e) => {
         const section = e.target.getAttribute("data-section");
 
         // Add visual feedback for hologram sections
-        const isHologramSection = [
-          "about",
-          "projects",
-          "skills",
-          "contact",
-        ].includes(section);
+        const isHologramSection = this.getScreenIndex(section) !== -1;
         if (isHologramSection) {
           // Add dramatic click effect
           this.addNavbarClickEffect(e.target, section);
@@ -392,11 +1068,98 @@ class Portfolio3D {
         e.target.classList.add("active");
       });
     });
+  }
 
-    // Performance monitoring
-    this.performanceManager.onPerformanceChange = (settings) => {
-      this.applyPerformanceSettings(settings);
-    };
+  // One nav button per hologram screen, after the static Home button
+  renderNavigationButtons() {
+    const navPanel = document.querySelector(".navigation-panel");
+    if (!navPanel) return;
+
+    this.hologramScreens.forEach(({ section, title }) => {
+      const button = document.createElement("button");
+      button.className = "nav-button";
+      button.dataset.section = section;
+      button.textContent = title;
+      navPanel.appendChild(button);
+    });
+  }
+
+  // One button per available language, the active one is pressed
+  renderLanguageSwitcher() {
+    const switcher = document.getElementById("language-switcher");
+    if (!switcher) return;
+
+    this.i18n.getAvailableLocales().forEach(({ code, name }) => {
+      const button = document.createElement("button");
+      button.className = "action-button language-button";
+      button.dataset.locale = code;
+      button.lang = code;
+      button.textContent = name;
+      button.setAttribute("aria-pressed", String(code === this.i18n.locale));
+      button.addEventListener("click", () => {
+        this.i18n.setLocale(code);
+      });
+      switcher.appendChild(button);
+    });
+  }
+
+  // Swap every visible text to the newly selected language. Static markup
+  // is already translated by I18nManager.translateDom()
+  applyLocale() {
+    this.content = this.i18n.getContent();
+    this.hologramScreens = this.content.hologram.screens;
+
+    document.querySelectorAll(".language-button").forEach((button) => {
+      button.setAttribute(
+        "aria-pressed",
+        String(button.dataset.locale === this.i18n.locale)
+      );
+    });
+
+    // Hologram nav buttons keep their section, only the label changes
+    document.querySelectorAll(".nav-button").forEach((button) => {
+      const screenIndex = this.getScreenIndex(button.dataset.section);
+      if (screenIndex !== -1) {
+        button.textContent = this.hologramScreens[screenIndex].title;
+      }
+    });
+
+    if (this.keyboardManager) {
+      this.keyboardManager.updateCanvasLabel();
+    }
+    if (this.walkManager) {
+      this.walkManager.updateHint();
+    }
+
+    // Repaint hologram, robot and phone canvas texts
+    if (this.cyberpunkOffice) {
+      this.cyberpunkOffice.applyLocale(this.content.hologram);
+    }
+
+    if (this.flatPortfolio) {
+      this.renderFlatPortfolio();
+    }
+
+    // Re-render open modals in place so they follow the switch
+    this.modalManager.refresh(({ type, content, options }) => {
+      if (type === "project") {
+        return { ...content, projects: this.content.projects };
+      }
+      if (type === "resume") return this.content;
+      return this.content[options.contentKey || type] || null;
+    });
+
+    console.log(`Language switched to ${this.i18n.locale}`);
+  }
+
+  getRouteSections() {
+    return getRouteSections(this.hologramScreens);
+  }
+
+  getScreenIndex(section) {
+    return this.hologramScreens.findIndex(
+      (screen) => screen.section === section
+    );
   }
 
   navigateToSection(section) {
@@ -404,14 +1167,6 @@ class Portfolio3D {
 
     this.currentSection = section;
 
-    // Map section to hologram screen index
-    const sectionToScreenMap = {
-      about: 0, // Left screen - ABOUT
-      projects: 1, // Back screen - PROJECTS
-      skills: 2, // Right screen - SKILLS
-      contact: 3, // Front screen - CONTACT
-    };
-
     // If clicking home, return to default view
     if (section === "home") {
       this.returnToDefaultView();
@@ -419,8 +1174,8 @@ class Portfolio3D {
     }
 
     // If clicking on a hologram section, trigger hologram focus instead
-    if (sectionToScreenMap.hasOwnProperty(section)) {
-      const screenIndex = sectionToScreenMap[section];
+    const screenIndex = this.getScreenIndex(section);
+    if (screenIndex !== -1) {
       this.focusOnHologramScreen(screenIndex);
       return;
     }
@@ -754,6 +1509,8 @@ class Portfolio3D {
 
   onMouseMove(event) {
     if (!this.cyberpunkOffice || !this.isLoaded) return;
+    // Walk mode has its own crosshair and prompt
+    if (this.walkManager?.isActive) return;
 
     // Calculate mouse position in normalized device coordinates
     const rect = this.canvas.getBoundingClientRect();
@@ -848,6 +1605,8 @@ class Portfolio3D {
 
   onHologramClick(event) {
     if (!this.cyberpunkOffice || !this.isLoaded) return;
+    // Walkers interact through the prompt, clicks lock the pointer
+    if (this.walkManager?.isActive) return;
 
     // Check if this is a drag operation (prevent click during camera rotation)
     const currentMousePosition = new THREE.Vector2(
@@ -911,20 +1670,11 @@ class Portfolio3D {
 
           console.log("Detected button type:", buttonType);
 
-          if (buttonType === "yes") {
-            console.log("YES button clicked via traverse");
-            this.cyberpunkOffice.showTutorialModal();
-            this.cyberpunkOffice.deactivateRobotHelpMode(
-              this.camera,
-              this.controls
-            );
-            return;
-          } else if (buttonType === "no") {
-            console.log("NO button clicked via traverse");
-            this.cyberpunkOffice.deactivateRobotHelpMode(
-              this.camera,
-              this.controls
+          if (buttonType === "yes" || buttonType === "no") {
+            console.log(
+              `${buttonType.toUpperCase()} button clicked via traverse`
             );
+            this.answerRobotHelp(buttonType);
             return;
           }
         }
@@ -947,17 +1697,10 @@ class Portfolio3D {
           // Simple left/right detection for Yes/No
           if (mouseX < 0) {
             console.log("Left side clicked - YES button");
-            this.cyberpunkOffice.showTutorialModal();
-            this.cyberpunkOffice.deactivateRobotHelpMode(
-              this.camera,
-              this.controls
-            );
+            this.answerRobotHelp("yes");
           } else {
             console.log("Right side clicked - NO button");
-            this.cyberpunkOffice.deactivateRobotHelpMode(
-              this.camera,
-              this.controls
-            );
+            this.answerRobotHelp("no");
           }
           return;
         }
@@ -982,22 +1725,7 @@ class Portfolio3D {
 
           if (buttonIntersects.length > 0) {
             console.log(`${buttonData.type} button clicked`);
-
-            if (buttonData.type === "yes") {
-              // Show tutorial modal but keep help mode active
-              this.cyberpunkOffice.showTutorialModal();
-              // Deactivate help mode after showing modal
-              this.cyberpunkOffice.deactivateRobotHelpMode(
-                this.camera,
-                this.controls
-              );
-            } else if (buttonData.type === "no") {
-              // Only deactivate help mode (return to normal)
-              this.cyberpunkOffice.deactivateRobotHelpMode(
-                this.camera,
-                this.controls
-              );
-            }
+            this.answerRobotHelp(buttonData.type);
             return;
           }
         }
@@ -1011,14 +1739,7 @@ class Portfolio3D {
         const robotIntersects = this.raycaster.intersectObjects([robot], true);
         if (robotIntersects.length > 0) {
           console.log("Robot clicked - activating help mode");
-
-          // Auto-close phone hologram
-          this.autoClosePhoneHologram();
-
-          this.cyberpunkOffice.activateRobotHelpMode(
-            this.camera,
-            this.controls
-          );
+          this.activateRobotHelp();
           return; // Exit early if robot was clicked
         }
       }
@@ -1066,19 +1787,7 @@ class Portfolio3D {
               "Hologram button clicked:",
               clickedObject.userData.type
             );
-
-            // Handle close button
-            if (clickedObject.userData.type === "close") {
-              console.log("Close button clicked - closing phone hologram");
-              this.cyberpunkOffice.exitPhoneMode(this.camera, this.controls);
-              return;
-            }
-
-            // Handle other buttons (WhatsApp, Email)
-            this.cyberpunkOffice.handleHologramButtonClick(
-              clickedObject.userData.type,
-              clickedObject.userData.url
-            );
+            this.pressPhoneButton(clickedObject.userData);
             return;
           }
         }
@@ -1140,6 +1849,35 @@ class Portfolio3D {
     }
   }
 
+  // Robot help: "yes" shows the tutorial, either answer ends help mode
+  answerRobotHelp(answer) {
+    if (answer === "yes") {
+      this.cyberpunkOffice.showTutorialModal();
+    }
+    this.cyberpunkOffice.deactivateRobotHelpMode(this.camera, this.controls);
+  }
+
+  activateRobotHelp() {
+    // Auto-close phone hologram
+    this.autoClosePhoneHologram();
+
+    return this.cyberpunkOffice.activateRobotHelpMode(
+      this.camera,
+      this.controls
+    );
+  }
+
+  // Close, contact entries and the vCard QR code on the phone hologram
+  pressPhoneButton(userData) {
+    if (userData.type === "close") {
+      console.log("Close button clicked - closing phone hologram");
+      this.cyberpunkOffice.exitPhoneMode(this.camera, this.controls);
+      return;
+    }
+
+    this.cyberpunkOffice.handleHologramButtonClick(userData);
+  }
+
   findScreenIndex(clickedObject, hologramScreens) {
     // Find which hologram screen group contains the clicked object
     for (let i = 0; i < hologramScreens.length; i++) {
@@ -1160,16 +1898,8 @@ class Portfolio3D {
     return false;
   }
 
-  focusOnHologramScreen(screenIndex) {
-    const screenTexts = ["ABOUT", "PROJECTS", "SKILLS", "CONTACT"];
-    const screenSections = ["about", "projects", "skills", "contact"];
-    const screenPositions = [
-      [-25, 10, 0], // Left side
-      [0, 10, -30], // Back center
-      [25, 10, 0], // Right side
-      [0, 10, 25], // Front
-    ];
-
+  // Resolves with whether the camera got to the screen
+  focusOnHologramScreen(screenIndex, { replace = false } = {}) {
     // Auto-close phone hologram
     this.autoClosePhoneHologram();
 
@@ -1179,14 +1909,18 @@ class Portfolio3D {
       this.cyberpunkOffice.deactivateRobotHelpMode(this.camera, this.controls);
     }
 
-    if (screenIndex >= 0 && screenIndex < screenPositions.length) {
-      const targetPosition = screenPositions[screenIndex];
-      const screenName = screenTexts[screenIndex];
-      const sectionName = screenSections[screenIndex];
+    const screen = this.hologramScreens[screenIndex];
+    const placement = this.cyberpunkOffice.getHologramPlacement(screenIndex);
+
+    if (screen && placement) {
+      const targetPosition = placement.position;
+      const screenName = screen.title;
+      const sectionName = screen.section;
 
-      // Update current section and navigation UI
+      // Update current section, navigation UI and URL
       this.currentSection = sectionName;
       this.updateNavigationUI(sectionName);
+      this.router.navigate({ section: sectionName }, { replace });
 
       // Reset previous hologram if different
       if (
@@ -1211,35 +1945,30 @@ class Portfolio3D {
       );
 
       // Calculate camera position directly in front of the screen
-      const frontCameraPosition = this.getFrontCameraPosition(
-        screenIndex,
-        targetPosition
-      );
-
-      // Animate camera to position in front of the screen
-      gsap.to(this.camera.position, {
-        x: frontCameraPosition.x,
-        y: frontCameraPosition.y,
-        z: frontCameraPosition.z,
-        duration: 2,
-        ease: "power2.inOut",
-        onUpdate: () => {
-          // Continue making hologram face camera during animation
-          this.cyberpunkOffice.setHologramFaceCamera(
-            screenIndex,
-            this.camera.position
-          );
-        },
-      });
+      const frontCameraPosition = this.getFrontCameraPosition(screenIndex);
+
+      // Fly to the front of the screen, looking at its center
+      const [x, y, z] = targetPosition;
+      const arrival = this.navigationManager
+        .moveCamera(
+          { position: frontCameraPosition, target: { x, y, z } },
+          {
+            name: sectionName,
+            // Continue making hologram face camera during animation
+            onUpdate: () => {
+              this.cyberpunkOffice.setHologramFaceCamera(
+                screenIndex,
+                this.camera.position
+              );
+            },
+          }
+        )
+        .then((arrived) => {
+          // Another move took over, or the visitor grabbed the camera
+          if (!arrived || this.activeHologramIndex !== screenIndex) {
+            return false;
+          }
 
-      // Animate controls target to center of the screen
-      gsap.to(this.controls.target, {
-        x: targetPosition[0],
-        y: targetPosition[1],
-        z: targetPosition[2],
-        duration: 2,
-        ease: "power2.inOut",
-        onComplete: () => {
           // Now activate tracking after animation completes
           this.isHologramActive = true;
           console.log(
@@ -1256,47 +1985,30 @@ class Portfolio3D {
               `Hologram ${screenIndex} tracking is now active - will follow camera continuously`
             );
           }, 1000);
-        },
-      });
+          return true;
+        });
 
       console.log(`Focusing on ${screenName} hologram screen from front view`);
+      return arrival;
     }
+
+    return Promise.resolve(false);
   }
 
-  getFrontCameraPosition(screenIndex, screenPosition) {
-    // Position camera directly in front of each screen
+  getFrontCameraPosition(screenIndex) {
+    const placement = this.cyberpunkOffice.getHologramPlacement(screenIndex);
+    if (!placement) return { x: 0, y: 10, z: 15 };
+
+    // Position camera directly in front of the screen, on the side it faces
     const frontDistance = 12; // Distance from screen
-    const frontPositions = [
-      // ABOUT (left screen) - camera positioned to the right of screen
-      {
-        x: screenPosition[0] + frontDistance,
-        y: screenPosition[1],
-        z: screenPosition[2],
-      },
-
-      // PROJECTS (back screen) - camera positioned in front of screen
-      {
-        x: screenPosition[0],
-        y: screenPosition[1],
-        z: screenPosition[2] + frontDistance,
-      },
-
-      // SKILLS (right screen) - camera positioned to the left of screen
-      {
-        x: screenPosition[0] - frontDistance,
-        y: screenPosition[1],
-        z: screenPosition[2],
-      },
-
-      // CONTACT (front screen) - camera positioned behind screen
-      {
-        x: screenPosition[0],
-        y: screenPosition[1],
-        z: screenPosition[2] - frontDistance,
-      },
-    ];
-
-    return frontPositions[screenIndex] || { x: 0, y: 10, z: 15 };
+    const [x, y, z] = placement.position;
+    const facing = placement.rotation[1];
+
+    return {
+      x: x + Math.sin(facing) * frontDistance,
+      y: y,
+      z: z + Math.cos(facing) * frontDistance,
+    };
   }
 
   deactivateHologram() {
@@ -1313,18 +2025,25 @@ class Portfolio3D {
 
   // Show details modal for a specific screen
   showDetailsModal(screenIndex) {
-    const screenTypes = ["about", "projects", "skills", "contact"];
-    const screenNames = ["ABOUT", "PROJECTS", "SKILLS", "CONTACT"];
+    const screen = this.hologramScreens[screenIndex];
 
-    if (screenIndex >= 0 && screenIndex < screenTypes.length) {
-      const contentType = screenTypes[screenIndex];
-      const content = portfolioContent[contentType];
+    if (screen) {
+      const contentKey = screen.content || screen.modalType;
+      const content = this.content[contentKey];
 
       if (content) {
-        console.log(`Showing ${screenNames[screenIndex]} details modal`);
-        this.modalManager.showModal(content, contentType);
+        console.log(`Showing ${screen.title} details modal`);
+        this.modalManager
+          .showModal(content, screen.modalType, { contentKey })
+          .then(() => {
+            this.router.navigate({ section: screen.section, view: "details" });
+          });
       } else {
-        console.error(`No content found for ${contentType}`);
+        console.error(`No content found for ${contentKey}`);
+        this.notificationManager.show(
+          this.i18n.t("notifications.missingContent", { title: screen.title }),
+          { type: "error" }
+        );
       }
     }
   }
@@ -1388,55 +2107,51 @@ class Portfolio3D {
     }
   }
 
-  // Return camera to default position (center monitor)
-  returnToDefaultView() {
+  // Close the phone, robot help and hologram the camera is focused on
+  leaveFocusModes() {
     // Close phone hologram if it's active
     this.autoClosePhoneHologram();
 
     // Close robot help mode if it's active
     if (this.cyberpunkOffice.robotInteractionMode) {
-      console.log("Closing robot help mode - returning to default view");
+      console.log("Closing robot help mode - leaving focus");
       this.cyberpunkOffice.deactivateRobotHelpMode(this.camera, this.controls);
     }
 
-    // Update current section and navigation UI to home
-    this.currentSection = "home";
-    this.updateNavigationUI("home");
-
     // Hide all back buttons and hologram content
     this.cyberpunkOffice.hideAllBackButtons();
     this.cyberpunkOffice.hideAllHologramContent();
 
     // Deactivate current hologram
     this.deactivateHologram();
+  }
+
+  // Return camera to default position (center monitor). Resolves with
+  // whether it got there
+  returnToDefaultView({ replace = false } = {}) {
+    this.leaveFocusModes();
+
+    // Update current section, navigation UI and URL to home
+    this.currentSection = "home";
+    this.updateNavigationUI("home");
+    this.router.navigate({ section: "home" }, { replace });
 
     // Disable auto rotation during transition
     this.controls.autoRotate = false;
 
-    // Animate camera back to default position
-    gsap.to(this.camera.position, {
-      x: 0,
-      y: 8,
-      z: 12,
-      duration: 2,
-      ease: "power2.inOut",
-    });
+    // Animate camera back to default position, facing the center monitor
+    return this.navigationManager
+      .moveCamera(this.navigationManager.viewpoints.home, { name: "home" })
+      .then((arrived) => {
+        if (!arrived) return false;
 
-    // Animate controls target back to center monitor
-    gsap.to(this.controls.target, {
-      x: 0,
-      y: 5,
-      z: -1.5,
-      duration: 2,
-      ease: "power2.inOut",
-      onComplete: () => {
         // Re-enable auto rotation after returning to default
         this.controls.autoRotate = true;
         console.log(
           "Returned to default view - camera focused on center monitor"
         );
-      },
-    });
+        return true;
+      });
   }
 
   // Update navigation UI to reflect current section
@@ -1455,15 +2170,10 @@ class Portfolio3D {
   }
 
   isCameraTargetOnHologram(screenIndex) {
-    const screenPositions = [
-      [-25, 10, 0], // Left side - ABOUT
-      [0, 10, -30], // Back center - PROJECTS
-      [25, 10, 0], // Right side - SKILLS
-      [0, 10, 25], // Front - CONTACT
-    ];
-
-    if (screenIndex >= 0 && screenIndex < screenPositions.length) {
-      const screenPos = new THREE.Vector3(...screenPositions[screenIndex]);
+    const placement = this.cyberpunkOffice.getHologramPlacement(screenIndex);
+
+    if (placement) {
+      const screenPos = new THREE.Vector3(...placement.position);
       const targetPos = this.controls.target;
 
       // Calculate distance between camera target and hologram screen
@@ -1495,8 +2205,16 @@ class Portfolio3D {
   animate() {
     requestAnimationFrame(() => this.animate());
 
-    // Update controls
-    this.controls.update();
+    if (this.walkManager?.isActive) {
+      // The walker places the camera, OrbitControls would turn it back
+      this.walkManager.update();
+    } else {
+      // Held WASD/QE keys move the camera before the controls settle it
+      this.keyboardManager.update();
+
+      // Update controls
+      this.controls.update();
+    }
 
     // Update performance manager
     this.performanceManager.update();
@@ -1,10 +1,38 @@
 import * as THREE from "three";
 import { gsap } from "gsap";
+import { escapeHtml, html, trustedHtml } from "../utils/html.js";
+import {
+  buildVCard,
+  downloadVCard,
+  drawQrCode,
+  getContactHref,
+} from "../utils/contactCard.js";
+import { copyToClipboard } from "../utils/clipboard.js";
 
 export default class CyberpunkOffice {
-  constructor(scene, loadingManager) {
+  constructor(scene, loadingManager, hologramConfig, i18n) {
     this.scene = scene;
     this.loadingManager = loadingManager;
+    this.i18n = i18n;
+
+    // Canvas textures repainted when the language changes
+    this.localizedTextures = [];
+
+    // Returns the current content of a section, e.g. the experience
+    // entries for a timeline screen. Set by main before load()
+    this.getContent = null;
+
+    // NotificationManager for errors the scene can't show itself, set by
+    // main
+    this.notifications = null;
+
+    // NavigationManager that moves the camera for phone and robot mode,
+    // set by main
+    this.navigation = null;
+
+    // Hologram screen definitions and where each one sits on the ring
+    this.hologramConfig = hologramConfig;
+    this.hologramPlacements = this.computeHologramPlacements(hologramConfig);
 
     this.objects = {
       desk: null,
@@ -32,22 +60,29 @@ export default class CyberpunkOffice {
     // Phone interaction state
     this.phoneInteractionMode = false;
     this.phoneHologram = null;
+    this.phoneButtons = [];
+    this.phoneLabelTextures = [];
+    this.copiedContactIndex = -1;
 
-    // Define obstacles for robot collision detection
+    // Define obstacles for robot collision detection. The height (top of
+    // what stands there) is for camera paths, see NavigationManager
     this.obstacles = [
-      // Main desk area
-      { x: 0, z: 0, width: 14, depth: 8 },
+      // Main desk area, up to the top of the monitors
+      { x: 0, z: 0, width: 14, depth: 8, height: 6.5 },
       // Chair area
-      { x: 0, z: 5, width: 3, depth: 3 },
+      { x: 0, z: 5, width: 3, depth: 3, height: 5 },
       // Second desk area
-      { x: 15, z: -8, width: 8, depth: 6 },
+      { x: 15, z: -8, width: 8, depth: 6, height: 5 },
       // CPU Tower area
-      { x: 8, z: 2, width: 2, depth: 2 },
-      // Hologram projectors
-      { x: -25, z: 0, width: 4, depth: 4 },
-      { x: 0, z: -30, width: 4, depth: 4 },
-      { x: 25, z: 0, width: 4, depth: 4 },
-      { x: 0, z: 25, width: 4, depth: 4 },
+      { x: 8, z: 2, width: 2, depth: 2, height: 2.5 },
+      // Hologram projectors, up to the top of the screen
+      ...this.hologramPlacements.map(({ position }) => ({
+        x: position[0],
+        z: position[2],
+        width: 4,
+        depth: 4,
+        height: position[1] + 3.5,
+      })),
     ];
 
     this.isLoaded = false;
@@ -621,8 +656,27 @@ export default class CyberpunkOffice {
   createPhoneHologram() {
     const hologramGroup = new THREE.Group();
 
+    // One button per contactInfo entry plus Close. The screen grows with
+    // the list
+    const contactInfo = this.getContent("contact").contactInfo;
+    const buttons = [
+      ...contactInfo.map((item, contactIndex) => ({
+        color: item.color,
+        userData: { type: "contact", contactIndex },
+        getLabel: () => this.getContactLabel(contactIndex),
+      })),
+      {
+        color: "#ff4444",
+        userData: { type: "close" },
+        getLabel: () => this.i18n.t("phone.close"),
+      },
+    ];
+    const rowHeight = 0.45;
+    const screenHeight = buttons.length * rowHeight + 0.45;
+    const firstButtonY = 1.2 + ((buttons.length - 1) * rowHeight) / 2;
+
     // Create hologram screen background - similar to main hologram screens
-    const screenGeometry = new THREE.PlaneGeometry(1.6, 3.0);
+    const screenGeometry = new THREE.PlaneGeometry(1.6, screenHeight);
     const screenMaterial = new THREE.MeshStandardMaterial({
       color: 0x001133,
       emissive: 0x001133,
@@ -636,7 +690,7 @@ export default class CyberpunkOffice {
     hologramGroup.add(hologramScreen);
 
     // Create bright border frame - similar to main hologram screens
-    const borderGeometry = new THREE.PlaneGeometry(1.7, 3.1);
+    const borderGeometry = new THREE.PlaneGeometry(1.7, screenHeight + 0.1);
     const borderMaterial = new THREE.MeshStandardMaterial({
       color: 0x00ffff,
       emissive: 0x00ffff,
@@ -648,243 +702,71 @@ export default class CyberpunkOffice {
     border.position.set(0, 1.2, -0.01);
     hologramGroup.add(border);
 
-    // WhatsApp button - using plane geometry instead of box
-    const whatsappButtonGeometry = new THREE.PlaneGeometry(1.2, 0.35);
-    const whatsappButtonMaterial = new THREE.MeshStandardMaterial({
-      color: 0x25d366,
-      emissive: 0x25d366,
-      emissiveIntensity: 0.8,
-      transparent: true,
-      opacity: 0.9,
-      side: THREE.DoubleSide,
-    });
-    const whatsappButton = new THREE.Mesh(
-      whatsappButtonGeometry,
-      whatsappButtonMaterial
-    );
-    whatsappButton.position.set(0, 1.8, 0.02);
-    whatsappButton.userData = {
-      type: "whatsapp",
-      interactive: true,
-      clickable: true,
-      url: "https://wa.me/6282298400897",
-    };
-    hologramGroup.add(whatsappButton);
+    this.phoneButtons = [];
+    this.phoneLabelTextures = [];
 
-    // WhatsApp button border
-    const whatsappBorderGeometry = new THREE.PlaneGeometry(1.3, 0.45);
-    const whatsappBorderMaterial = new THREE.MeshBasicMaterial({
-      color: 0x30e878,
-      transparent: true,
-      opacity: 0.6,
-    });
-    const whatsappBorder = new THREE.Mesh(
-      whatsappBorderGeometry,
-      whatsappBorderMaterial
-    );
-    whatsappBorder.position.set(0, 1.8, 0.01);
-    hologramGroup.add(whatsappBorder);
-
-    // WhatsApp text/icon
-    const whatsappTextGeometry = new THREE.PlaneGeometry(0.1, 0.1);
-    const whatsappTextMaterial = new THREE.MeshBasicMaterial({
-      color: 0xffffff,
-      transparent: true,
-      opacity: 0.9,
-    });
-    const whatsappIcon = new THREE.Mesh(
-      whatsappTextGeometry,
-      whatsappTextMaterial
-    );
-    whatsappIcon.position.set(-0.25, 1.2, 0.03);
-    // Remove whatsapp icon - hologramGroup.add(whatsappIcon);
-
-    // WhatsApp label text - larger and centered
-    const whatsappLabelCanvas = document.createElement("canvas");
-    const whatsappLabelContext = whatsappLabelCanvas.getContext("2d");
-    whatsappLabelCanvas.width = 720;
-    whatsappLabelCanvas.height = 180;
-    whatsappLabelContext.fillStyle = "rgba(0, 0, 0, 0)";
-    whatsappLabelContext.fillRect(
-      0,
-      0,
-      whatsappLabelCanvas.width,
-      whatsappLabelCanvas.height
-    );
-    whatsappLabelContext.font = "bold 72px Arial";
-    whatsappLabelContext.fillStyle = "#ffffff";
-    whatsappLabelContext.textAlign = "center";
-    whatsappLabelContext.fillText(
-      "WhatsApp",
-      whatsappLabelCanvas.width / 2,
-      whatsappLabelCanvas.height / 2 + 18
-    );
-
-    const whatsappLabelTexture = new THREE.CanvasTexture(whatsappLabelCanvas);
-    const whatsappLabelGeometry = new THREE.PlaneGeometry(1.1, 0.3);
-    const whatsappLabelMaterial = new THREE.MeshBasicMaterial({
-      map: whatsappLabelTexture,
-      transparent: true,
-      opacity: 1.0,
-    });
-    const whatsappLabel = new THREE.Mesh(
-      whatsappLabelGeometry,
-      whatsappLabelMaterial
-    );
-    whatsappLabel.position.set(0, 1.8, 0.03); // Behind the button
-    whatsappLabel.userData = {
-      type: "whatsapp",
-      interactive: true,
-      clickable: true,
-      url: "https://wa.me/6282298400897",
-    };
-    hologramGroup.add(whatsappLabel);
+    buttons.forEach(({ color, userData, getLabel }, index) => {
+      const y = firstButtonY - index * rowHeight;
+      const buttonColor = new THREE.Color(color);
 
-    // Email button - using plane geometry instead of box
-    const emailButtonGeometry = new THREE.PlaneGeometry(1.2, 0.35);
-    const emailButtonMaterial = new THREE.MeshStandardMaterial({
-      color: 0x4285f4,
-      emissive: 0x4285f4,
-      emissiveIntensity: 0.8,
-      transparent: true,
-      opacity: 0.9,
-      side: THREE.DoubleSide,
-    });
-    const emailButton = new THREE.Mesh(
-      emailButtonGeometry,
-      emailButtonMaterial
-    );
-    emailButton.position.set(0, 1.2, 0.02);
-    emailButton.userData = {
-      type: "email",
-      interactive: true,
-      clickable: true,
-      url: "mailto:taufikhizet1350@gmail.com",
-    };
-    hologramGroup.add(emailButton);
-
-    // Email button border
-    const emailBorderGeometry = new THREE.PlaneGeometry(1.3, 0.45);
-    const emailBorderMaterial = new THREE.MeshBasicMaterial({
-      color: 0x5a9eff,
-      transparent: true,
-      opacity: 0.6,
-    });
-    const emailBorder = new THREE.Mesh(
-      emailBorderGeometry,
-      emailBorderMaterial
-    );
-    emailBorder.position.set(0, 1.2, 0.01);
-    hologramGroup.add(emailBorder);
-
-    // Remove email icon - not needed anymore
-
-    // Email label text - larger and centered
-    const emailLabelCanvas = document.createElement("canvas");
-    const emailLabelContext = emailLabelCanvas.getContext("2d");
-    emailLabelCanvas.width = 720;
-    emailLabelCanvas.height = 180;
-    emailLabelContext.fillStyle = "rgba(0, 0, 0, 0)";
-    emailLabelContext.fillRect(
-      0,
-      0,
-      emailLabelCanvas.width,
-      emailLabelCanvas.height
-    );
-    emailLabelContext.font = "bold 72px Arial";
-    emailLabelContext.fillStyle = "#ffffff";
-    emailLabelContext.textAlign = "center";
-    emailLabelContext.fillText(
-      "Email",
-      emailLabelCanvas.width / 2,
-      emailLabelCanvas.height / 2 + 18
-    );
-
-    const emailLabelTexture = new THREE.CanvasTexture(emailLabelCanvas);
-    const emailLabelGeometry = new THREE.PlaneGeometry(1.1, 0.3);
-    const emailLabelMaterial = new THREE.MeshBasicMaterial({
-      map: emailLabelTexture,
-      transparent: true,
-      opacity: 1.0,
-    });
-    const emailLabel = new THREE.Mesh(emailLabelGeometry, emailLabelMaterial);
-    emailLabel.position.set(0, 1.2, 0.03); // Behind the button
-    emailLabel.userData = {
-      type: "email",
-      interactive: true,
-      clickable: true,
-      url: "mailto:taufikhizet1350@gmail.com",
-    };
-    hologramGroup.add(emailLabel);
-
-    // Close button - using plane geometry
-    const closeButtonGeometry = new THREE.PlaneGeometry(1.2, 0.35);
-    const closeButtonMaterial = new THREE.MeshStandardMaterial({
-      color: 0xff4444,
-      emissive: 0xff4444,
-      emissiveIntensity: 0.8,
-      transparent: true,
-      opacity: 0.9,
-      side: THREE.DoubleSide,
-    });
-    const closeButton = new THREE.Mesh(
-      closeButtonGeometry,
-      closeButtonMaterial
-    );
-    closeButton.position.set(0, 0.6, 0.02);
-    closeButton.userData = {
-      type: "close",
-      interactive: true,
-      clickable: true,
-    };
-    hologramGroup.add(closeButton);
+      const buttonGeometry = new THREE.PlaneGeometry(1.2, 0.32);
+      const buttonMaterial = new THREE.MeshStandardMaterial({
+        color: buttonColor,
+        emissive: buttonColor,
+        emissiveIntensity: 0.8,
+        transparent: true,
+        opacity: 0.9,
+        side: THREE.DoubleSide,
+      });
+      const button = new THREE.Mesh(buttonGeometry, buttonMaterial);
+      button.position.set(0, y, 0.02);
+      button.userData = { ...userData, interactive: true, clickable: true };
+      hologramGroup.add(button);
+      this.phoneButtons.push(button);
+
+      // Slightly lighter border in the same colour
+      const buttonBorderGeometry = new THREE.PlaneGeometry(1.3, 0.4);
+      const buttonBorderMaterial = new THREE.MeshBasicMaterial({
+        color: buttonColor.clone().lerp(new THREE.Color(0xffffff), 0.2),
+        transparent: true,
+        opacity: 0.6,
+      });
+      const buttonBorder = new THREE.Mesh(
+        buttonBorderGeometry,
+        buttonBorderMaterial
+      );
+      buttonBorder.position.set(0, y, 0.01);
+      hologramGroup.add(buttonBorder);
+
+      // Label in front of the button, clicks on it count as the button
+      const labelTexture = this.createPhoneLabelTexture(getLabel);
+      const labelGeometry = new THREE.PlaneGeometry(1.1, 0.28);
+      const labelMaterial = new THREE.MeshBasicMaterial({
+        map: labelTexture,
+        transparent: true,
+        opacity: 1.0,
+      });
+      const label = new THREE.Mesh(labelGeometry, labelMaterial);
+      label.position.set(0, y, 0.03);
+      label.userData = { ...userData, clickable: true };
+      hologramGroup.add(label);
 
-    // Close button border
-    const closeBorderGeometry = new THREE.PlaneGeometry(1.3, 0.45);
-    const closeBorderMaterial = new THREE.MeshBasicMaterial({
-      color: 0xff6666,
-      transparent: true,
-      opacity: 0.6,
+      if (userData.type === "contact") {
+        this.phoneLabelTextures[userData.contactIndex] = labelTexture;
+      }
     });
-    const closeBorder = new THREE.Mesh(
-      closeBorderGeometry,
-      closeBorderMaterial
-    );
-    closeBorder.position.set(0, 0.6, 0.01);
-    hologramGroup.add(closeBorder);
-
-    // Close label text
-    const closeLabelCanvas = document.createElement("canvas");
-    const closeLabelContext = closeLabelCanvas.getContext("2d");
-    closeLabelCanvas.width = 720;
-    closeLabelCanvas.height = 180;
-    closeLabelContext.fillStyle = "rgba(0, 0, 0, 0)";
-    closeLabelContext.fillRect(
-      0,
-      0,
-      closeLabelCanvas.width,
-      closeLabelCanvas.height
-    );
-    closeLabelContext.font = "bold 72px Arial";
-    closeLabelContext.fillStyle = "#ffffff";
-    closeLabelContext.textAlign = "center";
-    closeLabelContext.fillText(
-      "Close",
-      closeLabelCanvas.width / 2,
-      closeLabelCanvas.height / 2 + 18
-    );
 
-    const closeLabelTexture = new THREE.CanvasTexture(closeLabelCanvas);
-    const closeLabelGeometry = new THREE.PlaneGeometry(1.1, 0.3);
-    const closeLabelMaterial = new THREE.MeshBasicMaterial({
-      map: closeLabelTexture,
+    // vCard QR code beside the buttons, so the contact can be scanned off a
+    // desktop screen. Clicking it downloads the .vcf instead
+    const qrGeometry = new THREE.PlaneGeometry(1.4, 1.7);
+    const qrMaterial = new THREE.MeshBasicMaterial({
+      map: this.createContactQrTexture(),
       transparent: true,
-      opacity: 1.0,
     });
-    const closeLabel = new THREE.Mesh(closeLabelGeometry, closeLabelMaterial);
-    closeLabel.position.set(0, 0.6, 0.03);
-    closeLabel.userData = { clickable: true, type: "close" };
-    hologramGroup.add(closeLabel);
+    const qrPanel = new THREE.Mesh(qrGeometry, qrMaterial);
+    qrPanel.position.set(1.7, 1.3, 0.02);
+    qrPanel.userData = { type: "vcard", interactive: true, clickable: true };
+    hologramGroup.add(qrPanel);
 
     // Add floating particles around screen - similar to main hologram screens
     for (let i = 0; i < 8; i++) {
@@ -936,29 +818,11 @@ export default class CyberpunkOffice {
       if (this.phoneHologram && this.phoneHologram.visible) {
         const time = Date.now() * 0.002;
 
-        // Animate buttons with subtle pulsing
-        const whatsappButton = this.phoneHologram.children.find(
-          (child) => child.userData && child.userData.type === "whatsapp"
-        );
-        const emailButton = this.phoneHologram.children.find(
-          (child) => child.userData && child.userData.type === "email"
-        );
-        const closeButton = this.phoneHologram.children.find(
-          (child) => child.userData && child.userData.type === "close"
-        );
-
-        if (whatsappButton) {
-          whatsappButton.material.emissiveIntensity =
-            0.8 + Math.sin(time * 2) * 0.2;
-        }
-        if (emailButton) {
-          emailButton.material.emissiveIntensity =
-            0.8 + Math.sin(time * 2.5) * 0.2;
-        }
-        if (closeButton) {
-          closeButton.material.emissiveIntensity =
-            0.8 + Math.sin(time * 3) * 0.2;
-        }
+        // Buttons pulse slightly out of step with each other
+        this.phoneButtons.forEach((button, index) => {
+          button.material.emissiveIntensity =
+            0.8 + Math.sin(time * (2 + index * 0.5)) * 0.2;
+        });
 
         // Animate border glow
         const border = this.phoneHologram.children[1]; // Border is second child
@@ -981,13 +845,20 @@ export default class CyberpunkOffice {
     }
   }
 
-  enterPhoneMode(camera, controls) {
+  // Resolves with whether the phone hologram is up
+  enterPhoneMode(camera, controls, { animateCamera = true } = {}) {
     this.phoneInteractionMode = true;
 
     // Store original camera position
     this.originalCameraPosition = camera.position.clone();
     this.originalCameraTarget = controls.target.clone();
 
+    // Caller moves the camera itself (e.g. restoring a shared view link)
+    if (!animateCamera) {
+      this.showPhoneHologram();
+      return Promise.resolve(true);
+    }
+
     // Move camera to focus directly on hologram screen
     const phonePosition = this.objects.phone.position.clone();
     const hologramPosition = phonePosition.clone();
@@ -1000,28 +871,29 @@ export default class CyberpunkOffice {
       phonePosition.z + 1.5 // Good distance to see entire hologram
     );
 
-    gsap.to(camera.position, {
-      duration: 1.5,
-      x: targetPosition.x,
-      y: targetPosition.y,
-      z: targetPosition.z,
-      ease: "power2.inOut",
-    });
-
-    gsap.to(controls.target, {
-      duration: 1.5,
-      x: hologramPosition.x, // Focus directly on hologram center
-      y: hologramPosition.y, // Focus on hologram center height
-      z: hologramPosition.z, // Focus on hologram center depth
-      ease: "power2.inOut",
-      onComplete: () => {
-        // Show hologram after camera movement
-        if (!this.phoneHologram) {
-          this.createPhoneHologram();
+    return this.navigation
+      .moveCamera(
+        { position: targetPosition, target: hologramPosition },
+        { name: "phone", duration: 1.5 }
+      )
+      .then((arrived) => {
+        // Show hologram after camera movement. Without arriving (the
+        // visitor took the camera, or something else moved it) phone mode
+        // is over before it began
+        if (arrived && this.phoneInteractionMode) {
+          this.showPhoneHologram();
+          return true;
         }
-        this.phoneHologram.visible = true;
-      },
-    });
+        this.phoneInteractionMode = false;
+        return false;
+      });
+  }
+
+  showPhoneHologram() {
+    if (!this.phoneHologram) {
+      this.createPhoneHologram();
+    }
+    this.phoneHologram.visible = true;
   }
 
   exitPhoneMode(camera, controls) {
@@ -1033,26 +905,86 @@ export default class CyberpunkOffice {
     }
 
     // Return camera to original position
-    gsap.to(camera.position, {
-      duration: 1.5,
-      x: this.originalCameraPosition.x,
-      y: this.originalCameraPosition.y,
-      z: this.originalCameraPosition.z,
-      ease: "power2.inOut",
-    });
+    this.navigation.moveCamera(
+      {
+        position: this.originalCameraPosition,
+        target: this.originalCameraTarget,
+      },
+      { duration: 1.5 }
+    );
+  }
 
-    gsap.to(controls.target, {
-      duration: 1.5,
-      x: this.originalCameraTarget.x,
-      y: this.originalCameraTarget.y,
-      z: this.originalCameraTarget.z,
-      ease: "power2.inOut",
+  // Phone hologram buttons: contact entries act on their `action`, the QR
+  // panel downloads the vCard
+  handleHologramButtonClick({ type, contactIndex }) {
+    if (type === "vcard") {
+      downloadVCard(this.getContactCardContent());
+      return;
+    }
+
+    const item = this.getContent("contact").contactInfo[contactIndex];
+    if (!item) return;
+
+    if (item.action === "copy") {
+      this.copyContactValue(contactIndex);
+    } else if (item.action === "mailto") {
+      window.location.href = getContactHref(item);
+    } else {
+      // Open link in new tab
+      window.open(getContactHref(item), "_blank");
+    }
+  }
+
+  async copyContactValue(contactIndex) {
+    const { value } = this.getContent("contact").contactInfo[contactIndex];
+
+    try {
+      await copyToClipboard(value);
+    } catch (error) {
+      console.error("Error copying contact value:", error);
+      if (this.notifications) {
+        this.notifications.show(this.i18n.t("notifications.copyFailed"), {
+          type: "error",
+        });
+      }
+      return;
+    }
+
+    // The button says "Copied!" for a moment
+    this.setCopiedContact(contactIndex);
+    clearTimeout(this.copiedContactTimeout);
+    this.copiedContactTimeout = setTimeout(() => {
+      this.setCopiedContact(-1);
+    }, 2000);
+  }
+
+  setCopiedContact(contactIndex) {
+    const previousIndex = this.copiedContactIndex;
+    this.copiedContactIndex = contactIndex;
+
+    [previousIndex, contactIndex].forEach((index) => {
+      if (this.phoneLabelTextures[index]) {
+        this.repaintLocalizedTexture(this.phoneLabelTextures[index]);
+      }
     });
   }
 
-  handleHologramButtonClick(buttonType, url) {
-    // Open link in new tab
-    window.open(url, "_blank");
+  // "✉️ Email", or "Copied!" right after its value was copied
+  getContactLabel(contactIndex) {
+    if (contactIndex === this.copiedContactIndex) {
+      return this.i18n.t("phone.copied");
+    }
+
+    const { contactInfo } = this.getContent("contact");
+    const { icon, type } = contactInfo[contactIndex];
+    return `${icon} ${type}`;
+  }
+
+  getContactCardContent() {
+    return {
+      about: this.getContent("about"),
+      contact: this.getContent("contact"),
+    };
   }
 
   createMouse() {
@@ -1766,23 +1698,43 @@ export default class CyberpunkOffice {
     });
   }
 
-  createHologramScreens() {
-    // Create 4 hologram screens circling around the cyberpunk office
-    const screenTexts = ["ABOUT", "PROJECTS", "SKILLS", "CONTACT"];
-    const positions = [
-      [-25, 10, 0], // Left side - closer to office
-      [0, 10, -30], // Back center - closer to office
-      [25, 10, 0], // Right side - closer to office
-      [0, 10, 25], // Front - closer to office
-    ];
-    const rotations = [
-      [0, Math.PI / 2, 0], // Left facing right (toward center)
-      [0, 0, 0], // Back facing forward (toward center)
-      [0, -Math.PI / 2, 0], // Right facing left (toward center)
-      [0, Math.PI, 0], // Front facing back (toward center)
-    ];
+  // Spread the configured screens evenly on a ring around the office, each
+  // one facing the center. Per-screen `placement` overrides win, and screens
+  // with their own angle don't take a slot on the ring.
+  computeHologramPlacements({ layout, screens }) {
+    const ringScreens = screens.filter(
+      (screen) => screen.placement?.angle === undefined
+    );
+    const step = 360 / Math.max(ringScreens.length, 1);
+
+    return screens.map((screen) => {
+      const placement = screen.placement || {};
+      const angle = THREE.MathUtils.degToRad(
+        placement.angle ??
+          layout.startAngle - ringScreens.indexOf(screen) * step
+      );
+      const radius = placement.radius ?? layout.radius;
+      const height = placement.height ?? layout.height;
+
+      // Rounded so cardinal positions come out as clean numbers (e.g. -25, 0)
+      const x = Math.round(Math.sin(angle) * radius * 1000) / 1000 || 0;
+      const z = Math.round(Math.cos(angle) * radius * 1000) / 1000 || 0;
+
+      return {
+        position: [x, height, z],
+        rotation: [0, Math.atan2(-x, -z), 0], // Face the office center
+      };
+    });
+  }
+
+  getHologramPlacement(screenIndex) {
+    return this.hologramPlacements[screenIndex] || null;
+  }
 
-    screenTexts.forEach((text, index) => {
+  createHologramScreens() {
+    // Create one hologram screen per configured entry, circling the office
+    this.hologramConfig.screens.forEach((screenConfig, index) => {
+      const { position, rotation } = this.hologramPlacements[index];
       const screenGroup = new THREE.Group();
 
       // Create hologram screen background
@@ -1801,8 +1753,8 @@ export default class CyberpunkOffice {
       // Create bright border frame
       const borderGeometry = new THREE.PlaneGeometry(10.5, 6.5);
       const borderMaterial = new THREE.MeshStandardMaterial({
-        color: 0x00ffff,
-        emissive: 0x00ffff,
+        color: screenConfig.color,
+        emissive: screenConfig.color,
         emissiveIntensity: 1.0,
         transparent: true,
         opacity: 0.3,
@@ -1812,7 +1764,7 @@ export default class CyberpunkOffice {
       screenGroup.add(border);
 
       // Create text using simple geometry with content preview
-      const textGroup = this.createHologramText(text, index);
+      const textGroup = this.createHologramText(index);
       textGroup.position.z = 0.2;
       screenGroup.add(textGroup);
 
@@ -1838,13 +1790,14 @@ export default class CyberpunkOffice {
         backButton: backButton,
         internalDetailsButton: internalDetailsButton,
         textGroup: textGroup,
+        screenIndex: index,
       };
 
       // Add floating particles around screen
       for (let i = 0; i < 12; i++) {
         const particleGeometry = new THREE.SphereGeometry(0.05);
         const particleMaterial = new THREE.MeshBasicMaterial({
-          color: 0x00ffff,
+          color: screenConfig.color,
           transparent: true,
           opacity: 0.7,
         });
@@ -1870,17 +1823,17 @@ export default class CyberpunkOffice {
       }
 
       // Position and rotate screen
-      screenGroup.position.set(...positions[index]);
-      screenGroup.rotation.set(...rotations[index]);
+      screenGroup.position.set(...position);
+      screenGroup.rotation.set(...rotation);
 
       // Create hologram projector/emitter below the screen
       const projectorGroup = this.createHologramProjector();
       projectorGroup.position.set(
-        positions[index][0],
+        position[0],
         0, // Place on ground level (Y=0)
-        positions[index][2]
+        position[2]
       );
-      projectorGroup.rotation.set(...rotations[index]);
+      projectorGroup.rotation.set(...rotation);
 
       this.scene.add(screenGroup);
       this.scene.add(projectorGroup);
@@ -1910,70 +1863,127 @@ export default class CyberpunkOffice {
     });
   }
 
-  createHologramText(text, screenIndex) {
-    const textGroup = new THREE.Group();
+  // Canvas texture whose text depends on the current language. The draw
+  // callback paints the text and is replayed by applyLocale()
+  createLocalizedTexture(canvas, draw) {
+    const texture = new THREE.CanvasTexture(canvas);
+    const entry = { canvas, texture, draw };
 
-    // Import portfolio content for preview
-    const contentPreviews = [
-      {
-        title: "ABOUT",
-        subtitle: "Programmer & 3D Developer",
-        preview:
-          "Passionate about modern web technologies\nand 3D development with Three.js",
-      },
-      {
-        title: "PROJECTS",
-        subtitle: "Portfolio Showcase",
-        preview:
-          "Interactive 3D websites, E-commerce\nplatforms, and modern web applications",
-      },
-      {
-        title: "SKILLS",
-        subtitle: "Technical Expertise",
-        preview:
-          "JavaScript, React, Vue.js, Three.js\nNode.js, PHP, and modern tools",
-      },
-      {
-        title: "CONTACT",
-        subtitle: "Get In Touch",
-        preview:
-          "Available for freelance projects\nand collaboration opportunities",
-      },
-    ];
+    this.paintLocalizedTexture(entry);
+    this.localizedTextures.push(entry);
+
+    return texture;
+  }
 
-    const content = contentPreviews[screenIndex] || contentPreviews[0];
+  paintLocalizedTexture({ canvas, texture, draw }) {
+    const context = canvas.getContext("2d");
+
+    // save/restore so shadows from the previous paint don't leak in
+    context.save();
+    context.clearRect(0, 0, canvas.width, canvas.height);
+    draw(context);
+    context.restore();
+
+    texture.needsUpdate = true;
+  }
+
+  // Repaint every localized texture, e.g. after the language changed
+  applyLocale(hologramConfig) {
+    this.hologramConfig = hologramConfig;
+    this.localizedTextures.forEach((entry) =>
+      this.paintLocalizedTexture(entry)
+    );
+  }
+
+  // getText is called on every paint, so labels follow language switches
+  createPhoneLabelTexture(getText) {
+    const canvas = document.createElement("canvas");
+    canvas.width = 720;
+    canvas.height = 180;
+
+    return this.createLocalizedTexture(canvas, (context) => {
+      context.font = "bold 72px Arial";
+      context.fillStyle = "#ffffff";
+      context.textAlign = "center";
+      context.fillText(
+        getText(),
+        canvas.width / 2,
+        canvas.height / 2 + 18,
+        canvas.width - 40
+      );
+    });
+  }
+
+  // Repaint a single localized texture, e.g. a label whose text changed
+  repaintLocalizedTexture(texture) {
+    const entry = this.localizedTextures.find(
+      (candidate) => candidate.texture === texture
+    );
+    if (entry) this.paintLocalizedTexture(entry);
+  }
+
+  // QR code of the vCard with a caption underneath. Repainted on language
+  // switch along with the labels, the vCard follows the content
+  createContactQrTexture() {
+    const canvas = document.createElement("canvas");
+    canvas.width = 512;
+    canvas.height = 620;
+
+    return this.createLocalizedTexture(canvas, (context) => {
+      drawQrCode(context, buildVCard(this.getContactCardContent()), {
+        size: canvas.width,
+      });
+
+      context.font = "bold 44px Arial";
+      context.fillStyle = "#00ffff";
+      context.textAlign = "center";
+      context.fillText(
+        this.i18n.t("phone.scanQr"),
+        canvas.width / 2,
+        585,
+        canvas.width - 20
+      );
+    });
+  }
+
+  createHologramText(screenIndex) {
+    const textGroup = new THREE.Group();
+
+    // Texts are read from the config at draw time so a language switch can
+    // repaint them (see applyLocale)
+    const getContent = () => this.hologramConfig.screens[screenIndex];
 
     // Create main title (always visible)
     const titleCanvas = document.createElement("canvas");
-    const titleContext = titleCanvas.getContext("2d");
     titleCanvas.width = 512;
     titleCanvas.height = 100;
 
-    // Clear canvas
-    titleContext.fillStyle = "rgba(0, 0, 0, 0)";
-    titleContext.fillRect(0, 0, titleCanvas.width, titleCanvas.height);
-
-    // Draw title
-    titleContext.fillStyle = "#00ffff";
-    titleContext.font = "bold 60px Arial";
-    titleContext.textAlign = "center";
-    titleContext.textBaseline = "middle";
-    titleContext.fillText(
-      content.title,
-      titleCanvas.width / 2,
-      titleCanvas.height / 2
-    );
+    const titleTexture = this.createLocalizedTexture(
+      titleCanvas,
+      (titleContext) => {
+        const content = getContent();
+
+        // Draw title
+        titleContext.fillStyle = content.color;
+        titleContext.font = "bold 60px Arial";
+        titleContext.textAlign = "center";
+        titleContext.textBaseline = "middle";
+        titleContext.fillText(
+          content.title,
+          titleCanvas.width / 2,
+          titleCanvas.height / 2
+        );
 
-    // Add glow effect
-    titleContext.shadowColor = "#00ffff";
-    titleContext.shadowBlur = 10;
-    titleContext.fillText(
-      content.title,
-      titleCanvas.width / 2,
-      titleCanvas.height / 2
+        // Add glow effect
+        titleContext.shadowColor = content.color;
+        titleContext.shadowBlur = 10;
+        titleContext.fillText(
+          content.title,
+          titleCanvas.width / 2,
+          titleCanvas.height / 2
+        );
+      }
     );
-
-    const titleTexture = new THREE.CanvasTexture(titleCanvas);
     const titleGeometry = new THREE.PlaneGeometry(7, 1.5);
     const titleMaterial = new THREE.MeshBasicMaterial({
       map: titleTexture,
@@ -1987,32 +1997,33 @@ export default class CyberpunkOffice {
 
     // Create subtitle (initially hidden)
     const subtitleCanvas = document.createElement("canvas");
-    const subtitleContext = subtitleCanvas.getContext("2d");
     subtitleCanvas.width = 512;
     subtitleCanvas.height = 80;
 
-    subtitleContext.fillStyle = "rgba(0, 0, 0, 0)";
-    subtitleContext.fillRect(0, 0, subtitleCanvas.width, subtitleCanvas.height);
-
-    subtitleContext.fillStyle = "#ff00ff";
-    subtitleContext.font = "bold 36px Arial";
-    subtitleContext.textAlign = "center";
-    subtitleContext.textBaseline = "middle";
-    subtitleContext.fillText(
-      content.subtitle,
-      subtitleCanvas.width / 2,
-      subtitleCanvas.height / 2
-    );
+    const subtitleTexture = this.createLocalizedTexture(
+      subtitleCanvas,
+      (subtitleContext) => {
+        const content = getContent();
+
+        subtitleContext.fillStyle = "#ff00ff";
+        subtitleContext.font = "bold 36px Arial";
+        subtitleContext.textAlign = "center";
+        subtitleContext.textBaseline = "middle";
+        subtitleContext.fillText(
+          content.subtitle,
+          subtitleCanvas.width / 2,
+          subtitleCanvas.height / 2
+        );
 
-    subtitleContext.shadowColor = "#ff00ff";
-    subtitleContext.shadowBlur = 8;
-    subtitleContext.fillText(
-      content.subtitle,
-      subtitleCanvas.width / 2,
-      subtitleCanvas.height / 2
+        subtitleContext.shadowColor = "#ff00ff";
+        subtitleContext.shadowBlur = 8;
+        subtitleContext.fillText(
+          content.subtitle,
+          subtitleCanvas.width / 2,
+          subtitleCanvas.height / 2
+        );
+      }
     );
-
-    const subtitleTexture = new THREE.CanvasTexture(subtitleCanvas);
     const subtitleGeometry = new THREE.PlaneGeometry(6, 1);
     const subtitleMaterial = new THREE.MeshBasicMaterial({
       map: subtitleTexture,
@@ -2025,35 +2036,16 @@ export default class CyberpunkOffice {
     subtitleMesh.visible = false; // Initially hidden
     textGroup.add(subtitleMesh);
 
-    // Create preview content (initially hidden)
-    const previewCanvas = document.createElement("canvas");
-    const previewContext = previewCanvas.getContext("2d");
-    previewCanvas.width = 512;
-    previewCanvas.height = 120;
-
-    previewContext.fillStyle = "rgba(0, 0, 0, 0)";
-    previewContext.fillRect(0, 0, previewCanvas.width, previewCanvas.height);
-
-    previewContext.fillStyle = "#ffffff";
-    previewContext.font = "24px Arial";
-    previewContext.textAlign = "center";
-    previewContext.textBaseline = "top";
-
-    // Split preview text by newlines and draw each line
-    const lines = content.preview.split("\n");
-    lines.forEach((line, index) => {
-      previewContext.fillText(line, previewCanvas.width / 2, 20 + index * 30);
-    });
-
-    const previewTexture = new THREE.CanvasTexture(previewCanvas);
-    const previewGeometry = new THREE.PlaneGeometry(8, 1.8);
-    const previewMaterial = new THREE.MeshBasicMaterial({
-      map: previewTexture,
-      transparent: true,
-      opacity: 0,
-    });
-
-    const previewMesh = new THREE.Mesh(previewGeometry, previewMaterial);
+    // Create preview content (initially hidden). Timeline screens show a
+    // scrolling list of entries instead
+    const {
+      mesh: previewMesh,
+      material: previewMaterial,
+      texture: timelineTexture = null,
+    } =
+      getContent().modalType === "timeline"
+        ? this.createTimelinePanel(screenIndex)
+        : this.createPreviewPanel(getContent);
     previewMesh.position.y = -0.5;
     previewMesh.visible = false; // Initially hidden
     textGroup.add(previewMesh);
@@ -2066,11 +2058,165 @@ export default class CyberpunkOffice {
       titleMaterial: titleMaterial,
       subtitleMaterial: subtitleMaterial,
       previewMaterial: previewMaterial,
+      timelineTexture: timelineTexture,
     };
 
     return textGroup;
   }
 
+  createPreviewPanel(getContent) {
+    const previewCanvas = document.createElement("canvas");
+    previewCanvas.width = 512;
+    previewCanvas.height = 120;
+
+    const previewTexture = this.createLocalizedTexture(
+      previewCanvas,
+      (previewContext) => {
+        previewContext.fillStyle = "#ffffff";
+        previewContext.font = "24px Arial";
+        previewContext.textAlign = "center";
+        previewContext.textBaseline = "top";
+
+        // Split preview text by newlines and draw each line
+        const lines = getContent().preview.split("\n");
+        lines.forEach((line, index) => {
+          previewContext.fillText(
+            line,
+            previewCanvas.width / 2,
+            20 + index * 30
+          );
+        });
+      }
+    );
+    const previewGeometry = new THREE.PlaneGeometry(8, 1.8);
+    const previewMaterial = new THREE.MeshBasicMaterial({
+      map: previewTexture,
+      transparent: true,
+      opacity: 0,
+    });
+
+    const previewMesh = new THREE.Mesh(previewGeometry, previewMaterial);
+    return { mesh: previewMesh, material: previewMaterial };
+  }
+
+  // The canvas holds every experience entry, the texture shows a window of
+  // it that startTimelineScroll() moves while the screen is focused
+  createTimelinePanel(screenIndex) {
+    const getEntries = () => {
+      const screen = this.hologramConfig.screens[screenIndex];
+      const section =
+        this.getContent && this.getContent(screen.content || screen.modalType);
+      return (section && section.entries) || [];
+    };
+
+    const entryHeight = 130;
+    const canvas = document.createElement("canvas");
+    canvas.width = 1024;
+
+    // Same aspect as the 8 x 1.8 panel
+    const visibleHeight = Math.round((canvas.width * 1.8) / 8);
+    canvas.height = Math.max(
+      visibleHeight,
+      getEntries().length * entryHeight + 40
+    );
+
+    const texture = this.createLocalizedTexture(canvas, (context) => {
+      const { color } = this.hologramConfig.screens[screenIndex];
+      const textWidth = canvas.width - 140;
+
+      // Timeline axis
+      context.strokeStyle = color;
+      context.globalAlpha = 0.5;
+      context.lineWidth = 4;
+      context.beginPath();
+      context.moveTo(60, 20);
+      context.lineTo(60, canvas.height - 20);
+      context.stroke();
+      context.globalAlpha = 1;
+
+      getEntries().forEach((entry, index) => {
+        const top = 20 + index * entryHeight;
+
+        // Glowing node on the axis
+        context.fillStyle = color;
+        context.shadowColor = color;
+        context.shadowBlur = 12;
+        context.beginPath();
+        context.arc(60, top + 16, 12, 0, Math.PI * 2);
+        context.fill();
+        context.shadowBlur = 0;
+
+        context.textAlign = "left";
+        context.textBaseline = "top";
+
+        context.fillStyle = "#ff00ff";
+        context.font = "bold 26px Arial";
+        context.fillText(
+          this.i18n.formatPeriod(entry.start, entry.end),
+          100,
+          top,
+          textWidth
+        );
+
+        context.fillStyle = "#ffffff";
+        context.font = "bold 34px Arial";
+        context.fillText(entry.role, 100, top + 34, textWidth);
+
+        context.fillStyle = "#00ffff";
+        context.font = "28px Arial";
+        context.fillText(
+          [entry.company, entry.location].filter(Boolean).join(" · "),
+          100,
+          top + 78,
+          textWidth
+        );
+      });
+    });
+
+    // Show the top of the list
+    texture.repeat.y = Math.min(1, visibleHeight / canvas.height);
+    texture.offset.y = 1 - texture.repeat.y;
+
+    const material = new THREE.MeshBasicMaterial({
+      map: texture,
+      transparent: true,
+      opacity: 0,
+    });
+    const mesh = new THREE.Mesh(new THREE.PlaneGeometry(8, 1.8), material);
+
+    return { mesh, material, texture };
+  }
+
+  // Scroll a focused timeline screen down its entries and back up
+  startTimelineScroll(textData) {
+    const texture = textData.timelineTexture;
+    if (!texture || texture.repeat.y >= 1) return;
+
+    this.stopTimelineScroll(textData);
+
+    const top = 1 - texture.repeat.y;
+    textData.timelineTween = gsap.to(texture.offset, {
+      y: 0,
+      duration: (top / texture.repeat.y) * 4, // ~4s per visible window
+      delay: 1.5,
+      repeat: -1,
+      repeatDelay: 2,
+      yoyo: true,
+      ease: "sine.inOut",
+    });
+  }
+
+  stopTimelineScroll(textData) {
+    const texture = textData.timelineTexture;
+    if (textData.timelineTween) {
+      textData.timelineTween.kill();
+      textData.timelineTween = null;
+    }
+    if (texture) {
+      texture.offset.y = 1 - texture.repeat.y;
+    }
+  }
+
   createBackButton() {
     const buttonGroup = new THREE.Group();
 
@@ -2099,26 +2245,24 @@ export default class CyberpunkOffice {
     border.position.z = -0.01;
     buttonGroup.add(border);
 
-    // Button text "BACK"
+    // Button text ("BACK")
     const canvas = document.createElement("canvas");
     canvas.width = 280;
     canvas.height = 60;
-    const context = canvas.getContext("2d");
 
-    context.fillStyle = "rgba(0, 0, 0, 0)";
-    context.fillRect(0, 0, canvas.width, canvas.height);
+    const textTexture = this.createLocalizedTexture(canvas, (context) => {
+      const label = this.i18n.t("hologram.back");
 
-    context.fillStyle = "#00ffff";
-    context.font = "bold 20px Arial";
-    context.textAlign = "center";
-    context.textBaseline = "middle";
-    context.fillText("BACK", canvas.width / 2, canvas.height / 2);
+      context.fillStyle = "#00ffff";
+      context.font = "bold 20px Arial";
+      context.textAlign = "center";
+      context.textBaseline = "middle";
+      context.fillText(label, canvas.width / 2, canvas.height / 2);
 
-    context.shadowColor = "#00ffff";
-    context.shadowBlur = 6;
-    context.fillText("BACK", canvas.width / 2, canvas.height / 2);
-
-    const textTexture = new THREE.CanvasTexture(canvas);
+      context.shadowColor = "#00ffff";
+      context.shadowBlur = 6;
+      context.fillText(label, canvas.width / 2, canvas.height / 2);
+    });
     const textMaterial = new THREE.MeshBasicMaterial({
       map: textTexture,
       transparent: true,
@@ -2233,26 +2377,24 @@ export default class CyberpunkOffice {
     border.position.z = -0.01;
     buttonGroup.add(border);
 
-    // Button text "LIHAT DETAIL"
+    // Button text ("VIEW DETAILS")
     const canvas = document.createElement("canvas");
     canvas.width = 280;
     canvas.height = 60;
-    const context = canvas.getContext("2d");
-
-    context.fillStyle = "rgba(0, 0, 0, 0)";
-    context.fillRect(0, 0, canvas.width, canvas.height);
 
-    context.fillStyle = "#00ffff";
-    context.font = "bold 20px Arial";
-    context.textAlign = "center";
-    context.textBaseline = "middle";
-    context.fillText("LIHAT DETAIL", canvas.width / 2, canvas.height / 2);
+    const textTexture = this.createLocalizedTexture(canvas, (context) => {
+      const label = this.i18n.t("hologram.details");
 
-    context.shadowColor = "#00ffff";
-    context.shadowBlur = 6;
-    context.fillText("LIHAT DETAIL", canvas.width / 2, canvas.height / 2);
+      context.fillStyle = "#00ffff";
+      context.font = "bold 20px Arial";
+      context.textAlign = "center";
+      context.textBaseline = "middle";
+      context.fillText(label, canvas.width / 2, canvas.height / 2);
 
-    const textTexture = new THREE.CanvasTexture(canvas);
+      context.shadowColor = "#00ffff";
+      context.shadowBlur = 6;
+      context.fillText(label, canvas.width / 2, canvas.height / 2);
+    });
     const textMaterial = new THREE.MeshBasicMaterial({
       map: textTexture,
       transparent: true,
@@ -2421,34 +2563,30 @@ export default class CyberpunkOffice {
     }
   }
 
-  createYesNoButton(text, color, x, y) {
+  createYesNoButton(labelKey, color, x, y) {
     const buttonGroup = new THREE.Group();
 
     // Create canvas for button text
     const canvas = document.createElement("canvas");
     canvas.width = 256;
     canvas.height = 64;
-    const context = canvas.getContext("2d");
-
-    // Clear canvas
-    context.fillStyle = "rgba(0, 0, 0, 0)";
-    context.fillRect(0, 0, canvas.width, canvas.height);
-
-    // Draw button text
-    context.fillStyle = `#${color.toString(16).padStart(6, "0")}`;
-    context.font = "bold 24px Arial";
-    context.textAlign = "center";
-    context.textBaseline = "middle";
-    context.fillText(text, canvas.width / 2, canvas.height / 2);
-
-    // Add glow effect
-    context.shadowColor = `#${color.toString(16).padStart(6, "0")}`;
-    context.shadowBlur = 8;
-    context.fillText(text, canvas.width / 2, canvas.height / 2);
 
     // Create button texture
-    const buttonTexture = new THREE.CanvasTexture(canvas);
-    buttonTexture.needsUpdate = true;
+    const buttonTexture = this.createLocalizedTexture(canvas, (context) => {
+      const text = this.i18n.t(labelKey);
+
+      // Draw button text
+      context.fillStyle = `#${color.toString(16).padStart(6, "0")}`;
+      context.font = "bold 24px Arial";
+      context.textAlign = "center";
+      context.textBaseline = "middle";
+      context.fillText(text, canvas.width / 2, canvas.height / 2);
+
+      // Add glow effect
+      context.shadowColor = `#${color.toString(16).padStart(6, "0")}`;
+      context.shadowBlur = 8;
+      context.fillText(text, canvas.width / 2, canvas.height / 2);
+    });
 
     // Button background
     const buttonBgGeometry = new THREE.PlaneGeometry(1.5, 0.6); // Made larger
@@ -2521,27 +2659,23 @@ export default class CyberpunkOffice {
     const canvas = document.createElement("canvas");
     canvas.width = 512;
     canvas.height = 128;
-    const context = canvas.getContext("2d");
-
-    // Clear canvas with transparent background
-    context.fillStyle = "rgba(0, 0, 0, 0)";
-    context.fillRect(0, 0, canvas.width, canvas.height);
-
-    // Draw main text "Need Help?"
-    context.fillStyle = "#00ffff";
-    context.font = "bold 36px Arial";
-    context.textAlign = "center";
-    context.textBaseline = "middle";
-    context.fillText("Need Help?", canvas.width / 2, canvas.height / 2);
-
-    // Add glow effect
-    context.shadowColor = "#00ffff";
-    context.shadowBlur = 15;
-    context.fillText("Need Help?", canvas.width / 2, canvas.height / 2);
 
     // Create texture from canvas
-    const textTexture = new THREE.CanvasTexture(canvas);
-    textTexture.needsUpdate = true;
+    const textTexture = this.createLocalizedTexture(canvas, (context) => {
+      const text = this.i18n.t("robot.help");
+
+      // Draw main text ("Need Help?")
+      context.fillStyle = "#00ffff";
+      context.font = "bold 36px Arial";
+      context.textAlign = "center";
+      context.textBaseline = "middle";
+      context.fillText(text, canvas.width / 2, canvas.height / 2);
+
+      // Add glow effect
+      context.shadowColor = "#00ffff";
+      context.shadowBlur = 15;
+      context.fillText(text, canvas.width / 2, canvas.height / 2);
+    });
 
     // Create text plane
     const textGeometry = new THREE.PlaneGeometry(4, 1);
@@ -2556,14 +2690,14 @@ export default class CyberpunkOffice {
     textGroup.add(textMesh);
 
     // Create Yes button (initially hidden)
-    const yesButton = this.createYesNoButton("YES", 0x00ff00, -2.0, -1.5); // More spread out
+    const yesButton = this.createYesNoButton("robot.yes", 0x00ff00, -2.0, -1.5); // More spread out
     yesButton.userData = { isYesButton: true, buttonType: "yes" }; // Add buttonType for easier detection
     yesButton.visible = false; // Hidden by default
     yesButton.name = "YesButton"; // Add name for easier identification
     textGroup.add(yesButton);
 
     // Create No button (initially hidden)
-    const noButton = this.createYesNoButton("NO", 0xff0000, 2.0, -1.5); // More spread out
+    const noButton = this.createYesNoButton("robot.no", 0xff0000, 2.0, -1.5); // More spread out
     noButton.userData = { isNoButton: true, buttonType: "no" }; // Add buttonType for easier detection
     noButton.visible = false; // Hidden by default
     noButton.name = "NoButton"; // Add name for easier identification
@@ -3527,6 +3661,9 @@ export default class CyberpunkOffice {
           );
         }
 
+        // Timeline screens start scrolling through their entries
+        this.startTimelineScroll(textGroup.userData);
+
         // Show and animate preview
         if (previewMesh) {
           previewMesh.visible = true;
@@ -3622,6 +3759,8 @@ export default class CyberpunkOffice {
           });
         }
 
+        this.stopTimelineScroll(textGroup.userData);
+
         // Hide preview
         if (previewMesh && previewMaterial) {
           gsap.to(previewMaterial, {
@@ -3804,9 +3943,23 @@ export default class CyberpunkOffice {
     }
   }
 
-  // Robot interaction functions
-  activateRobotHelpMode(camera, controls) {
-    if (this.robotInteractionMode || !this.objects.robot) return;
+  // Move the robot to a spot on the floor if nothing is in the way
+  placeRobotAt(x, z) {
+    if (!this.objects.robot || this.checkCollision(x, z)) return false;
+
+    const robot = this.objects.robot;
+    robot.position.x = x;
+    robot.position.z = z;
+    robot.userData.targetPosition = { x, y: 0, z };
+    robot.userData.isMoving = false;
+    return true;
+  }
+
+  // Robot interaction functions. Resolves with whether the camera got to
+  // the robot
+  activateRobotHelpMode(camera, controls, { animateCamera = true } = {}) {
+    if (!this.objects.robot) return Promise.resolve(false);
+    if (this.robotInteractionMode) return Promise.resolve(true);
 
     this.robotInteractionMode = true;
     this.robotHelpModeStartTime = Date.now(); // Add timestamp
@@ -3826,6 +3979,9 @@ export default class CyberpunkOffice {
       helpText.userData.noButton.visible = true;
     }
 
+    // Caller moves the camera itself (e.g. restoring a shared view link)
+    if (!animateCamera) return Promise.resolve(true);
+
     // Focus camera on robot head + text area
     const robotPos = this.objects.robot.position;
     const targetPos = new THREE.Vector3(robotPos.x, robotPos.y + 5, robotPos.z);
@@ -3836,24 +3992,10 @@ export default class CyberpunkOffice {
     );
 
     // Animate camera
-    gsap.to(camera.position, {
-      x: cameraPos.x,
-      y: cameraPos.y,
-      z: cameraPos.z,
-      duration: 2,
-      ease: "power2.inOut",
-    });
-
-    gsap.to(controls.target, {
-      x: targetPos.x,
-      y: targetPos.y,
-      z: targetPos.z,
-      duration: 2,
-      ease: "power2.inOut",
-    });
-
-    // Update controls
-    controls.update();
+    return this.navigation.moveCamera(
+      { position: cameraPos, target: targetPos },
+      { name: "robot" }
+    );
   }
 
   deactivateRobotHelpMode(camera, controls) {
@@ -3871,20 +4013,9 @@ export default class CyberpunkOffice {
 
     // Restore original camera
     if (this.originalCameraPosition && this.originalCameraTarget) {
-      gsap.to(camera.position, {
-        x: this.originalCameraPosition.x,
-        y: this.originalCameraPosition.y,
-        z: this.originalCameraPosition.z,
-        duration: 2,
-        ease: "power2.inOut",
-      });
-
-      gsap.to(controls.target, {
-        x: this.originalCameraTarget.x,
-        y: this.originalCameraTarget.y,
-        z: this.originalCameraTarget.z,
-        duration: 2,
-        ease: "power2.inOut",
+      this.navigation.moveCamera({
+        position: this.originalCameraPosition,
+        target: this.originalCameraTarget,
       });
     }
 
@@ -3957,44 +4088,69 @@ export default class CyberpunkOffice {
   }
 
   showTutorialModal() {
+    // UI strings are bundled with the app and may contain markup, so they
+    // are trusted. Screen titles and hints are content and get escaped
+    const t = (key, params) => trustedHtml(this.i18n.t(key, params));
+    const screens = this.hologramConfig.screens;
+    const list = (items) =>
+      trustedHtml(items.map((item) => `• ${item}`).join("<br>\n          "));
+
+    const hologramGuide = screens.map((screen) => {
+      const label = t("tutorial.hologramItem", {
+        title: escapeHtml(screen.title),
+      });
+      return html`• <span style="color: #00ffff; font-weight: bold;">${label}</span> → ${screen.hint}<br>`;
+    });
+
     // Create modal content with detailed instructions
-    const tutorialContent = `
+    const tutorialContent = html`
       <div style="text-align: left; line-height: 1.8; color: #ffffff;">
-        <h2 style="color: #00ffff; margin-bottom: 1.5rem; text-align: center;">📱 How to Use This 3D Portfolio</h2>
+        <h2 style="color: #00ffff; margin-bottom: 1.5rem; text-align: center;">${t(
+          "tutorial.title"
+        )}</h2>
         
         <div style="margin-bottom: 1.5rem; padding: 1rem; background: rgba(0,255,255,0.1); border-radius: 8px;">
-          <strong style="color: #00ff00; font-size: 18px;">�️ Basic Navigation:</strong><br>
-          • <strong>Mouse</strong>: Click and drag to rotate camera view<br>
-          • <strong>Scroll</strong>: Zoom in/out of the office<br>
-          • <strong>Click</strong>: Interactive elements will show pointer cursor
+          <strong style="color: #00ff00; font-size: 18px;">${t(
+            "tutorial.navigationHeading"
+          )}</strong><br>
+          ${list(this.i18n.t("tutorial.navigation"))}
+        </div>
+
+        <div style="margin-bottom: 1.5rem; padding: 1rem; background: rgba(0,255,255,0.1); border-radius: 8px;">
+          <strong style="color: #00ff00; font-size: 18px;">${t(
+            "tutorial.keyboardHeading"
+          )}</strong><br>
+          ${list(this.i18n.t("tutorial.keyboard"))}
         </div>
 
         <div style="margin-bottom: 1.5rem; padding: 1rem; background: rgba(255,0,255,0.1); border-radius: 8px;">
-          <strong style="color: #ff00ff; font-size: 18px;">� Hologram Screens Guide:</strong><br>
-          • <span style="color: #00ffff; font-weight: bold;">Click "ABOUT" hologram</span> → View my background and experience<br>
-          • <span style="color: #00ffff; font-weight: bold;">Click "PROJECTS" hologram</span> → See my portfolio projects<br>
-          • <span style="color: #00ffff; font-weight: bold;">Click "SKILLS" hologram</span> → Technical expertise and tools<br>
-          • <span style="color: #00ffff; font-weight: bold;">Click "CONTACT" hologram</span> → Get in touch for collaboration
+          <strong style="color: #ff00ff; font-size: 18px;">${t(
+            "tutorial.hologramHeading"
+          )}</strong><br>
+          ${hologramGuide}
         </div>
 
         <div style="margin-bottom: 1.5rem; padding: 1rem; background: rgba(255,255,0,0.1); border-radius: 8px;">
-          <strong style="color: #ffff00; font-size: 18px;">⚡ Interactive Features:</strong><br>
-          • <strong>"LIHAT DETAIL"</strong> button → View detailed information<br>
-          • <strong>"BACK"</strong> button → Return to main view<br>
-          • <strong>Robot Helper</strong> → Click me anytime for help!<br>
-          • <strong>Auto Focus</strong> → Camera automatically centers on selected content
+          <strong style="color: #ffff00; font-size: 18px;">${t(
+            "tutorial.featuresHeading"
+          )}</strong><br>
+          ${list(
+            this.i18n.t("tutorial.features", {
+              details: this.i18n.t("hologram.details"),
+              back: this.i18n.t("hologram.back"),
+            })
+          )}
         </div>
 
         <div style="margin-bottom: 1rem; padding: 1rem; background: rgba(0,255,0,0.1); border-radius: 8px;">
-          <strong style="color: #00ff00; font-size: 18px;">� Pro Tips:</strong><br>
-          • Explore all 4 hologram screens around the office<br>
-          • Each screen has unique content and details<br>
-          • Robot moves randomly - click for instant help<br>
-          • Use mouse wheel for best viewing angle
+          <strong style="color: #00ff00; font-size: 18px;">${t(
+            "tutorial.tipsHeading"
+          )}</strong><br>
+          ${list(this.i18n.t("tutorial.tips", { count: screens.length }))}
         </div>
 
         <div style="text-align: center; margin-top: 1.5rem; color: #00ffff;">
-          <strong>Welcome to my Cyberpunk Office! 🚀</strong>
+          <strong>${t("tutorial.welcome")}</strong>
         </div>
       </div>
     `;
@@ -0,0 +1,102 @@
+import * as THREE from "three";
+
+// Debug view of the camera flights, open the page with ?debug=camera
+//
+// Draws what NavigationManager plans with: the obstacles (boxes up to their
+// height), the authored route waypoints, and the last few flights with the
+// points their curve runs through. Everything is drawn on top of the scene.
+
+const OBSTACLE_COLOR = 0xff4444;
+const ROUTE_COLOR = 0xffffff;
+// One per kept flight, so consecutive flights are told apart
+const FLIGHT_COLORS = [0xff00ff, 0x00ffff, 0xffff00, 0x00ff00, 0xff8800];
+
+export default class CameraPathDebug {
+  constructor(scene) {
+    this.scene = scene;
+    this.group = new THREE.Group();
+    this.group.name = "camera-path-debug";
+    this.scene.add(this.group);
+
+    // Most recent flights, oldest first
+    this.flights = [];
+    this.flightCount = 0;
+
+    this.pointGeometry = new THREE.SphereGeometry(0.25, 8, 8);
+  }
+
+  showObstacles(obstacles) {
+    const material = this.createLineMaterial(OBSTACLE_COLOR);
+
+    obstacles.forEach(({ x, z, width, depth, height = 1 }) => {
+      const box = new THREE.LineSegments(
+        new THREE.EdgesGeometry(new THREE.BoxGeometry(width, height, depth)),
+        material
+      );
+      box.position.set(x, height / 2, z);
+      box.renderOrder = 999;
+      this.group.add(box);
+    });
+  }
+
+  // Waypoints of the authored routes, joined in order
+  showRoutes(routes) {
+    Object.values(routes).forEach(({ waypoints = [] }) => {
+      const points = waypoints.map((point) => new THREE.Vector3(...point));
+      this.addPoints(points, ROUTE_COLOR, this.group);
+      if (points.length > 1) this.addLine(points, ROUTE_COLOR, this.group);
+    });
+  }
+
+  // One flight: its curve and the points it was built from. A null curve
+  // means the camera didn't travel
+  showFlight(points, curve) {
+    if (!curve) return;
+
+    const color = FLIGHT_COLORS[this.flightCount % FLIGHT_COLORS.length];
+    this.flightCount += 1;
+
+    const flight = new THREE.Group();
+    this.addLine(curve.getSpacedPoints(64), color, flight);
+    this.addPoints(points, color, flight);
+    this.group.add(flight);
+    this.flights.push(flight);
+
+    if (this.flights.length > FLIGHT_COLORS.length) {
+      this.removeFlight(this.flights.shift());
+    }
+  }
+
+  createLineMaterial(color) {
+    return new THREE.LineBasicMaterial({ color, depthTest: false });
+  }
+
+  addLine(points, color, parent) {
+    const line = new THREE.Line(
+      new THREE.BufferGeometry().setFromPoints(points),
+      this.createLineMaterial(color)
+    );
+    line.renderOrder = 999;
+    parent.add(line);
+  }
+
+  addPoints(points, color, parent) {
+    const material = new THREE.MeshBasicMaterial({ color, depthTest: false });
+
+    points.forEach((point) => {
+      const marker = new THREE.Mesh(this.pointGeometry, material);
+      marker.position.copy(point);
+      marker.renderOrder = 999;
+      parent.add(marker);
+    });
+  }
+
+  removeFlight(flight) {
+    this.group.remove(flight);
+    flight.traverse((object) => {
+      // The marker sphere is shared
+      if (object.isLine) object.geometry.dispose();
+      if (object.material) object.material.dispose();
+    });
+  }
+}
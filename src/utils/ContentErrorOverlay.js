@@ -0,0 +1,90 @@
+// On-screen list of content errors, shown in dev so a broken field is
+// noticed right away instead of as a silently broken modal
+
+export default class ContentErrorOverlay {
+  constructor() {
+    this.element = null;
+  }
+
+  show(errors, title = "Portfolio content has errors") {
+    this.hide();
+
+    const overlay = document.createElement("div");
+    overlay.className = "content-error-overlay";
+    overlay.setAttribute("role", "alert");
+    overlay.style.cssText = `
+      position: fixed;
+      top: 1rem;
+      left: 50%;
+      transform: translateX(-50%);
+      width: min(720px, 95%);
+      max-height: 70vh;
+      overflow-y: auto;
+      background: rgba(20, 0, 10, 0.95);
+      border: 2px solid #ff3366;
+      border-radius: 8px;
+      padding: 1.2rem 1.5rem;
+      color: #fff;
+      font-family: 'Rajdhani', sans-serif;
+      box-shadow: 0 0 30px rgba(255, 51, 102, 0.4);
+      z-index: 5000;
+    `;
+
+    const heading = document.createElement("h2");
+    heading.textContent = `⚠️ ${title}`;
+    heading.style.cssText = `
+      color: #ff3366;
+      font-family: 'Orbitron', monospace;
+      font-size: 1.1rem;
+      margin: 0 2rem 0.8rem 0;
+    `;
+    overlay.appendChild(heading);
+
+    const list = document.createElement("ul");
+    list.style.cssText = "margin: 0; padding-left: 1.2rem; line-height: 1.6;";
+    errors.forEach(({ path, message }) => {
+      const item = document.createElement("li");
+
+      const field = document.createElement("code");
+      field.textContent = path || "(root)";
+      field.style.cssText = "color: #00ffff; font-size: 0.95rem;";
+
+      item.appendChild(field);
+      item.appendChild(document.createTextNode(` ${message}`));
+      list.appendChild(item);
+    });
+    overlay.appendChild(list);
+
+    const hint = document.createElement("p");
+    hint.textContent =
+      "Fix src/data/portfolioContent.js (or the locale files) and save to reload.";
+    hint.style.cssText = "margin: 0.8rem 0 0; color: #aaa; font-size: 0.9rem;";
+    overlay.appendChild(hint);
+
+    const closeButton = document.createElement("button");
+    closeButton.textContent = "×";
+    closeButton.setAttribute("aria-label", "Dismiss");
+    closeButton.style.cssText = `
+      position: absolute;
+      top: 0.6rem;
+      right: 0.8rem;
+      background: transparent;
+      border: none;
+      color: #ff3366;
+      font-size: 1.5rem;
+      cursor: pointer;
+    `;
+    closeButton.addEventListener("click", () => this.hide());
+    overlay.appendChild(closeButton);
+
+    document.body.appendChild(overlay);
+    this.element = overlay;
+  }
+
+  hide() {
+    if (this.element && this.element.parentNode) {
+      this.element.parentNode.removeChild(this.element);
+    }
+    this.element = null;
+  }
+}
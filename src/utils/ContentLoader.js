@@ -0,0 +1,132 @@
+// Loads portfolio content from the public `content/` folder at runtime, so
+// projects can be updated without rebuilding the bundle
+//
+//   content/index.json     - { "sections": ["about", "projects", ...] }
+//   content/<section>.json - same shape as portfolioContent[section]
+//
+// Any string field can be replaced by { "markdown": "file.md" } to keep long
+// texts in a Markdown file next to the JSON. A section may also carry
+// { "translations": { "id": { ...overrides } } }, which replace that
+// section's overrides from src/data/locales so they stay in step with the
+// loaded lists. Sections not listed in index.json keep the bundled data.
+
+import { isPlainObject, markdownToText } from "./contentUtils.js";
+
+const CONTENT_DIR = "content/";
+
+export default class ContentLoader {
+  constructor({
+    fallback,
+    localeCodes = [],
+    baseUrl = import.meta.env.BASE_URL,
+    fetcher = (url, options) => fetch(url, options),
+  }) {
+    this.fallback = fallback;
+    this.localeCodes = localeCodes;
+    this.baseUrl = `${baseUrl || "/"}${CONTENT_DIR}`;
+
+    // Swappable so scripts/validate-content.js can read from disk
+    this.fetcher = fetcher;
+
+    this.loaded = 0;
+    this.total = 0;
+
+    // Called with (loaded, total) after every file
+    this.onProgress = null;
+  }
+
+  // Returns { content, localeContent }. Throws when a file can't be loaded,
+  // the caller decides whether to fall back to the bundled content
+  async load() {
+    this.loaded = 0;
+    this.total = 1; // index.json
+    this.reportProgress();
+
+    const index = await this.fetchFile("index.json", "json");
+    const sections = Array.isArray(index.sections) ? index.sections : [];
+
+    this.total += sections.length;
+    this.reportProgress();
+
+    const files = await Promise.all(
+      sections.map((section) => this.fetchFile(`${section}.json`, "json"))
+    );
+
+    const content = { ...this.fallback };
+    const localeContent = {};
+    this.localeCodes.forEach((code) => {
+      localeContent[code] = {};
+    });
+
+    for (const [position, file] of files.entries()) {
+      const section = sections[position];
+      const { translations = {}, ...data } = await this.resolveMarkdown(file);
+
+      content[section] = data;
+
+      // Every locale gets an entry, even an empty one, so stale bundled
+      // overrides for this section are dropped
+      this.localeCodes.forEach((code) => {
+        localeContent[code][section] = translations[code];
+      });
+    }
+
+    console.log(`Loaded content from ${this.baseUrl}:`, sections.join(", "));
+    return { content, localeContent };
+  }
+
+  // Replace { markdown: "file.md" } references with the file's text
+  async resolveMarkdown(value) {
+    if (Array.isArray(value)) {
+      return Promise.all(value.map((item) => this.resolveMarkdown(item)));
+    }
+
+    if (!isPlainObject(value)) return value;
+
+    const keys = Object.keys(value);
+    if (keys.length === 1 && typeof value.markdown === "string") {
+      this.total++;
+      this.reportProgress();
+      return markdownToText(await this.fetchFile(value.markdown, "text"));
+    }
+
+    const resolved = {};
+    for (const key of keys) {
+      resolved[key] = await this.resolveMarkdown(value[key]);
+    }
+    return resolved;
+  }
+
+  async fetchFile(file, type) {
+    // no-cache: revalidate so edited files show up without a rebuild
+    const response = await this.fetcher(`${this.baseUrl}${file}`, {
+      cache: "no-cache",
+    });
+    if (!response.ok) {
+      throw new Error(`${file}: HTTP ${response.status}`);
+    }
+
+    // The dev server answers missing files with index.html
+    const contentType = response.headers.get("content-type") || "";
+    if (contentType.includes("text/html")) {
+      throw new Error(`${file}: not found`);
+    }
+
+    let body;
+    try {
+      body = type === "json" ? await response.json() : await response.text();
+    } catch (error) {
+      throw new Error(`${file}: ${error.message}`);
+    }
+
+    this.loaded++;
+    this.reportProgress();
+    return body;
+  }
+
+  reportProgress() {
+    if (this.onProgress) {
+      this.onProgress(this.loaded, this.total);
+    }
+  }
+}
@@ -0,0 +1,256 @@
+// Checks portfolio content against contentSchema before anything renders it
+//
+// No DOM access here so the same checks run in the browser (dev mode) and
+// from Node (scripts/validate-content.js).
+
+import { contentSchema } from "../data/contentSchema.js";
+import { isPlainObject, mergeContent } from "./contentUtils.js";
+
+export default class ContentValidator {
+  constructor(schema = contentSchema) {
+    this.schema = schema;
+  }
+
+  // Returns a list of { path, message }, empty when the content is valid
+  validate(content) {
+    const errors = [];
+    this.checkValue(content, this.schema, "", errors);
+
+    // Cross-field rules only make sense once the shape is right
+    if (errors.length === 0) {
+      this.checkHologramScreens(content, errors);
+      this.checkContactInfo(content, errors);
+      this.checkTourSteps(content, errors);
+    }
+
+    return errors;
+  }
+
+  // Validate the base content and every locale merged onto it. Errors from
+  // a locale are prefixed with its code, e.g. "[id] about.title"
+  validateLocales(baseContent, locales) {
+    const errors = this.validate(baseContent);
+    const baseMessages = new Set(
+      errors.map(({ path, message }) => `${path} ${message}`)
+    );
+
+    Object.entries(locales).forEach(([code, { content = {} }]) => {
+      const localeErrors = [];
+      this.checkOverride(baseContent, content, "", localeErrors);
+
+      this.validate(mergeContent(baseContent, content))
+        .filter(
+          ({ path, message }) => !baseMessages.has(`${path} ${message}`)
+        )
+        .forEach((error) => localeErrors.push(error));
+
+      localeErrors.forEach(({ path, message }) => {
+        errors.push({ path: `[${code}] ${path}`, message });
+      });
+    });
+
+    return errors;
+  }
+
+  // Overrides for fields or list items the base content doesn't have are
+  // silently dropped by mergeContent, so report them instead
+  checkOverride(base, override, path, errors) {
+    if (Array.isArray(override)) {
+      if (!Array.isArray(base)) return;
+      override.forEach((item, index) => {
+        const itemPath = `${path}[${index}]`;
+        if (index >= base.length) {
+          errors.push({
+            path: itemPath,
+            message: "has no matching base item",
+          });
+        } else {
+          this.checkOverride(base[index], item, itemPath, errors);
+        }
+      });
+    } else if (isPlainObject(override) && isPlainObject(base)) {
+      Object.keys(override).forEach((key) => {
+        const keyPath = this.join(path, key);
+        if (base[key] === undefined) {
+          errors.push({
+            path: keyPath,
+            message: "has no matching base field",
+          });
+        } else if (key === "section") {
+          errors.push({
+            path: keyPath,
+            message: "should not be translated, it is part of the URL",
+          });
+        } else {
+          this.checkOverride(base[key], override[key], keyPath, errors);
+        }
+      });
+    }
+  }
+
+  checkValue(value, schema, path, errors) {
+    if (value === undefined || value === null) {
+      if (!schema.optional) {
+        errors.push({ path, message: "is required" });
+      }
+      return;
+    }
+
+    const actualType = Array.isArray(value) ? "array" : typeof value;
+    if (actualType !== schema.type) {
+      errors.push({
+        path,
+        message: `should be ${schema.type}, got ${actualType}`,
+      });
+      return;
+    }
+
+    switch (schema.type) {
+      case "string":
+        this.checkString(value, schema, path, errors);
+        break;
+      case "number":
+        this.checkNumber(value, schema, path, errors);
+        break;
+      case "array":
+        this.checkArray(value, schema, path, errors);
+        break;
+      case "object":
+        this.checkObject(value, schema, path, errors);
+        break;
+    }
+  }
+
+  checkString(value, schema, path, errors) {
+    if (schema.minLength && value.trim().length < schema.minLength) {
+      errors.push({ path, message: "should not be empty" });
+    } else if (schema.enum && !schema.enum.includes(value)) {
+      errors.push({
+        path,
+        message: `"${value}" should be one of: ${schema.enum.join(", ")}`,
+      });
+    } else if (schema.pattern && !schema.pattern.test(value)) {
+      errors.push({
+        path,
+        message: `"${value}" does not match ${schema.pattern}`,
+      });
+    }
+  }
+
+  checkNumber(value, schema, path, errors) {
+    if (!Number.isFinite(value)) {
+      errors.push({ path, message: "should be a finite number" });
+    } else if (schema.min !== undefined && value < schema.min) {
+      errors.push({ path, message: `should be at least ${schema.min}` });
+    } else if (schema.max !== undefined && value > schema.max) {
+      errors.push({ path, message: `should be at most ${schema.max}` });
+    }
+  }
+
+  checkArray(value, schema, path, errors) {
+    if (schema.minItems && value.length < schema.minItems) {
+      errors.push({
+        path,
+        message: `should have at least ${schema.minItems} item(s)`,
+      });
+    }
+
+    if (schema.items) {
+      value.forEach((item, index) => {
+        this.checkValue(item, schema.items, `${path}[${index}]`, errors);
+      });
+    }
+  }
+
+  checkObject(value, schema, path, errors) {
+    if (!schema.fields) return;
+
+    Object.entries(schema.fields).forEach(([key, fieldSchema]) => {
+      this.checkValue(value[key], fieldSchema, this.join(path, key), errors);
+    });
+
+    // Catch typos such as "technology" instead of "technologies"
+    Object.keys(value).forEach((key) => {
+      if (!schema.fields[key]) {
+        errors.push({
+          path: this.join(path, key),
+          message: "is not a known field",
+        });
+      }
+    });
+  }
+
+  // Sections become URLs and content (or modalType) picks the detail content
+  checkHologramScreens(content, errors) {
+    const seen = new Set();
+
+    content.hologram.screens.forEach((screen, index) => {
+      const path = `hologram.screens[${index}]`;
+
+      if (screen.section === "home") {
+        errors.push({
+          path: `${path}.section`,
+          message: `"home" is reserved for the overview`,
+        });
+      } else if (seen.has(screen.section)) {
+        errors.push({
+          path: `${path}.section`,
+          message: `"${screen.section}" is used by more than one screen`,
+        });
+      }
+      seen.add(screen.section);
+
+      const contentKey = screen.content || screen.modalType;
+      if (!content[contentKey] || contentKey === "hologram") {
+        errors.push({
+          path: `${path}.${screen.content ? "content" : "modalType"}`,
+          message: `"${contentKey}" is not a content section`,
+        });
+      }
+    });
+  }
+
+  checkContactInfo(content, errors) {
+    content.contact.contactInfo.forEach((item, index) => {
+      if (item.action === "link" && !item.link) {
+        errors.push({
+          path: `contact.contactInfo[${index}].link`,
+          message: `is required for the "link" action`,
+        });
+      }
+    });
+  }
+
+  // Section stops must name a hologram screen, viewpoint stops a viewpoint
+  checkTourSteps(content, errors) {
+    if (!content.tour) return;
+
+    const sections = content.hologram.screens.map(({ section }) => section);
+    content.tour.steps.forEach((step, index) => {
+      const path = `tour.steps[${index}]`;
+
+      if (step.stop === "section" && !sections.includes(step.section)) {
+        errors.push({
+          path: `${path}.section`,
+          message: `must be one of the hologram sections (${sections.join(", ")})`,
+        });
+      } else if (step.stop === "viewpoint" && !step.viewpoint) {
+        errors.push({
+          path: `${path}.viewpoint`,
+          message: `is required for "viewpoint" stops`,
+        });
+      }
+    });
+  }
+
+  join(path, key) {
+    return path ? `${path}.${key}` : key;
+  }
+
+  // One "path: message" line per error, for logs and the CLI
+  format(errors) {
+    return errors
+      .map(({ path, message }) => `${path || "(root)"}: ${message}`)
+      .join("\n");
+  }
+}
@@ -0,0 +1,161 @@
+// Localisation for UI strings and portfolio content
+//
+// Each locale bundle has:
+//   name    - label for the language switcher
+//   ui      - UI strings, looked up with t("dotted.key")
+//   content - overrides deep-merged onto the base portfolioContent
+//             (arrays are merged item by item, in the same order)
+
+import { applyLocaleContent, mergeContent } from "./contentUtils.js";
+
+export default class I18nManager {
+  constructor({ locales, baseContent, defaultLocale = "en" }) {
+    this.locales = locales;
+    this.baseContent = baseContent;
+    this.defaultLocale = defaultLocale;
+    this.storageKey = "portfolio-locale";
+
+    this.contentCache = {};
+    this.locale = this.detectLocale();
+
+    // Called with the new locale after setLocale()
+    this.onLocaleChange = null;
+
+    document.documentElement.lang = this.locale;
+  }
+
+  detectLocale() {
+    try {
+      const stored = localStorage.getItem(this.storageKey);
+      if (stored && this.locales[stored]) return stored;
+    } catch (error) {
+      // Storage can be blocked (private mode) - fall back to the browser
+    }
+
+    const browserLocales = navigator.languages || [navigator.language || ""];
+    for (const browserLocale of browserLocales) {
+      const language = browserLocale.split("-")[0].toLowerCase();
+      if (this.locales[language]) return language;
+    }
+
+    return this.defaultLocale;
+  }
+
+  getAvailableLocales() {
+    return Object.keys(this.locales).map((code) => ({
+      code,
+      name: this.locales[code].name,
+    }));
+  }
+
+  setLocale(locale) {
+    if (!this.locales[locale] || locale === this.locale) return;
+
+    this.locale = locale;
+    document.documentElement.lang = locale;
+
+    try {
+      localStorage.setItem(this.storageKey, locale);
+    } catch (error) {
+      // Not fatal - the choice just won't survive a reload
+    }
+
+    this.translateDom();
+
+    if (this.onLocaleChange) {
+      this.onLocaleChange(locale);
+    }
+  }
+
+  // Look up a UI string (or list) by dotted key, falling back to the
+  // default locale and finally to the key itself
+  t(key, params = {}) {
+    const value =
+      this.lookup(this.locales[this.locale].ui, key) ??
+      this.lookup(this.locales[this.defaultLocale].ui, key);
+
+    if (value === undefined) {
+      console.warn(`Missing translation for "${key}"`);
+      return key;
+    }
+
+    if (Array.isArray(value)) {
+      return value.map((item) => this.interpolate(item, params));
+    }
+
+    return this.interpolate(value, params);
+  }
+
+  has(key) {
+    return (
+      this.lookup(this.locales[this.locale].ui, key) !== undefined ||
+      this.lookup(this.locales[this.defaultLocale].ui, key) !== undefined
+    );
+  }
+
+  interpolate(value, params) {
+    if (typeof value !== "string") return value;
+
+    return value.replace(/\{(\w+)\}/g, (match, name) =>
+      params[name] !== undefined ? params[name] : match
+    );
+  }
+
+  lookup(source, key) {
+    return key
+      .split(".")
+      .reduce(
+        (node, part) => (node && node[part] !== undefined ? node[part] : undefined),
+        source
+      );
+  }
+
+  // "2023-06" -> "Jun 2023" in the current language, a bare year stays
+  formatYearMonth(value) {
+    const [year, month] = value.split("-").map(Number);
+    if (!month) return String(year);
+
+    return new Intl.DateTimeFormat(this.locale, {
+      month: "short",
+      year: "numeric",
+    }).format(new Date(year, month - 1));
+  }
+
+  // "Jan 2022 – Dec 2023", or "Jan 2024 – Present" without an end
+  formatPeriod(start, end) {
+    const endLabel = end
+      ? this.formatYearMonth(end)
+      : this.t("timeline.present");
+    return `${this.formatYearMonth(start)} – ${endLabel}`;
+  }
+
+  // Portfolio content with the current locale's overrides applied
+  getContent() {
+    if (!this.contentCache[this.locale]) {
+      this.contentCache[this.locale] = mergeContent(
+        this.baseContent,
+        this.locales[this.locale].content || {}
+      );
+    }
+    return this.contentCache[this.locale];
+  }
+
+  // Swap the base content (e.g. after loading it at runtime), optionally
+  // with per-section overrides that replace the bundled ones
+  setBaseContent(baseContent, localeContent = {}) {
+    this.baseContent = baseContent;
+    this.locales = applyLocaleContent(this.locales, localeContent);
+    this.contentCache = {};
+  }
+
+  // Fill static markup: data-i18n sets text, data-i18n-title sets the tooltip
+  translateDom(root = document) {
+    root.querySelectorAll("[data-i18n]").forEach((element) => {
+      element.textContent = this.t(element.dataset.i18n);
+    });
+
+    root.querySelectorAll("[data-i18n-title]").forEach((element) => {
+      element.title = this.t(element.dataset.i18nTitle);
+    });
+  }
+}
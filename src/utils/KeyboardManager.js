@@ -0,0 +1,388 @@
+import * as THREE from "three";
+
+// Keyboard control of the office
+//
+//   0 / Home        - home view
+//   1-9             - hologram screen 1-9
+//   ← / →           - previous / next section
+//   Tab / Shift+Tab - move a focus ring across the 3D objects (while the
+//                     canvas has focus, then on to the page buttons)
+//   Enter / Space   - activate the ring's object, or open the details of
+//                     the current hologram
+//   W A S D         - orbit around the camera target
+//   Q / E           - zoom out / in
+//
+// What the section keys and Enter do is up to main.js through the
+// callbacks below. WASD/QE are read by key position (event.code), so they
+// sit in the same place on AZERTY and other layouts.
+
+const ORBIT_KEYS = {
+  KeyA: { theta: -1 },
+  KeyD: { theta: 1 },
+  KeyW: { phi: -1 },
+  KeyS: { phi: 1 },
+  KeyQ: { zoom: 1 },
+  KeyE: { zoom: -1 },
+};
+
+// Keys belong to these while they have focus
+const TEXT_ENTRY = "input, textarea, select, [contenteditable='true']";
+
+// Keep the camera off the poles, like OrbitControls does
+const POLE_MARGIN = 0.01;
+
+export default class KeyboardManager {
+  constructor(canvas, i18n) {
+    this.canvas = canvas;
+    this.i18n = i18n;
+    this.camera = null;
+    this.controls = null;
+
+    // Radians per second while an orbit key is held
+    this.orbitSpeed = 1.2;
+    // Distance factor per second while a zoom key is held
+    this.zoomSpeed = 2;
+
+    // Returns whether the keys are ours, e.g. false while a modal is open
+    this.isEnabled = null;
+    // Returns the objects Tab can reach: [{ object, label, activate }]
+    this.getTargets = null;
+    // Called with a section number, 0 is home
+    this.onSectionKey = null;
+    // Called with -1 or 1 for the previous / next section
+    this.onSectionStep = null;
+    // Called for Enter when the focus ring is not on anything
+    this.onActivate = null;
+    // Called for Escape when the focus ring is not on anything
+    this.onEscape = null;
+
+    this.focusedTarget = null;
+    this.heldKeys = new Set();
+    this.lastUpdate = performance.now();
+
+    this.spherical = new THREE.Spherical();
+    this.offset = new THREE.Vector3();
+    this.box = new THREE.Box3();
+    this.corner = new THREE.Vector3();
+
+    this.ring = this.createRing();
+    this.stylesAdded = false;
+    this.addStyles();
+
+    this.updateCanvasLabel();
+
+    document.addEventListener("keydown", (event) => this.onKeyDown(event));
+    document.addEventListener("keyup", (event) => {
+      if (this.heldKeys.delete(event.code)) this.releaseKeys();
+    });
+    // Key up events are lost while the window is in the background
+    window.addEventListener("blur", () => {
+      if (this.heldKeys.size === 0) return;
+      this.heldKeys.clear();
+      this.releaseKeys();
+    });
+    this.canvas.addEventListener("blur", () => {
+      this.clearFocus();
+    });
+  }
+
+  setup(camera, controls) {
+    this.camera = camera;
+    this.controls = controls;
+  }
+
+  createRing() {
+    const ring = document.createElement("div");
+    ring.className = "focus-ring";
+    ring.hidden = true;
+    ring.setAttribute("aria-hidden", "true");
+
+    const label = document.createElement("span");
+    label.className = "focus-ring-label";
+    ring.appendChild(label);
+
+    // Screen readers hear the label from a region that stays in the page,
+    // the ring itself comes and goes
+    this.status = document.createElement("div");
+    this.status.className = "focus-ring-status";
+    this.status.setAttribute("role", "status");
+
+    document.body.append(ring, this.status);
+    return ring;
+  }
+
+  // Screen readers get told what the canvas is and how to use it
+  updateCanvasLabel() {
+    this.canvas.setAttribute("aria-label", this.i18n.t("keyboard.canvas"));
+  }
+
+  onKeyDown(event) {
+    if (this.isEnabled && !this.isEnabled()) return;
+    if (event.ctrlKey || event.metaKey || event.altKey) return;
+    if (event.target.closest && event.target.closest(TEXT_ENTRY)) return;
+
+    // Enter and Space keep working on focused page buttons
+    const onScene =
+      event.target === this.canvas || event.target === document.body;
+
+    if (event.key === "Tab") {
+      if (event.target === this.canvas) this.moveFocus(event);
+      return;
+    }
+
+    if (event.key === "Escape") {
+      if (this.focusedTarget) {
+        this.clearFocus();
+      } else if (this.onEscape) {
+        this.onEscape();
+      }
+      return;
+    }
+
+    if ((event.key === "Enter" || event.key === " ") && onScene) {
+      event.preventDefault();
+      if (event.repeat) return;
+
+      if (this.focusedTarget) {
+        this.focusedTarget.activate();
+      } else if (this.onActivate) {
+        this.onActivate();
+      }
+      return;
+    }
+
+    if (ORBIT_KEYS[event.code]) {
+      // Same events as a mouse drag, so a camera flight stops for the
+      // visitor (see NavigationManager)
+      if (this.heldKeys.size === 0 && this.controls) {
+        this.controls.dispatchEvent({ type: "start" });
+      }
+      this.heldKeys.add(event.code);
+      return;
+    }
+
+    if (event.repeat) return;
+
+    if (/^[0-9]$/.test(event.key) || event.key === "Home") {
+      const number = event.key === "Home" ? 0 : Number(event.key);
+      if (this.onSectionKey) this.onSectionKey(number);
+    } else if (event.key === "ArrowLeft" || event.key === "ArrowRight") {
+      event.preventDefault();
+      if (this.onSectionStep) {
+        this.onSectionStep(event.key === "ArrowLeft" ? -1 : 1);
+      }
+    }
+  }
+
+  // The last orbit key was let go
+  releaseKeys() {
+    if (this.heldKeys.size === 0 && this.controls) {
+      this.controls.dispatchEvent({ type: "end" });
+    }
+  }
+
+  // Tab steps through the targets, past the last one focus moves on to the
+  // page as usual
+  moveFocus(event) {
+    const targets = this.getTargets
+      ? this.getTargets().filter(({ object }) => this.isShown(object))
+      : [];
+    const current = this.focusedTarget
+      ? targets.findIndex(({ object }) => object === this.focusedTarget.object)
+      : -1;
+
+    let next;
+    if (current === -1) {
+      next = event.shiftKey ? targets.length - 1 : 0;
+    } else {
+      next = current + (event.shiftKey ? -1 : 1);
+    }
+
+    if (next < 0 || next >= targets.length) {
+      this.clearFocus();
+      return;
+    }
+
+    event.preventDefault();
+    this.setFocus(targets[next]);
+  }
+
+  setFocus(target) {
+    this.focusedTarget = target;
+    this.ring.firstChild.textContent = target.label;
+    this.status.textContent = target.label;
+    this.updateRing();
+  }
+
+  clearFocus() {
+    this.focusedTarget = null;
+    this.ring.hidden = true;
+    this.ring.firstChild.textContent = "";
+    this.status.textContent = "";
+  }
+
+  // Hidden objects (or inside hidden groups) can't be focused
+  isShown(object) {
+    for (let current = object; current; current = current.parent) {
+      if (!current.visible) return false;
+    }
+    return true;
+  }
+
+  // Call once per frame
+  update() {
+    const now = performance.now();
+    // Cap the step so a background tab doesn't jump the camera on return
+    const delta = Math.min((now - this.lastUpdate) / 1000, 0.1);
+    this.lastUpdate = now;
+
+    if (this.heldKeys.size > 0) this.moveCamera(delta);
+    if (this.focusedTarget) this.updateRing();
+  }
+
+  // Orbit and zoom around the controls target within the controls' limits
+  moveCamera(delta) {
+    if (!this.camera || !this.controls || !this.controls.enabled) return;
+
+    let theta = 0;
+    let phi = 0;
+    let zoom = 0;
+    this.heldKeys.forEach((code) => {
+      const move = ORBIT_KEYS[code];
+      theta += move.theta || 0;
+      phi += move.phi || 0;
+      zoom += move.zoom || 0;
+    });
+    if (!theta && !phi && !zoom) return;
+
+    const { controls } = this;
+    this.offset.copy(this.camera.position).sub(controls.target);
+    this.spherical.setFromVector3(this.offset);
+
+    this.spherical.theta += theta * this.orbitSpeed * delta;
+    this.spherical.phi = THREE.MathUtils.clamp(
+      this.spherical.phi + phi * this.orbitSpeed * delta,
+      Math.max(controls.minPolarAngle, POLE_MARGIN),
+      Math.min(controls.maxPolarAngle, Math.PI - POLE_MARGIN)
+    );
+    this.spherical.radius = THREE.MathUtils.clamp(
+      this.spherical.radius * Math.pow(this.zoomSpeed, zoom * delta),
+      controls.minDistance,
+      controls.maxDistance
+    );
+
+    this.offset.setFromSpherical(this.spherical);
+    this.camera.position.copy(controls.target).add(this.offset);
+    this.camera.lookAt(controls.target);
+
+    // The visitor is steering now, like when dragging
+    controls.autoRotate = false;
+  }
+
+  // Put the ring around the focused object's outline on screen
+  updateRing() {
+    const { object } = this.focusedTarget;
+    if (!this.camera || !this.isShown(object)) {
+      this.clearFocus();
+      return;
+    }
+
+    this.box.setFromObject(object);
+    if (this.box.isEmpty()) {
+      this.ring.hidden = true;
+      return;
+    }
+
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+    for (let i = 0; i < 8; i++) {
+      this.corner
+        .set(
+          i & 1 ? this.box.max.x : this.box.min.x,
+          i & 2 ? this.box.max.y : this.box.min.y,
+          i & 4 ? this.box.max.z : this.box.min.z
+        )
+        .project(this.camera);
+
+      // Partly behind the camera - nothing sensible to outline
+      if (this.corner.z > 1) {
+        this.ring.hidden = true;
+        return;
+      }
+
+      minX = Math.min(minX, this.corner.x);
+      minY = Math.min(minY, this.corner.y);
+      maxX = Math.max(maxX, this.corner.x);
+      maxY = Math.max(maxY, this.corner.y);
+    }
+
+    const rect = this.canvas.getBoundingClientRect();
+    const padding = 6;
+    const left = Math.max(((minX + 1) / 2) * rect.width - padding, 0);
+    const right = Math.min(((maxX + 1) / 2) * rect.width + padding, rect.width);
+    const top = Math.max(((1 - maxY) / 2) * rect.height - padding, 0);
+    const bottom = Math.min(
+      ((1 - minY) / 2) * rect.height + padding,
+      rect.height
+    );
+
+    if (right <= left || bottom <= top) {
+      this.ring.hidden = true;
+      return;
+    }
+
+    this.ring.hidden = false;
+    this.ring.style.left = `${rect.left + left}px`;
+    this.ring.style.top = `${rect.top + top}px`;
+    this.ring.style.width = `${right - left}px`;
+    this.ring.style.height = `${bottom - top}px`;
+  }
+
+  addStyles() {
+    if (this.stylesAdded) return;
+    this.stylesAdded = true;
+
+    const style = document.createElement("style");
+    style.textContent = `
+      .focus-ring {
+        position: fixed;
+        z-index: 50;
+        border: 2px solid #ff00ff;
+        border-radius: 8px;
+        box-shadow: 0 0 15px rgba(255, 0, 255, 0.6), inset 0 0 15px rgba(255, 0, 255, 0.3);
+        pointer-events: none;
+      }
+
+      .focus-ring[hidden] {
+        display: none;
+      }
+
+      .focus-ring-label {
+        position: absolute;
+        bottom: 100%;
+        left: -2px;
+        margin-bottom: 4px;
+        padding: 0.15rem 0.5rem;
+        background: rgba(10, 10, 10, 0.85);
+        border: 1px solid #ff00ff;
+        border-radius: 4px;
+        color: #ff00ff;
+        font-family: 'Orbitron', monospace;
+        font-size: 0.75rem;
+        white-space: nowrap;
+      }
+
+      .focus-ring-status {
+        position: absolute;
+        width: 1px;
+        height: 1px;
+        overflow: hidden;
+        clip-path: inset(50%);
+        white-space: nowrap;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+}
@@ -1,5 +1,5 @@
 export default class LoadingManager {
-  constructor() {
+  constructor(i18n) {
     this.totalItems = 15; // Increased for more realistic loading
     this.loadedItems = 0;
     this.progress = 0;
@@ -12,18 +12,7 @@ export default class LoadingManager {
     this.hasError = false;
     this.sceneLoaded = false;
 
-    this.loadingMessages = [
-      "Initializing Cyberpunk Terminal...",
-      "Loading 3D Environment...",
-      "Booting Neon Systems...",
-      "Synchronizing Holograms...",
-      "Calibrating Neural Interface...",
-      "Loading Portfolio Data...",
-      "Rendering Cyberpunk Office...",
-      "Activating Interactive Elements...",
-      "Finalizing Matrix Connection...",
-      "Ready to Enter Cyberspace...",
-    ];
+    this.loadingMessages = i18n.t("loading.messages");
 
     // Start simulation but don't auto-finish
     this.simulateLoading();
@@ -112,9 +101,15 @@ export default class LoadingManager {
 
   // Method to manually update progress (for real asset loading)
   setProgress(loaded, total) {
+    if (!this.isLoading) return;
+
+    // Real progress replaces the simulated one
+    clearInterval(this.loadingInterval);
+
     this.loadedItems = loaded;
     this.totalItems = total;
     this.updateProgress();
+    this.updateLoadingMessage();
 
     if (this.onProgress) {
       this.onProgress(this.progress);
@@ -124,4 +119,9 @@ export default class LoadingManager {
       this.finishLoading();
     }
   }
+
+  // Mark every remaining step as done
+  complete() {
+    this.setProgress(this.totalItems, this.totalItems);
+  }
 }
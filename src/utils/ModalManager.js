@@ -1,13 +1,146 @@
 // Modal manager for displaying portfolio content
+//
+// Generators build markup with the escaping html`` helper, so content loaded
+// from files can't inject markup. Only the tutorial passes trustedHtml.
+//
+// Modals stack: showModal() opens a fresh dialog, pushModal() opens one on
+// top (projects list -> project detail -> lightbox). Every level above the
+// first gets a back button and its own browser history entry, so Back
+// closes the top modal. The first level's URL is owned by the Router.
+
+import { html, safeUrl } from "./html.js";
+import MediaCarousel from "../components/MediaCarousel.js";
+import ProjectFilter from "../components/ProjectFilter.js";
+import SkillsView from "../components/SkillsView.js";
+import ContactForm from "../components/ContactForm.js";
+import ResumeExporter from "./ResumeExporter.js";
+import { copyToClipboard } from "./clipboard.js";
+import {
+  buildVCard,
+  downloadVCard,
+  getContactEmail,
+  getContactHref,
+  renderQrSvg,
+} from "./contactCard.js";
+import { createMailtoTransport } from "./contactTransports.js";
+import { CONTACT_FIELDS } from "./contactMessage.js";
+import { PROJECT_STATUSES } from "../data/contentSchema.js";
+
+// Sort options of the projects list, "default" keeps the content order
+const PROJECT_SORTS = ["default", "newest", "oldest", "name"];
+
+// Chart values for skills that only have a level
+const SKILL_LEVEL_SCORES = { Advanced: 85, Intermediate: 60, Beginner: 35 };
 
 export default class ModalManager {
-  constructor() {
+  constructor(i18n) {
+    this.i18n = i18n;
+    this.resumeExporter = new ResumeExporter(i18n);
+
+    // Open levels, bottom first: { modal, type, content, returnFocusTo,
+    // hiddenElements }
+    this.stack = [];
     this.activeModal = null;
+    this.activeType = null;
+
+    // Called with the modal type whenever a modal is dismissed
+    this.onClose = null;
+
+    // Returns the current content of a section, e.g. "projects" for tech
+    // tags clicked outside the projects list
+    this.getContent = null;
+
+    // Focus goes back to the element that opened the modal, or to the
+    // fallback (the 3D canvas) when that element is gone
+    this.fallbackFocus = null;
+
+    this.titleCount = 0;
+    this.formCount = 0;
+    this.stylesAdded = false;
+
+    // Type of a closed modal whose onClose waits for the history unwind
+    this.pendingCloseType = null;
+    // Unwind of a replaced stack (see closeModal): the promise showModal
+    // returns and its resolve, called by the popstate
+    this.historyUnwind = null;
+    this.resolveUnwind = null;
+
+    // NotificationManager for toasts such as "Email copied", set by main
+    this.notifications = null;
+
+    // Transport for the contact form (see contactTransports.js), set by
+    // main when a form endpoint is configured. Without one the form opens
+    // the visitor's mail app
+    this.contactTransport = null;
+
+    this.handleKeydown = (event) => {
+      this.onKeydown(event);
+    };
+    this.handleFocusIn = (event) => {
+      // Focus left the dialog (e.g. via screen reader) - bring it back
+      if (this.activeModal && !this.activeModal.contains(event.target)) {
+        this.getDialog().focus({ preventScroll: true });
+      }
+    };
+    this.handlePopState = (event) => {
+      this.onPopState(event);
+    };
+
+    window.addEventListener("popstate", this.handlePopState);
+  }
+
+  // Open a modal, replacing any open ones. options.filters sets the
+  // starting filters of the projects list. Resolves once the history
+  // entries of the replaced modals are gone, so push URLs after that
+  showModal(content, type, options = {}) {
+    // A modal replacing others keeps the original opener
+    const opener = this.stack.length
+      ? this.stack[0].returnFocusTo
+      : document.activeElement;
+
+    // Close any existing modal first (without notifying - we replace it)
+    this.closeModal({ silent: true });
+
+    this.openLevel(content, type, opener, options);
+    return this.historyUnwind || Promise.resolve();
   }
 
-  showModal(content, type) {
-    // Close any existing modal first
-    this.closeModal();
+  // Open a modal on top of the current one, Back returns to it
+  pushModal(content, type, options = {}) {
+    if (!this.stack.length) {
+      this.showModal(content, type, options);
+      return;
+    }
+
+    const opener = document.activeElement;
+    this.activeModal.style.visibility = "hidden";
+    this.openLevel(content, type, opener, options);
+
+    window.history.pushState(
+      { ...window.history.state, modalDepth: this.stack.length },
+      ""
+    );
+  }
+
+  // Close the top modal only
+  back() {
+    if (this.stack.length <= 1) {
+      this.closeModal();
+      return;
+    }
+
+    const depth = this.stack.length;
+    this.popLevel();
+
+    // Drop the history entry pushModal added. The popstate this causes
+    // finds the stack already at the right depth
+    if (this.getHistoryDepth() === depth) {
+      window.history.back();
+    }
+  }
+
+  openLevel(content, type, opener, options) {
+    this.addStyles();
 
     // Create modal overlay
     const modal = document.createElement("div");
@@ -22,7 +155,7 @@ export default class ModalManager {
       display: flex;
       justify-content: center;
       align-items: center;
-      z-index: 2000;
+      z-index: ${2000 + this.stack.length};
       backdrop-filter: blur(5px);
       opacity: 0;
       transition: opacity 0.3s ease;
@@ -31,6 +164,9 @@ export default class ModalManager {
     // Create modal content container
     const modalContent = document.createElement("div");
     modalContent.className = "modal-content";
+    modalContent.setAttribute("role", "dialog");
+    modalContent.setAttribute("aria-modal", "true");
+    modalContent.tabIndex = -1;
     modalContent.style.cssText = `
       background: linear-gradient(135deg, rgba(26, 26, 46, 0.95) 0%, rgba(0, 17, 34, 0.95) 100%);
       border: 2px solid #00ffff;
@@ -52,6 +188,228 @@ export default class ModalManager {
       -ms-overflow-style: none;
     `;
 
+    modal.appendChild(modalContent);
+
+    const level = {
+      modal,
+      type,
+      content,
+      options: { ...options },
+      returnFocusTo: opener,
+      hiddenElements: [],
+    };
+    this.renderLevel(level, this.stack.length);
+
+    document.body.appendChild(modal);
+
+    if (!this.stack.length) {
+      document.addEventListener("keydown", this.handleKeydown, true);
+      document.addEventListener("focusin", this.handleFocusIn);
+    }
+
+    // Keep keyboard and screen reader users inside the dialog
+    level.hiddenElements = this.hideBackground(modal);
+    this.stack.push(level);
+    this.updateActive();
+    modalContent.focus({ preventScroll: true });
+
+    // Animate modal appearance
+    requestAnimationFrame(() => {
+      modal.style.opacity = "1";
+      modalContent.style.transform = "scale(1)";
+    });
+
+    // Buttons and cards inside the dialog carry a data-modal-action
+    modalContent.addEventListener("click", (e) => {
+      const trigger = e.target.closest("[data-modal-action]");
+      if (trigger) this.runAction(trigger, level);
+    });
+
+    modal.addEventListener("click", (e) => {
+      if (e.target === modal) this.back();
+    });
+  }
+
+  // Fill a level's dialog from its content. Used again on language switch
+  renderLevel(level, depth) {
+    const dialog = level.modal.querySelector(".modal-content");
+
+    // Generate content based on type
+    dialog.innerHTML = String(
+      this.generateContent(level.content, level.type, level.options)
+    );
+
+    const header = dialog.querySelector(".modal-header");
+    if (depth > 0 && header) {
+      header.insertAdjacentHTML("afterbegin", String(this.renderBackButton()));
+    }
+
+    this.labelDialog(dialog, level.type);
+    this.setupComponents(dialog, level);
+  }
+
+  // Render a modal type into the page instead of a dialog, for the 2D
+  // version. Returns the section element; actions in it work as in a
+  // modal, so project details or images still open on top as modals.
+  // options receives the section's state (filters, draft, view), passing
+  // the same object again restores it
+  createInlineSection(content, type, options = {}) {
+    this.addStyles();
+
+    const section = document.createElement("div");
+    section.className = "modal-inline";
+    section.innerHTML = String(this.generateContent(content, type, options));
+
+    const level = { modal: section, type, content, options };
+    this.setupComponents(section, level);
+
+    section.addEventListener("click", (e) => {
+      const trigger = e.target.closest("[data-modal-action]");
+      if (trigger) this.runAction(trigger, level);
+    });
+
+    return section;
+  }
+
+  // Interactive parts of the generated markup. Their state is kept in the
+  // level options so a re-render (language switch) restores it
+  setupComponents(element, level) {
+    element.querySelectorAll(".media-carousel").forEach((carousel) => {
+      new MediaCarousel(carousel);
+    });
+
+    level.projectFilter = null;
+    const browser = element.querySelector(".project-browser");
+    if (browser) {
+      level.projectFilter = new ProjectFilter(browser, {
+        filters: level.options.filters,
+        formatCount: (count, total) =>
+          this.i18n.t("modal.filters.count", { count, total }),
+      });
+      level.projectFilter.onChange = (filters) => {
+        level.options.filters = filters;
+      };
+    }
+
+    const form = element.querySelector(".contact-form");
+    if (form) {
+      const contactForm = new ContactForm(form, {
+        ...this.getContactTransports(level.content),
+        i18n: this.i18n,
+        draft: level.options.draft,
+      });
+      contactForm.onChange = (draft) => {
+        level.options.draft = draft;
+      };
+    }
+
+    const skills = element.querySelector(".skills-browser");
+    if (skills) {
+      const skillsView = new SkillsView(skills, { view: level.options.view });
+      skillsView.onChange = (view) => {
+        level.options.view = view;
+      };
+    }
+  }
+
+  // Re-render every open level, e.g. after a language switch. resolve gets
+  // each level and returns its new content, or null to keep the old one
+  refresh(resolve) {
+    this.stack.forEach((level, depth) => {
+      const content = resolve(level);
+      if (content) level.content = content;
+      this.renderLevel(level, depth);
+    });
+
+    if (this.activeModal) {
+      this.getDialog().focus({ preventScroll: true });
+    }
+  }
+
+  runAction(trigger, level) {
+    const { modalAction, index, src, alt, caption, tech } = trigger.dataset;
+
+    switch (modalAction) {
+      case "close":
+        this.closeModal();
+        break;
+      case "back":
+        this.back();
+        break;
+      case "project":
+        this.pushModal(
+          { projects: level.content, index: Number(index) },
+          "project"
+        );
+        break;
+      case "lightbox":
+        this.pushModal({ src, alt, caption }, "lightbox");
+        break;
+      case "tech":
+        this.showProjectsWithTech(tech, level);
+        break;
+      case "print-resume":
+        this.printResume(level);
+        break;
+      case "download-resume":
+        this.resumeExporter.downloadMarkdown(level.content);
+        break;
+      case "download-vcard":
+        downloadVCard(this.getContactCardContent(level.content));
+        break;
+      case "copy-contact":
+        this.copyContact(level.content.contactInfo[Number(index)]);
+        break;
+    }
+  }
+
+  async copyContact(contact) {
+    try {
+      await copyToClipboard(contact.value);
+      this.notify(this.i18n.t("notifications.copied", { type: contact.type }), {
+        type: "success",
+      });
+    } catch (error) {
+      console.warn("Copying the contact failed:", error);
+      this.notify(this.i18n.t("notifications.copyFailed"), { type: "error" });
+    }
+  }
+
+  notify(message, options) {
+    if (this.notifications) {
+      this.notifications.show(message, options);
+    }
+  }
+
+  // The preview frame holds the standalone CV page, printing it leaves the
+  // rest of the site out. "Save as PDF" in the print dialog makes the PDF
+  printResume(level) {
+    const frame = level.modal.querySelector(".resume-frame");
+    if (!frame || !frame.contentWindow) return;
+
+    frame.contentWindow.focus();
+    frame.contentWindow.print();
+  }
+
+  // Inside the projects list the tag filters in place, anywhere else it
+  // opens the list on top, filtered to that tag
+  showProjectsWithTech(tech, level) {
+    if (level.projectFilter) {
+      level.projectFilter.setFilters({ tech });
+      return;
+    }
+
+    const projects = this.getContent && this.getContent("projects");
+    if (projects) {
+      this.pushModal(projects, "projects", { filters: { tech } });
+    }
+  }
+
+  // Added once rather than with every modal
+  addStyles() {
+    if (this.stylesAdded) return;
+    this.stylesAdded = true;
+
     // Add responsive CSS for mobile
     const responsiveStyle = document.createElement("style");
     responsiveStyle.textContent = `
@@ -110,6 +468,10 @@ export default class ModalManager {
         .skill-category h4 {
           font-size: 1rem !important;
         }
+
+        .skill-chart-body {
+          grid-template-columns: 1fr !important;
+        }
         
         .contact-item {
           flex-direction: column !important;
@@ -120,86 +482,615 @@ export default class ModalManager {
         .contact-item span:first-child {
           font-size: 0.9rem !important;
         }
+
+        .contact-copy {
+          margin-left: 0 !important;
+        }
       }
       
       .modal-content::-webkit-scrollbar {
         display: none;
       }
+
+      .project-toolbar {
+        display: grid;
+        grid-template-columns: repeat(auto-fit, minmax(140px, 1fr));
+        gap: 0.8rem;
+        margin-bottom: 1rem;
+      }
+
+      .project-toolbar .project-search {
+        grid-column: 1 / -1;
+      }
+
+      .project-toolbar label span {
+        display: block;
+        margin-bottom: 0.3rem;
+        color: #ff00ff;
+        font-size: 0.85rem;
+      }
+
+      .project-toolbar input,
+      .project-toolbar select {
+        width: 100%;
+        box-sizing: border-box;
+        padding: 0.5rem 0.6rem;
+        background: rgba(0, 0, 0, 0.4);
+        border: 1px solid rgba(0, 255, 255, 0.4);
+        border-radius: 6px;
+        color: #fff;
+        font-family: 'Rajdhani', sans-serif;
+        font-size: 0.95rem;
+      }
+
+      .project-toolbar input:focus,
+      .project-toolbar select:focus {
+        outline: none;
+        border-color: #00ffff;
+      }
+
+      .project-toolbar option {
+        background: #1a1a2e;
+      }
+
+      .project-open {
+        padding: 0;
+        background: transparent;
+        border: none;
+        color: #00ffff;
+        font: inherit;
+        text-align: left;
+        cursor: pointer;
+      }
+
+      button.tech-tag {
+        font-family: inherit;
+        cursor: pointer;
+      }
+
+      .skills-view-toggle {
+        display: inline-flex;
+        margin-bottom: 1.5rem;
+        border: 1px solid #00ffff;
+        border-radius: 20px;
+        overflow: hidden;
+      }
+
+      .skills-view-toggle button {
+        padding: 0.4rem 1rem;
+        background: transparent;
+        border: none;
+        color: #00ffff;
+        font-family: 'Rajdhani', sans-serif;
+        font-size: 0.95rem;
+        cursor: pointer;
+      }
+
+      .skills-view-toggle button[aria-pressed="true"] {
+        background: #00ffff;
+        color: #000;
+      }
+
+      .skills-list[hidden],
+      .skills-chart[hidden] {
+        display: none !important;
+      }
+
+      .skill-chart-body {
+        display: grid;
+        grid-template-columns: minmax(0, 1fr) minmax(0, 1fr);
+        gap: 1.5rem;
+        align-items: center;
+      }
+
+      .radar-chart {
+        width: 100%;
+        height: auto;
+      }
+
+      .radar-shape {
+        transform-origin: 180px 120px;
+        transition: transform 0.8s ease;
+      }
+
+      .skill-bar {
+        height: 8px;
+        background: rgba(255, 255, 255, 0.1);
+        border-radius: 4px;
+        overflow: hidden;
+      }
+
+      .skill-bar-fill {
+        width: 0;
+        height: 100%;
+        border-radius: 4px;
+        transition: width 0.8s ease;
+      }
+
+      .skill-projects {
+        display: none;
+        margin-top: 0.5rem;
+        color: #aaa;
+        font-size: 0.85rem;
+      }
+
+      .skill-row:hover .skill-projects,
+      .skill-row:focus-within .skill-projects {
+        display: block;
+      }
+
+      @media (prefers-reduced-motion: reduce) {
+        .radar-shape,
+        .skill-bar-fill {
+          transition: none;
+        }
+      }
+
+      .carousel-slide {
+        margin: 0;
+        text-align: center;
+      }
+
+      .carousel-slide img,
+      .carousel-slide video {
+        display: block;
+        width: 100%;
+        max-height: 45vh;
+        object-fit: contain;
+        background: rgba(0, 0, 0, 0.4);
+        border-radius: 8px;
+      }
+
+      .carousel-slide figcaption {
+        margin-top: 0.5rem;
+        color: #aaa;
+        font-size: 0.9rem;
+      }
+
+      .carousel-image {
+        display: block;
+        width: 100%;
+        padding: 0;
+        background: transparent;
+        border: 1px solid rgba(0, 255, 255, 0.3);
+        border-radius: 8px;
+        cursor: zoom-in;
+      }
+
+      .carousel-controls {
+        display: flex;
+        justify-content: center;
+        align-items: center;
+        gap: 0.8rem;
+        margin-top: 0.8rem;
+      }
+
+      .carousel-controls button {
+        background: transparent;
+        border: 1px solid #00ffff;
+        color: #00ffff;
+        cursor: pointer;
+      }
+
+      .carousel-prev,
+      .carousel-next {
+        width: 34px;
+        height: 34px;
+        border-radius: 50%;
+        font-size: 1rem;
+      }
+
+      .carousel-dot {
+        width: 10px;
+        height: 10px;
+        padding: 0;
+        border-radius: 50%;
+      }
+
+      .carousel-counter {
+        color: #ff00ff;
+        font-size: 0.9rem;
+        min-width: 3rem;
+        text-align: center;
+      }
+
+      .contact-item {
+        border: 1px solid rgba(0, 255, 255, 0.2);
+        border-left: 4px solid var(--contact-color);
+        transition: border-color 0.3s ease;
+      }
+
+      .contact-item:hover {
+        border-color: #00ffff;
+      }
+
+      .contact-item a {
+        color: #00ffff;
+        text-decoration: none;
+        transition: color 0.3s ease;
+      }
+
+      .contact-item a:hover {
+        color: #fff;
+      }
+
+      .contact-card {
+        display: flex;
+        flex-wrap: wrap;
+        align-items: center;
+        gap: 1.5rem;
+        margin-bottom: 2rem;
+        padding: 1rem;
+        background: rgba(0, 0, 0, 0.3);
+        border: 1px solid rgba(255, 0, 255, 0.3);
+        border-radius: 8px;
+      }
+
+      .contact-card-qr svg {
+        display: block;
+        max-width: 100%;
+        height: auto;
+        border-radius: 4px;
+      }
+
+      .contact-card-download,
+      .contact-copy,
+      .contact-form-submit,
+      .resume-actions button {
+        padding: 0.5rem 1.2rem;
+        background: transparent;
+        border: 1px solid #00ffff;
+        border-radius: 20px;
+        color: #00ffff;
+        font-family: 'Rajdhani', sans-serif;
+        font-size: 1rem;
+        font-weight: 600;
+        cursor: pointer;
+        transition: background 0.3s ease;
+      }
+
+      .contact-card-download:hover,
+      .contact-copy:hover,
+      .contact-form-submit:hover:not(:disabled),
+      .resume-actions button:hover {
+        background: rgba(0, 255, 255, 0.2);
+      }
+
+      .contact-form {
+        display: grid;
+        gap: 1rem;
+        margin-bottom: 2rem;
+        padding: 1rem;
+        background: rgba(0, 0, 0, 0.3);
+        border: 1px solid rgba(0, 255, 255, 0.2);
+        border-radius: 8px;
+      }
+
+      .contact-form h3 {
+        margin: 0 !important;
+      }
+
+      .contact-form-field {
+        display: grid;
+        gap: 0.3rem;
+      }
+
+      .contact-form-field label {
+        color: #00ffff;
+        font-weight: 600;
+      }
+
+      .contact-form-field input,
+      .contact-form-field textarea {
+        width: 100%;
+        padding: 0.6rem 0.8rem;
+        background: rgba(0, 0, 0, 0.5);
+        border: 1px solid rgba(0, 255, 255, 0.3);
+        border-radius: 6px;
+        color: #fff;
+        font-family: 'Rajdhani', sans-serif;
+        font-size: 1rem;
+        resize: vertical;
+        /* The page turns selection off everywhere, fields need it to type */
+        -webkit-user-select: text;
+        user-select: text;
+      }
+
+      .contact-form-field input:focus-visible,
+      .contact-form-field textarea:focus-visible {
+        outline: none;
+        border-color: #00ffff;
+        box-shadow: 0 0 8px rgba(0, 255, 255, 0.4);
+      }
+
+      .contact-form-field [aria-invalid="true"] {
+        border-color: #ff0055;
+      }
+
+      .contact-form-error {
+        margin: 0;
+        color: #ff4d88;
+        font-size: 0.9rem;
+      }
+
+      /* Off screen rather than display: none, some bots skip hidden fields */
+      .contact-form-trap {
+        position: absolute;
+        left: -9999px;
+        width: 1px;
+        height: 1px;
+        overflow: hidden;
+      }
+
+      .contact-form-submit {
+        justify-self: start;
+      }
+
+      .contact-form-submit:disabled {
+        opacity: 0.6;
+        cursor: progress;
+      }
+
+      .contact-form-status:empty {
+        display: none;
+      }
+
+      .contact-form-status {
+        margin: 0;
+        padding: 0.6rem 0.8rem;
+        border-left: 3px solid #00ffff;
+        background: rgba(0, 255, 255, 0.08);
+      }
+
+      .contact-form-status[data-state="success"] {
+        border-left-color: #00ff88;
+        background: rgba(0, 255, 136, 0.08);
+      }
+
+      .contact-form-status[data-state="error"] {
+        border-left-color: #ff0055;
+        background: rgba(255, 0, 85, 0.08);
+      }
+
+      .contact-form-fallback {
+        background: none;
+        border: none;
+        padding: 0;
+        color: #00ffff;
+        font: inherit;
+        text-decoration: underline;
+        cursor: pointer;
+      }
+
+      .contact-copy {
+        flex-shrink: 0;
+        margin-left: 1rem;
+        padding: 0.3rem 0.9rem;
+        font-size: 0.9rem;
+      }
+
+      .resume-actions {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 0.8rem;
+        margin-bottom: 0.8rem;
+      }
+
+      .resume-frame {
+        display: block;
+        width: 100%;
+        height: 60vh;
+        border: 1px solid rgba(0, 255, 255, 0.3);
+        border-radius: 8px;
+        background: #fff;
+      }
+
+      .skill-row:focus-visible,
+      .project-open:focus-visible,
+      .resume-actions button:focus-visible,
+      .contact-card-download:focus-visible,
+      .contact-copy:focus-visible,
+      .contact-form-submit:focus-visible,
+      .contact-form-fallback:focus-visible,
+      .tech-tag:focus-visible,
+      .media-carousel:focus-visible,
+      .carousel-image:focus-visible {
+        outline: 2px solid #00ffff;
+        outline-offset: 2px;
+      }
     `;
     document.head.appendChild(responsiveStyle);
+  }
 
-    // Generate content based on type
-    modalContent.innerHTML = this.generateContent(content, type);
+  updateActive() {
+    const top = this.stack[this.stack.length - 1];
+    this.activeModal = top ? top.modal : null;
+    this.activeType = top ? top.type : null;
+  }
 
-    modal.appendChild(modalContent);
-    document.body.appendChild(modal);
+  getDialog() {
+    return this.activeModal
+      ? this.activeModal.querySelector(".modal-content")
+      : null;
+  }
 
-    // Store reference
-    this.activeModal = modal;
+  getHistoryDepth() {
+    const state = window.history.state;
+    return (state && state.modalDepth) || 1;
+  }
 
-    // Animate modal appearance
-    requestAnimationFrame(() => {
-      modal.style.opacity = "1";
-      modalContent.style.transform = "scale(1)";
-    });
+  // Back/forward: close levels until the stack matches the history entry
+  onPopState() {
+    if (this.resolveUnwind) {
+      this.resolveUnwind();
+      this.historyUnwind = null;
+      this.resolveUnwind = null;
+      return;
+    }
 
-    // Close modal handlers
-    const closeButton = modalContent.querySelector(".close-modal");
-    if (closeButton) {
-      closeButton.addEventListener("click", () => this.closeModal());
+    if (this.pendingCloseType) {
+      const closedType = this.pendingCloseType;
+      this.pendingCloseType = null;
+      if (this.onClose) {
+        this.onClose(closedType);
+      }
+      return;
     }
 
-    modal.addEventListener("click", (e) => {
-      if (e.target === modal) this.closeModal();
+    const depth = this.getHistoryDepth();
+    while (this.stack.length > depth) {
+      this.popLevel();
+    }
+  }
+
+  // Name the dialog after its first heading
+  labelDialog(dialog, type) {
+    const title = dialog.querySelector("h1, h2, h3");
+    if (!title) {
+      dialog.setAttribute("aria-label", type);
+      return;
+    }
+
+    if (!title.id) {
+      this.titleCount++;
+      title.id = `modal-title-${this.titleCount}`;
+    }
+    dialog.setAttribute("aria-labelledby", title.id);
+  }
+
+  // Registered in the capture phase so Escape closes the modal before any
+  // other Escape handling (e.g. leaving hologram focus) sees the key
+  onKeydown(event) {
+    if (!this.activeModal) return;
+
+    if (event.key === "Escape") {
+      event.preventDefault();
+      event.stopPropagation();
+      this.back();
+    } else if (event.key === "Tab") {
+      this.trapFocus(event);
+    }
+  }
+
+  // Tab and Shift+Tab cycle through the dialog's controls
+  trapFocus(event) {
+    const dialog = this.getDialog();
+    const focusable = this.getFocusableElements(dialog);
+    const active = document.activeElement;
+
+    if (focusable.length === 0) {
+      event.preventDefault();
+      dialog.focus();
+      return;
+    }
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const isOutside = !dialog.contains(active) || active === dialog;
+
+    if (event.shiftKey && (active === first || isOutside)) {
+      event.preventDefault();
+      last.focus();
+    } else if (!event.shiftKey && (active === last || isOutside)) {
+      event.preventDefault();
+      first.focus();
+    }
+  }
+
+  getFocusableElements(container) {
+    const selector = [
+      "a[href]",
+      "button:not([disabled])",
+      "input:not([disabled])",
+      "select:not([disabled])",
+      "textarea:not([disabled])",
+      '[tabindex]:not([tabindex="-1"])',
+    ].join(", ");
+
+    return Array.from(container.querySelectorAll(selector)).filter(
+      (element) => element.getClientRects().length > 0
+    );
+  }
+
+  // Make everything except the modal inert and hidden from screen readers.
+  // Returns what was changed so the level can undo it when it closes
+  hideBackground(modal) {
+    const hiddenElements = [];
+
+    Array.from(document.body.children).forEach((element) => {
+      if (element === modal || ["SCRIPT", "STYLE"].includes(element.tagName)) {
+        return;
+      }
+      // Live regions such as the toasts keep announcing above the modal
+      if (element.dataset.liveRegion !== undefined) return;
+
+      hiddenElements.push({
+        element,
+        ariaHidden: element.getAttribute("aria-hidden"),
+        inert: element.inert,
+      });
+      element.setAttribute("aria-hidden", "true");
+      element.inert = true;
     });
 
-    // Close with escape key
-    const escapeHandler = (e) => {
-      if (e.key === "Escape") {
-        this.closeModal();
-        document.removeEventListener("keydown", escapeHandler);
+    return hiddenElements;
+  }
+
+  restoreBackground(hiddenElements) {
+    hiddenElements.forEach(({ element, ariaHidden, inert }) => {
+      if (ariaHidden === null) {
+        element.removeAttribute("aria-hidden");
+      } else {
+        element.setAttribute("aria-hidden", ariaHidden);
       }
-    };
-    document.addEventListener("keydown", escapeHandler);
+      element.inert = inert;
+    });
   }
 
-  generateContent(content, type) {
+  restoreFocus(opener) {
+    // An opener inside a re-rendered dialog is gone, use the dialog itself
+    const target =
+      opener && opener !== document.body && opener.isConnected
+        ? opener
+        : this.getDialog() || this.fallbackFocus;
+
+    if (target && typeof target.focus === "function") {
+      target.focus({ preventScroll: true });
+    }
+  }
+
+  generateContent(content, type, options = {}) {
     switch (type) {
       case "about":
         return this.generateAboutContent(content);
       case "projects":
-        return this.generateProjectsContent(content);
+        return this.generateProjectsContent(content, options.filters);
       case "skills":
-        return this.generateSkillsContent(content);
+        return this.generateSkillsContent(content, options.view);
       case "contact":
         return this.generateContactContent(content);
+      case "timeline":
+        return this.generateTimelineContent(content);
+      case "resume":
+        return this.generateResumeContent(content);
       case "tutorial":
         return this.generateTutorialContent(content);
+      case "project":
+        return this.generateProjectContent(content);
+      case "lightbox":
+        return this.generateLightboxContent(content);
       default:
-        return "<p>Content not available</p>";
+        return html`<p>${this.i18n.t("modal.notAvailable")}</p>`;
     }
   }
 
   generateAboutContent(content) {
-    return `
+    return html`
       <div class="modal-header">
         <h2 style="color: #00ffff; margin-bottom: 1rem; font-family: 'Orbitron', monospace; font-size: 2rem;">
           ${content.title}
         </h2>
-        <button class="close-modal" style="
-          position: absolute;
-          top: 1rem;
-          right: 1rem;
-          background: transparent;
-          border: 2px solid #ff00ff;
-          color: #ff00ff;
-          width: 40px;
-          height: 40px;
-          border-radius: 50%;
-          cursor: pointer;
-          font-size: 1.2rem;
-          transition: all 0.3s ease;
-        " onmouseover="this.style.background='rgba(255,0,255,0.2)'" onmouseout="this.style.background='transparent'">×</button>
+        ${this.renderCloseButton()}
       </div>
       
       <div class="modal-body">
@@ -208,33 +1099,28 @@ export default class ModalManager {
         </div>
         
         <div style="margin-bottom: 1.5rem;">
-          <h3 style="color: #ff00ff; margin-bottom: 1rem; font-size: 1.3rem;">Technologies</h3>
+          <h3 style="color: #ff00ff; margin-bottom: 1rem; font-size: 1.3rem;">${this.i18n.t(
+            "modal.technologies"
+          )}</h3>
           <div style="display: flex; flex-wrap: wrap; gap: 0.5rem;">
-            ${content.technologies
-              .map(
-                (tech) => `
-              <span class="tech-tag" style="
-                background: rgba(0, 255, 255, 0.2);
-                border: 1px solid #00ffff;
-                padding: 0.3rem 0.8rem;
-                border-radius: 20px;
-                font-size: 0.9rem;
-                color: #00ffff;
-              ">${tech}</span>
-            `
-              )
-              .join("")}
+            ${content.technologies.map((tech) =>
+              this.renderTechTag(tech, { rgb: "0, 255, 255" })
+            )}
           </div>
         </div>
         
         <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 1rem; margin-top: 1rem;">
           <div>
-            <strong style="color: #ff00ff;">Experience:</strong> ${
+            <strong style="color: #ff00ff;">${this.i18n.t(
+              "modal.experience"
+            )}</strong> ${
               content.experience
             }
           </div>
           <div>
-            <strong style="color: #ff00ff;">Location:</strong> ${
+            <strong style="color: #ff00ff;">${this.i18n.t(
+              "modal.location"
+            )}</strong> ${
               content.location
             }
           </div>
@@ -243,38 +1129,108 @@ export default class ModalManager {
     `;
   }
 
-  generateProjectsContent(content) {
-    return `
+  // The list filters and sorts in place through ProjectFilter, the
+  // starting filters come from the level options (e.g. a clicked tech tag)
+  generateProjectsContent(content, filters = {}) {
+    const projects = content.projectList;
+    const technologies = [
+      ...new Set([
+        ...projects.flatMap((project) => project.technologies),
+        ...(filters.tech ? [filters.tech] : []),
+      ]),
+    ].sort((a, b) => a.localeCompare(b));
+    const years = [...new Set(projects.map((project) => project.year))].sort(
+      (a, b) => b.localeCompare(a)
+    );
+
+    return html`
       <div class="modal-header">
         <h2 style="color: #00ffff; margin-bottom: 1rem; font-family: 'Orbitron', monospace; font-size: 2rem;">
           ${content.title}
         </h2>
-        <button class="close-modal" style="
-          position: absolute;
-          top: 1rem;
-          right: 1rem;
-          background: transparent;
-          border: 2px solid #ff00ff;
-          color: #ff00ff;
-          width: 40px;
-          height: 40px;
-          border-radius: 50%;
-          cursor: pointer;
-          font-size: 1.2rem;
-          transition: all 0.3s ease;
-        " onmouseover="this.style.background='rgba(255,0,255,0.2)'" onmouseout="this.style.background='transparent'">×</button>
+        ${this.renderCloseButton()}
       </div>
       
-      <div class="modal-body">
-        <p style="line-height: 1.6; margin-bottom: 2rem; font-size: 1.1rem;">
+      <div class="modal-body project-browser">
+        <p style="line-height: 1.6; margin-bottom: 1.5rem; font-size: 1.1rem;">
           ${content.description}
         </p>
-        
-        <div style="display: grid; gap: 1.5rem;">
-          ${content.projectList
-            .map(
-              (project) => `
-            <div class="project-card" style="
+
+        <div class="project-toolbar">
+          <label class="project-search">
+            <span>${this.i18n.t("modal.filters.search")}</span>
+            <input type="search" name="search" autocomplete="off" placeholder="${this.i18n.t(
+              "modal.filters.searchPlaceholder"
+            )}">
+          </label>
+          ${this.renderFilterSelect(
+            "tech",
+            "modal.filters.tech",
+            technologies.map((tech) => ({ value: tech, label: tech }))
+          )}
+          ${this.renderFilterSelect(
+            "status",
+            "modal.filters.status",
+            PROJECT_STATUSES.map((status) => ({
+              value: status,
+              label: this.getValueLabel("projectStatus", status),
+            }))
+          )}
+          ${this.renderFilterSelect(
+            "year",
+            "modal.filters.year",
+            years.map((year) => ({ value: year, label: year }))
+          )}
+          <label>
+            <span>${this.i18n.t("modal.filters.sort")}</span>
+            <select name="sort">
+              ${PROJECT_SORTS.map(
+                (sort) => html`
+                <option value="${sort}">${this.i18n.t(
+                  `modal.filters.sorts.${sort}`
+                )}</option>
+              `
+              )}
+            </select>
+          </label>
+        </div>
+
+        <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 1rem; font-size: 0.9rem;">
+          <span class="project-count" aria-live="polite" style="color: #aaa;"></span>
+          <button type="button" class="project-reset" style="
+            background: transparent;
+            border: none;
+            color: #ff00ff;
+            cursor: pointer;
+            font-family: inherit;
+            font-size: 0.9rem;
+            text-decoration: underline;
+          ">${this.i18n.t("modal.filters.reset")}</button>
+        </div>
+
+        <p class="project-empty" hidden style="color: #ffa500; text-align: center; padding: 1.5rem 0;">
+          ${this.i18n.t("modal.filters.empty")}
+        </p>
+
+        <div class="project-list" style="display: grid; gap: 1.5rem;">
+          ${projects.map(
+            (project, index) => html`
+            <div class="project-card" data-modal-action="project" data-index="${index}" data-name="${
+              project.name
+            }" data-year="${project.year}" data-status="${
+              project.status
+            }" data-technologies="${JSON.stringify(
+              project.technologies
+            )}" data-search="${[
+              project.name,
+              project.description,
+              project.role,
+              ...project.technologies,
+            ]
+              .filter(Boolean)
+              .join(" ")
+              .toLowerCase()}" style="
+              cursor: pointer;
               background: rgba(0, 0, 0, 0.3);
               border: 1px solid rgba(0, 255, 255, 0.3);
               border-radius: 8px;
@@ -282,97 +1238,100 @@ export default class ModalManager {
               transition: border-color 0.3s ease;
             " onmouseover="this.style.borderColor='#00ffff'" onmouseout="this.style.borderColor='rgba(0,255,255,0.3)'">
               <div style="display: flex; justify-content: space-between; align-items: flex-start; margin-bottom: 1rem;">
-                <h4 style="color: #00ffff; margin: 0; font-size: 1.2rem;">${
-                  project.name
-                }</h4>
-                <div style="display: flex; gap: 1rem; font-size: 0.9rem;">
-                  <span style="color: #ff00ff;">${project.year}</span>
-                  <span style="
-                    background: ${
-                      project.status === "Completed"
-                        ? "rgba(0,255,0,0.2)"
-                        : "rgba(255,165,0,0.2)"
-                    };
-                    color: ${
-                      project.status === "Completed" ? "#00ff00" : "#ffa500"
-                    };
-                    padding: 0.2rem 0.5rem;
-                    border-radius: 4px;
-                    font-size: 0.8rem;
-                  ">${project.status}</span>
-                </div>
+                <h4 style="margin: 0; font-size: 1.2rem;">
+                  <button type="button" class="project-open" data-modal-action="project" data-index="${index}" aria-label="${this.i18n.t(
+                    "modal.viewProject",
+                    { name: project.name }
+                  )}">${project.name}</button>
+                </h4>
+                ${this.renderProjectMeta(project)}
               </div>
               <p style="margin-bottom: 1rem; line-height: 1.6;">${
                 project.description
               }</p>
               <div style="display: flex; flex-wrap: wrap; gap: 0.3rem;">
-                ${project.technologies
-                  .map(
-                    (tech) => `
-                  <span class="tech-tag" style="
-                    background: rgba(255, 0, 255, 0.2);
-                    border: 1px solid #ff00ff;
-                    padding: 0.2rem 0.6rem;
-                    border-radius: 12px;
-                    font-size: 0.8rem;
-                    color: #ff00ff;
-                  ">${tech}</span>
-                `
-                  )
-                  .join("")}
+                ${project.technologies.map((tech) =>
+                  this.renderTechTag(tech, { compact: true })
+                )}
               </div>
             </div>
           `
-            )
-            .join("")}
+          )}
         </div>
       </div>
     `;
   }
 
-  generateSkillsContent(content) {
-    return `
+  renderFilterSelect(name, labelKey, options) {
+    return html`
+      <label>
+        <span>${this.i18n.t(labelKey)}</span>
+        <select name="${name}">
+          <option value="">${this.i18n.t("modal.filters.all")}</option>
+          ${options.map(
+            ({ value, label }) =>
+              html`<option value="${value}">${label}</option>`
+          )}
+        </select>
+      </label>
+    `;
+  }
+
+  // Clicking a tag opens the projects list filtered to it
+  renderTechTag(tech, { rgb = "255, 0, 255", compact = false } = {}) {
+    return html`
+      <button type="button" class="tech-tag" data-modal-action="tech" data-tech="${tech}" title="${this.i18n.t(
+        "modal.filters.byTech",
+        { tech }
+      )}" style="
+        background: rgba(${rgb}, 0.2);
+        border: 1px solid rgb(${rgb});
+        padding: ${compact ? "0.2rem 0.6rem" : "0.3rem 0.8rem"};
+        border-radius: ${compact ? "12px" : "20px"};
+        font-size: ${compact ? "0.8rem" : "0.9rem"};
+        color: rgb(${rgb});
+      ">${tech}</button>
+    `;
+  }
+
+  // List view (the classic rows) and chart view (radar + bars), switched
+  // by SkillsView. Hovering or focusing a skill lists the projects using it
+  generateSkillsContent(content, view = "list") {
+    return html`
       <div class="modal-header">
         <h2 style="color: #00ffff; margin-bottom: 1rem; font-family: 'Orbitron', monospace; font-size: 2rem;">
           ${content.title}
         </h2>
-        <button class="close-modal" style="
-          position: absolute;
-          top: 1rem;
-          right: 1rem;
-          background: transparent;
-          border: 2px solid #ff00ff;
-          color: #ff00ff;
-          width: 40px;
-          height: 40px;
-          border-radius: 50%;
-          cursor: pointer;
-          font-size: 1.2rem;
-          transition: all 0.3s ease;
-        " onmouseover="this.style.background='rgba(255,0,255,0.2)'" onmouseout="this.style.background='transparent'">×</button>
+        ${this.renderCloseButton()}
       </div>
       
-      <div class="modal-body">
-        <p style="line-height: 1.6; margin-bottom: 2rem; font-size: 1.1rem;">
+      <div class="modal-body skills-browser">
+        <p style="line-height: 1.6; margin-bottom: 1.5rem; font-size: 1.1rem;">
           ${content.description}
         </p>
+
+        <div class="skills-view-toggle" role="group" aria-label="${this.i18n.t(
+          "modal.skills.view"
+        )}">
+          <button type="button" data-skills-view="list" aria-pressed="false">☰ ${this.i18n.t(
+            "modal.skills.list"
+          )}</button>
+          <button type="button" data-skills-view="chart" aria-pressed="false">◈ ${this.i18n.t(
+            "modal.skills.chart"
+          )}</button>
+        </div>
         
-        <div style="display: grid; gap: 2rem;">
-          ${content.skillCategories
-            .map(
-              (category) => `
+        <div class="skills-list" style="display: grid; gap: 2rem;">
+          ${content.skillCategories.map(
+            (category) => html`
             <div class="skill-category">
               <h4 style="color: #ff00ff; margin-bottom: 1rem; font-size: 1.3rem; border-bottom: 1px solid rgba(255,0,255,0.3); padding-bottom: 0.5rem;">
                 ${category.category}
               </h4>
               <div style="display: grid; gap: 0.8rem;">
-                ${category.skills
-                  .map(
-                    (skill) => `
-                  <div style="
-                    display: flex;
-                    justify-content: space-between;
-                    align-items: center;
+                ${category.skills.map(
+                  (skill) => html`
+                  <div class="skill-row" tabindex="0" style="
                     background: rgba(0, 0, 0, 0.2);
                     padding: 0.8rem;
                     border-radius: 6px;
@@ -380,49 +1339,207 @@ export default class ModalManager {
                       skill.level
                     )};
                   ">
-                    <span style="font-weight: 500;">${skill.name}</span>
-                    <span style="
-                      background: ${this.getSkillLevelColor(skill.level)};
-                      color: #000;
-                      padding: 0.3rem 0.6rem;
-                      border-radius: 12px;
-                      font-size: 0.8rem;
-                      font-weight: bold;
-                    ">${skill.level}</span>
+                    <div style="display: flex; justify-content: space-between; align-items: center;">
+                      <span style="font-weight: 500;">${skill.name}${
+                        skill.years !== undefined
+                          ? html` <span style="color: #aaa; font-weight: normal; font-size: 0.85rem;">· ${this.getSkillYearsLabel(
+                              skill
+                            )}</span>`
+                          : ""
+                      }</span>
+                      <span style="
+                        background: ${this.getSkillLevelColor(skill.level)};
+                        color: #000;
+                        padding: 0.3rem 0.6rem;
+                        border-radius: 12px;
+                        font-size: 0.8rem;
+                        font-weight: bold;
+                      ">${this.getValueLabel(
+                        "skillLevels",
+                        skill.level
+                      )}</span>
+                    </div>
+                    ${this.renderSkillProjects(skill)}
                   </div>
                 `
-                  )
-                  .join("")}
+                )}
               </div>
             </div>
           `
-            )
-            .join("")}
+          )}
+        </div>
+
+        <div class="skills-chart" hidden style="display: grid; gap: 2rem;">
+          ${content.skillCategories.map(
+            (category) => html`
+            <div class="skill-category">
+              <h4 style="color: #ff00ff; margin-bottom: 1rem; font-size: 1.3rem; border-bottom: 1px solid rgba(255,0,255,0.3); padding-bottom: 0.5rem;">
+                ${category.category}
+              </h4>
+              <div class="skill-chart-body">
+                ${this.renderRadarChart(category)}
+                <div style="display: grid; gap: 0.8rem;">
+                  ${category.skills.map((skill) => this.renderSkillBar(skill))}
+                </div>
+              </div>
+            </div>
+          `
+          )}
         </div>
       </div>
     `;
   }
 
+  renderSkillBar(skill) {
+    const score = this.getSkillScore(skill);
+
+    return html`
+      <div class="skill-row" tabindex="0">
+        <div style="display: flex; justify-content: space-between; margin-bottom: 0.3rem;">
+          <span style="font-weight: 500;">${skill.name}</span>
+          <span style="color: #aaa; font-size: 0.85rem;">${
+            skill.years !== undefined
+              ? `${this.getSkillYearsLabel(skill)} · `
+              : ""
+          }${score}%</span>
+        </div>
+        <div class="skill-bar" role="meter" aria-valuemin="0" aria-valuemax="100" aria-valuenow="${score}" aria-label="${
+          skill.name
+        }">
+          <div class="skill-bar-fill" data-score="${score}" style="background: ${this.getSkillLevelColor(
+            skill.level
+          )};"></div>
+        </div>
+        ${this.renderSkillProjects(skill)}
+      </div>
+    `;
+  }
+
+  // Spider chart of one category, skipped below three skills where it
+  // would only be a line. The bars next to it carry the same numbers for
+  // screen readers
+  renderRadarChart(category) {
+    const { skills } = category;
+    if (skills.length < 3) return "";
+
+    const centerX = 180;
+    const centerY = 120;
+    const radius = 80;
+
+    const point = (index, value) => {
+      const angle = -Math.PI / 2 + (index / skills.length) * Math.PI * 2;
+      const distance = (radius * value) / 100;
+      return [
+        Number((centerX + Math.cos(angle) * distance).toFixed(1)),
+        Number((centerY + Math.sin(angle) * distance).toFixed(1)),
+      ];
+    };
+    const points = (values) =>
+      values.map((value, index) => point(index, value).join(",")).join(" ");
+
+    const scores = skills.map((skill) => this.getSkillScore(skill));
+
+    return html`
+      <svg class="radar-chart" viewBox="0 0 360 240" aria-hidden="true">
+        ${[25, 50, 75, 100].map(
+          (ring) => html`
+          <polygon points="${points(skills.map(() => ring))}" fill="none" stroke="rgba(0, 255, 255, 0.2)"></polygon>
+        `
+        )}
+        ${skills.map((skill, index) => {
+          const [x, y] = point(index, 100);
+          return html`<line x1="${centerX}" y1="${centerY}" x2="${x}" y2="${y}" stroke="rgba(0, 255, 255, 0.2)"></line>`;
+        })}
+        <g class="radar-shape">
+          <polygon points="${points(
+            scores
+          )}" fill="rgba(255, 0, 255, 0.25)" stroke="#ff00ff" stroke-width="2"></polygon>
+          ${skills.map((skill, index) => {
+            const [x, y] = point(index, scores[index]);
+            return html`
+            <circle cx="${x}" cy="${y}" r="5" fill="${this.getSkillLevelColor(
+              skill.level
+            )}"><title>${this.describeSkill(skill)}</title></circle>
+          `;
+          })}
+        </g>
+        ${skills.map((skill, index) => {
+          const [x, y] = point(index, 115);
+          const anchor =
+            x > centerX + 1 ? "start" : x < centerX - 1 ? "end" : "middle";
+          return html`
+          <text x="${x}" y="${y}" text-anchor="${anchor}" dominant-baseline="middle" fill="#ccc" font-size="11">${
+            skill.name
+          }<title>${this.describeSkill(skill)}</title></text>
+        `;
+        })}
+      </svg>
+    `;
+  }
+
+  // Shown under a skill on hover/focus (see addStyles)
+  renderSkillProjects(skill) {
+    const names = this.getProjectsUsingSkill(skill).map(({ name }) => name);
+
+    return html`
+      <div class="skill-projects">${
+        names.length
+          ? `${this.i18n.t("modal.skills.usedIn")} ${names.join(", ")}`
+          : this.i18n.t("modal.skills.noProjects")
+      }</div>
+    `;
+  }
+
+  // Tooltip text for the radar chart points
+  describeSkill(skill) {
+    const names = this.getProjectsUsingSkill(skill).map(({ name }) => name);
+    const details = [`${this.getSkillScore(skill)}%`];
+    if (skill.years !== undefined) {
+      details.push(this.getSkillYearsLabel(skill));
+    }
+    if (names.length) {
+      details.push(`${this.i18n.t("modal.skills.usedIn")} ${names.join(", ")}`);
+    }
+    return `${skill.name} - ${details.join(" · ")}`;
+  }
+
+  // "score" from the content wins, otherwise the level decides
+  getSkillScore(skill) {
+    if (typeof skill.score === "number") return Math.round(skill.score);
+    return SKILL_LEVEL_SCORES[skill.level] || 50;
+  }
+
+  getSkillYearsLabel(skill) {
+    const key = skill.years === 1 ? "modal.skills.year" : "modal.skills.years";
+    return this.i18n.t(key, { count: skill.years });
+  }
+
+  // Skill and tech names are written differently ("JavaScript (ES6+)" vs
+  // "JavaScript", "Express.js" vs "Express"), so compare loosely
+  getProjectsUsingSkill(skill) {
+    const projects = this.getContent && this.getContent("projects");
+    if (!projects) return [];
+
+    const normalize = (name) =>
+      name
+        .toLowerCase()
+        .replace(/\(.*?\)/g, "")
+        .replace(/\.js\b/g, "")
+        .replace(/[^a-z0-9+#]/g, "");
+    const names = skill.name.split("/").map(normalize).filter(Boolean);
+
+    return projects.projectList.filter((project) =>
+      project.technologies.some((tech) => names.includes(normalize(tech)))
+    );
+  }
+
   generateContactContent(content) {
-    return `
+    return html`
       <div class="modal-header">
         <h2 style="color: #00ffff; margin-bottom: 1rem; font-family: 'Orbitron', monospace; font-size: 2rem;">
           ${content.title}
         </h2>
-        <button class="close-modal" style="
-          position: absolute;
-          top: 1rem;
-          right: 1rem;
-          background: transparent;
-          border: 2px solid #ff00ff;
-          color: #ff00ff;
-          width: 40px;
-          height: 40px;
-          border-radius: 50%;
-          cursor: pointer;
-          font-size: 1.2rem;
-          transition: all 0.3s ease;
-        " onmouseover="this.style.background='rgba(255,0,255,0.2)'" onmouseout="this.style.background='transparent'">×</button>
+        ${this.renderCloseButton()}
       </div>
       
       <div class="modal-body">
@@ -433,16 +1550,15 @@ export default class ModalManager {
         <div style="display: grid; gap: 1rem; margin-bottom: 2rem;">
           ${content.contactInfo
             .map(
-              (contact) => `
+              (contact, index) => html`
             <div class="contact-item" style="
+              --contact-color: ${contact.color};
               display: flex;
               align-items: center;
               background: rgba(0, 0, 0, 0.3);
               padding: 1rem;
               border-radius: 8px;
-              border: 1px solid rgba(0, 255, 255, 0.2);
-              transition: border-color 0.3s ease;
-            " onmouseover="this.style.borderColor='#00ffff'" onmouseout="this.style.borderColor='rgba(0,255,255,0.2)'">
+            ">
               <span style="font-size: 1.5rem; margin-right: 1rem;">${
                 contact.icon
               }</span>
@@ -451,27 +1567,36 @@ export default class ModalManager {
                   contact.type
                 }</div>
                 ${
-                  contact.link
-                    ? `
-                  <a href="${contact.link}" target="_blank" style="
-                    color: #00ffff;
-                    text-decoration: none;
-                    transition: color 0.3s ease;
-                  " onmouseover="this.style.color='#fff'" onmouseout="this.style.color='#00ffff'">
+                  getContactHref(contact)
+                    ? html`
+                  <a href="${safeUrl(getContactHref(contact))}" ${
+                    contact.action === "link"
+                      ? html`target="_blank" rel="noopener noreferrer"`
+                      : ""
+                  }>
                     ${contact.value}
                   </a>
                 `
-                    : `
+                    : html`
                   <span style="color: #00ffff;">${contact.value}</span>
                 `
                 }
               </div>
+              <button type="button" class="contact-copy" data-modal-action="copy-contact" data-index="${index}" aria-label="${this.i18n.t(
+                "modal.copyContact",
+                { type: contact.type }
+              )}">
+                ⧉ ${this.i18n.t("modal.copy")}
+              </button>
             </div>
           `
-            )
-            .join("")}
+            )}
         </div>
         
+        ${this.renderContactForm(content)}
+
+        ${this.renderContactCard(content)}
+
         <div style="
           background: rgba(0, 255, 255, 0.1);
           border: 1px solid rgba(0, 255, 255, 0.3);
@@ -483,30 +1608,449 @@ export default class ModalManager {
             🌟 ${content.availability}
           </div>
           <div style="color: #ff00ff; font-size: 0.9rem;">
-            📍 Timezone: ${content.timezone}
+            📍 ${this.i18n.t("modal.timezone")} ${content.timezone}
           </div>
         </div>
       </div>
     `;
   }
 
+  // QR code of the vCard plus a download button, see contactCard.js
+  renderContactCard(contact) {
+    const vCard = buildVCard(this.getContactCardContent(contact));
+
+    return html`
+      <div class="contact-card">
+        <div class="contact-card-qr">
+          ${renderQrSvg(vCard, {
+            label: this.i18n.t("modal.contactCardQr"),
+            size: 180,
+          })}
+        </div>
+        <div>
+          <h3 style="color: #ff00ff; margin-bottom: 0.5rem; font-size: 1.3rem;">${this.i18n.t(
+            "modal.contactCard"
+          )}</h3>
+          <p style="line-height: 1.6; margin-bottom: 1rem;">
+            ${this.i18n.t("modal.contactCardHint")}
+          </p>
+          <button type="button" class="contact-card-download" data-modal-action="download-vcard">${this.i18n.t(
+            "modal.downloadVcard"
+          )}</button>
+        </div>
+      </div>
+    `;
+  }
+
+  // Send form below the contact list, left out when there is neither a
+  // form endpoint nor an e-mail address to fall back to
+  renderContactForm(contact) {
+    if (!this.getContactTransports(contact).transport) return "";
+
+    const t = (key, params) => this.i18n.t(key, params);
+    this.formCount++;
+    const id = `contact-form-${this.formCount}`;
+
+    const renderField = (name, type, autocomplete) => {
+      const { maxLength } = CONTACT_FIELDS[name];
+      const attributes = html`id="${id}-${name}" name="${name}" maxlength="${maxLength}" aria-describedby="${id}-${name}-error" aria-invalid="false" required`;
+
+      return html`
+        <div class="contact-form-field">
+          <label for="${id}-${name}">${t(`contactForm.${name}`)}</label>
+          ${
+            type === "textarea"
+              ? html`<textarea ${attributes} rows="5"></textarea>`
+              : html`<input ${attributes} type="${type}" autocomplete="${autocomplete}">`
+          }
+          <p class="contact-form-error" id="${id}-${name}-error" hidden></p>
+        </div>
+      `;
+    };
+
+    return html`
+      <form class="contact-form" novalidate aria-labelledby="${id}-title">
+        <h3 id="${id}-title" style="color: #ff00ff; margin-bottom: 1rem; font-size: 1.3rem;">
+          ${t("contactForm.title")}
+        </h3>
+        ${renderField("name", "text", "name")}
+        ${renderField("email", "email", "email")}
+        ${renderField("message", "textarea")}
+        <div class="contact-form-trap" aria-hidden="true">
+          <label>
+            Website
+            <input name="website" type="text" tabindex="-1" autocomplete="off">
+          </label>
+        </div>
+        <button type="submit" class="contact-form-submit">${t(
+          "contactForm.submit"
+        )}</button>
+        <p class="contact-form-status" role="status"></p>
+      </form>
+    `;
+  }
+
+  // { transport, fallback } for a contact form: the configured transport
+  // with mailto: as fallback, or mailto: alone
+  getContactTransports(contact) {
+    const address = getContactEmail(contact);
+    const fallback = address
+      ? createMailtoTransport({
+          address,
+          subject: this.i18n.t("contactForm.subject"),
+        })
+      : null;
+
+    return { transport: this.contactTransport || fallback, fallback };
+  }
+
+  // The vCard also needs the name and headline from the about section
+  getContactCardContent(contact) {
+    return { about: this.getContent("about"), contact };
+  }
+
+  // Single project, pushed on top of the projects list
+  generateProjectContent({ projects, index }) {
+    const project = projects.projectList[index];
+    if (!project) {
+      return html`<p>${this.i18n.t("modal.notAvailable")}</p>`;
+    }
+
+    return html`
+      <div class="modal-header">
+        <h2 style="color: #00ffff; margin-bottom: 1rem; font-family: 'Orbitron', monospace; font-size: 2rem;">
+          ${project.name}
+        </h2>
+        ${this.renderCloseButton()}
+      </div>
+
+      <div class="modal-body">
+        <div style="margin-bottom: 1.5rem;">
+          ${this.renderProjectMeta(project)}
+        </div>
+
+        ${this.renderMediaCarousel(project)}
+
+        <p style="line-height: 1.8; margin-bottom: 1.5rem; font-size: 1.1rem;">
+          ${project.description}
+        </p>
+
+        ${
+          project.role
+            ? html`
+          <p style="margin-bottom: 1.5rem;">
+            <strong style="color: #ff00ff;">${this.i18n.t(
+              "modal.role"
+            )}</strong> ${project.role}
+          </p>
+        `
+            : ""
+        }
+
+        ${
+          project.outcomes && project.outcomes.length
+            ? html`
+          <h3 style="color: #ff00ff; margin-bottom: 0.8rem; font-size: 1.3rem;">${this.i18n.t(
+            "modal.outcomes"
+          )}</h3>
+          <ul style="margin: 0 0 1.5rem; padding-left: 1.2rem; line-height: 1.8;">
+            ${project.outcomes.map((outcome) => html`<li>${outcome}</li>`)}
+          </ul>
+        `
+            : ""
+        }
+
+        <h3 style="color: #ff00ff; margin-bottom: 1rem; font-size: 1.3rem;">${this.i18n.t(
+          "modal.technologies"
+        )}</h3>
+        <div style="display: flex; flex-wrap: wrap; gap: 0.5rem;">
+          ${project.technologies.map((tech) => this.renderTechTag(tech))}
+        </div>
+
+        ${this.renderProjectLinks(project)}
+      </div>
+    `;
+  }
+
+  // Screenshots first, then videos. Behaviour comes from MediaCarousel
+  renderMediaCarousel(project) {
+    const slides = [
+      ...(project.screenshots || []).map((shot) => ({ ...shot, type: "image" })),
+      ...(project.videos || []).map((video) => ({ ...video, type: "video" })),
+    ];
+    if (!slides.length) return "";
+
+    const total = slides.length;
+
+    return html`
+      <div class="media-carousel" tabindex="0" role="region" aria-roledescription="carousel" aria-label="${this.i18n.t(
+        "modal.media"
+      )}" style="margin-bottom: 1.5rem;">
+        ${slides.map(
+          (slide, index) => html`
+          <figure class="carousel-slide" role="group" aria-roledescription="slide" aria-label="${this.i18n.t(
+            "modal.slide",
+            { current: index + 1, total }
+          )}">
+            ${
+              slide.type === "image"
+                ? html`
+              <button type="button" class="carousel-image" data-modal-action="lightbox" data-src="${this.getAssetUrl(
+                slide.src
+              )}" data-alt="${slide.alt}" data-caption="${
+                    slide.caption || ""
+                  }" aria-label="${this.i18n.t("modal.openImage")}">
+                <img data-lazy-src="${this.getAssetUrl(slide.src)}" alt="${
+                    slide.alt
+                  }">
+              </button>
+            `
+                : html`
+              <video controls playsinline preload="none" data-lazy-src="${this.getAssetUrl(
+                slide.src
+              )}" ${
+                    slide.poster
+                      ? html`data-lazy-poster="${this.getAssetUrl(
+                          slide.poster
+                        )}"`
+                      : ""
+                  } aria-label="${slide.caption}"></video>
+            `
+            }
+            ${slide.caption ? html`<figcaption>${slide.caption}</figcaption>` : ""}
+          </figure>
+        `
+        )}
+        ${
+          total > 1
+            ? html`
+          <div class="carousel-controls">
+            <button type="button" class="carousel-prev" aria-label="${this.i18n.t(
+              "modal.previous"
+            )}">‹</button>
+            ${slides.map(
+              (slide, index) => html`
+              <button type="button" class="carousel-dot" aria-label="${this.i18n.t(
+                "modal.slide",
+                { current: index + 1, total }
+              )}"></button>
+            `
+            )}
+            <span class="carousel-counter" aria-live="polite"></span>
+            <button type="button" class="carousel-next" aria-label="${this.i18n.t(
+              "modal.next"
+            )}">›</button>
+          </div>
+        `
+            : ""
+        }
+      </div>
+    `;
+  }
+
+  renderProjectLinks(project) {
+    const links = [
+      { url: project.liveUrl, label: this.i18n.t("modal.live"), icon: "🚀" },
+      { url: project.repoUrl, label: this.i18n.t("modal.repo"), icon: "💻" },
+    ].filter(({ url }) => url);
+    if (!links.length) return "";
+
+    return html`
+      <div style="display: flex; flex-wrap: wrap; gap: 1rem; margin-top: 2rem;">
+        ${links.map(
+          ({ url, label, icon }) => html`
+          <a href="${safeUrl(url)}" target="_blank" rel="noopener noreferrer" style="
+            color: #00ffff;
+            border: 1px solid #00ffff;
+            border-radius: 20px;
+            padding: 0.4rem 1rem;
+            text-decoration: none;
+            transition: all 0.3s ease;
+          " onmouseover="this.style.background='rgba(0,255,255,0.2)'" onmouseout="this.style.background='transparent'">${icon} ${label}</a>
+        `
+        )}
+      </div>
+    `;
+  }
+
+  // Media paths in the content are relative to assets/ (served from the
+  // site root), full URLs are used as they are
+  getAssetUrl(src) {
+    if (/^https?:\/\//.test(src)) return safeUrl(src);
+    return safeUrl(`${import.meta.env.BASE_URL || "/"}${src}`);
+  }
+
+  // Full size image, pushed on top of whatever showed the thumbnail
+  generateLightboxContent({ src, alt, caption }) {
+    return html`
+      <div class="modal-header">
+        <h2 style="color: #00ffff; margin-bottom: 1rem; font-family: 'Orbitron', monospace; font-size: 1.3rem; padding-right: 3rem;">
+          ${caption || alt || this.i18n.t("modal.image")}
+        </h2>
+        ${this.renderCloseButton()}
+      </div>
+
+      <div class="modal-body" style="text-align: center;">
+        <img src="${safeUrl(src)}" alt="${alt || ""}" style="
+          max-width: 100%;
+          max-height: 60vh;
+          border: 1px solid rgba(0, 255, 255, 0.3);
+          border-radius: 8px;
+        ">
+      </div>
+    `;
+  }
+
+  renderCloseButton() {
+    return html`
+      <button type="button" class="close-modal" data-modal-action="close" style="
+        position: absolute;
+        top: 1rem;
+        right: 1rem;
+        background: transparent;
+        border: 2px solid #ff00ff;
+        color: #ff00ff;
+        width: 40px;
+        height: 40px;
+        border-radius: 50%;
+        cursor: pointer;
+        font-size: 1.2rem;
+        transition: all 0.3s ease;
+      " aria-label="${this.i18n.t("modal.close")}" onmouseover="this.style.background='rgba(255,0,255,0.2)'" onmouseout="this.style.background='transparent'">×</button>
+    `;
+  }
+
+  // Added to the header of every stacked modal
+  renderBackButton() {
+    return html`
+      <button type="button" class="back-modal" data-modal-action="back" style="
+        background: transparent;
+        border: 1px solid #00ffff;
+        color: #00ffff;
+        padding: 0.3rem 0.9rem;
+        margin-bottom: 1rem;
+        border-radius: 20px;
+        cursor: pointer;
+        font-family: 'Rajdhani', sans-serif;
+        font-size: 0.95rem;
+        transition: all 0.3s ease;
+      " onmouseover="this.style.background='rgba(0,255,255,0.2)'" onmouseout="this.style.background='transparent'">← ${this.i18n.t(
+        "modal.back"
+      )}</button>
+    `;
+  }
+
+  // Year and status badge, shared by the list cards and the detail view
+  renderProjectMeta(project) {
+    const isCompleted = project.status === "Completed";
+
+    return html`
+      <div style="display: flex; gap: 1rem; font-size: 0.9rem;">
+        <span style="color: #ff00ff;">${project.year}</span>
+        <span style="
+          background: ${isCompleted ? "rgba(0,255,0,0.2)" : "rgba(255,165,0,0.2)"};
+          color: ${isCompleted ? "#00ff00" : "#ffa500"};
+          padding: 0.2rem 0.5rem;
+          border-radius: 4px;
+          font-size: 0.8rem;
+        ">${this.getValueLabel("projectStatus", project.status)}</span>
+      </div>
+    `;
+  }
+
+  // Work history in the order of the content (newest first)
+  generateTimelineContent(content) {
+    return html`
+      <div class="modal-header">
+        <h2 style="color: #00ffff; margin-bottom: 1rem; font-family: 'Orbitron', monospace; font-size: 2rem;">
+          ${content.title}
+        </h2>
+        ${this.renderCloseButton()}
+      </div>
+
+      <div class="modal-body">
+        <p style="line-height: 1.6; margin-bottom: 2rem; font-size: 1.1rem;">
+          ${content.description}
+        </p>
+
+        <ol style="list-style: none; margin: 0 0 0 0.5rem; padding: 0 0 0 1.5rem; border-left: 2px solid rgba(255, 170, 0, 0.4);">
+          ${content.entries.map(
+            (entry) => html`
+            <li style="position: relative; margin-bottom: 2rem;">
+              <span aria-hidden="true" style="
+                position: absolute;
+                left: calc(-1.5rem - 8px);
+                top: 0.3rem;
+                width: 14px;
+                height: 14px;
+                border-radius: 50%;
+                background: #ffaa00;
+                box-shadow: 0 0 10px #ffaa00;
+              "></span>
+              <div style="color: #ff00ff; font-size: 0.9rem; margin-bottom: 0.3rem;">
+                ${this.i18n.formatPeriod(entry.start, entry.end)}${
+                  entry.location ? ` · ${entry.location}` : ""
+                }
+              </div>
+              <h3 style="color: #00ffff; margin: 0 0 0.2rem; font-size: 1.3rem;">${
+                entry.role
+              }</h3>
+              <div style="font-weight: bold; margin-bottom: 0.8rem;">${
+                entry.company
+              }</div>
+              <ul style="margin: 0 0 1rem; padding-left: 1.2rem; line-height: 1.7;">
+                ${entry.highlights.map(
+                  (highlight) => html`<li>${highlight}</li>`
+                )}
+              </ul>
+              <div style="display: flex; flex-wrap: wrap; gap: 0.3rem;">
+                ${entry.technologies.map((tech) =>
+                  this.renderTechTag(tech, { compact: true })
+                )}
+              </div>
+            </li>
+          `
+          )}
+        </ol>
+      </div>
+    `;
+  }
+
+  // CV preview with print/PDF and Markdown export, content is the whole
+  // portfolio content. The CV itself comes from ResumeExporter
+  generateResumeContent(content) {
+    return html`
+      <div class="modal-header">
+        <h2 style="color: #00ffff; margin-bottom: 1rem; font-family: 'Orbitron', monospace; font-size: 2rem;">
+          ${this.i18n.t("resume.title")}
+        </h2>
+        ${this.renderCloseButton()}
+      </div>
+
+      <div class="modal-body">
+        <div class="resume-actions">
+          <button type="button" data-modal-action="print-resume">${this.i18n.t(
+            "resume.print"
+          )}</button>
+          <button type="button" data-modal-action="download-resume">${this.i18n.t(
+            "resume.markdown"
+          )}</button>
+        </div>
+        <p style="color: #aaa; font-size: 0.9rem; margin-bottom: 1rem;">
+          ${this.i18n.t("resume.pdfHint")}
+        </p>
+
+        <iframe class="resume-frame" title="${this.i18n.t(
+          "resume.preview"
+        )}" srcdoc="${this.resumeExporter.buildDocument(content)}"></iframe>
+      </div>
+    `;
+  }
+
   generateTutorialContent(content) {
-    return `
+    return html`
       <div class="modal-header">
-        <button class="close-modal" style="
-          position: absolute;
-          top: 1rem;
-          right: 1rem;
-          background: transparent;
-          border: 2px solid #ff00ff;
-          color: #ff00ff;
-          width: 40px;
-          height: 40px;
-          border-radius: 50%;
-          cursor: pointer;
-          font-size: 1.2rem;
-          transition: all 0.3s ease;
-        " onmouseover="this.style.background='rgba(255,0,255,0.2)'" onmouseout="this.style.background='transparent'">×</button>
+        ${this.renderCloseButton()}
       </div>
       
       <div class="modal-body">
@@ -515,6 +2059,13 @@ export default class ModalManager {
     `;
   }
 
+  // Data values such as "Completed" stay English in the content (they drive
+  // colours), only their displayed label is translated
+  getValueLabel(group, value) {
+    const key = `modal.${group}.${value}`;
+    return this.i18n.has(key) ? this.i18n.t(key) : value;
+  }
+
   getSkillLevelColor(level) {
     switch (level.toLowerCase()) {
       case "advanced":
@@ -528,22 +2079,81 @@ export default class ModalManager {
     }
   }
 
-  closeModal() {
+  // Remove the top level and show the one below it
+  popLevel({ restoreFocus = true } = {}) {
+    const level = this.stack.pop();
+    if (!level) return;
+
+    const { modal } = level;
+    const modalContent = modal.querySelector(".modal-content");
+
+    // Animate modal disappearance
+    modal.style.opacity = "0";
+    if (modalContent) {
+      modalContent.style.transform = "scale(0.8)";
+    }
+
+    setTimeout(() => {
+      if (modal.parentNode) {
+        modal.parentNode.removeChild(modal);
+      }
+    }, 300);
+
+    this.restoreBackground(level.hiddenElements);
+    this.updateActive();
+
     if (this.activeModal) {
-      const modalContent = this.activeModal.querySelector(".modal-content");
+      this.activeModal.style.visibility = "";
+    } else {
+      document.removeEventListener("keydown", this.handleKeydown, true);
+      document.removeEventListener("focusin", this.handleFocusIn);
+    }
+
+    if (restoreFocus) {
+      this.restoreFocus(level.returnFocusTo);
+    }
+  }
+
+  // Close every open level. silent: the modals are being replaced by
+  // another one, so don't notify onClose and keep focus where the new
+  // modal puts it
+  closeModal({ silent = false } = {}) {
+    if (!this.stack.length) return;
 
-      // Animate modal disappearance
-      this.activeModal.style.opacity = "0";
-      if (modalContent) {
-        modalContent.style.transform = "scale(0.8)";
+    const closedType = this.stack[0].type;
+    const nestedLevels = this.stack.length - 1;
+    const ownsHistory =
+      nestedLevels > 0 && this.getHistoryDepth() === this.stack.length;
+
+    while (this.stack.length > 1) {
+      this.popLevel({ restoreFocus: false });
+    }
+    this.popLevel({ restoreFocus: !silent });
+
+    // The replacing modal starts a fresh stack, so Back must not walk
+    // through the entries pushModal added for the old one. history.go is
+    // async, showModal's promise waits for its popstate
+    if (silent) {
+      if (ownsHistory) {
+        this.historyUnwind = new Promise((resolve) => {
+          this.resolveUnwind = resolve;
+        });
+        window.history.go(-nestedLevels);
       }
+      return;
+    }
 
-      setTimeout(() => {
-        if (this.activeModal && this.activeModal.parentNode) {
-          this.activeModal.parentNode.removeChild(this.activeModal);
-        }
-        this.activeModal = null;
-      }, 300);
+    // Step back over the entries pushModal added before telling listeners,
+    // so a route change made in onClose lands on the right entry
+    if (ownsHistory) {
+      this.pendingCloseType = closedType;
+      window.history.go(-nestedLevels);
+    } else if (this.onClose) {
+      this.onClose(closedType);
     }
   }
+
+  isOpen() {
+    return this.stack.length > 0;
+  }
 }
@@ -1,7 +1,21 @@
+import * as THREE from "three";
 import { gsap } from "gsap";
+import { buildCameraCurve, planCameraPath } from "./cameraPaths.js";
+
+// Every camera move goes through moveCamera(), so only one tween drives the
+// camera at a time. A new move takes over from wherever the camera is, or
+// waits its turn with { queue: true }. Grabbing the controls (mouse, touch,
+// WASD/QE) cancels the move and hands the camera to the visitor.
+//
+// The camera flies along a curve: the authored route between the two named
+// viewpoints if there is one (src/data/cameraRoutes.js), otherwise a path
+// planned around `obstacles`. The orbit target moves straight.
+
+// { x, y, z } out of a plain object or Vector3, for GSAP
+const pick = ({ x, y, z }) => ({ x, y, z });
 
 export default class NavigationManager {
-  constructor() {
+  constructor({ routes = {} } = {}) {
     this.camera = null;
     this.controls = null;
     this.scene = null;
@@ -9,10 +23,27 @@ export default class NavigationManager {
     this.isNavigating = false;
     this.navigationDuration = 2;
 
+    // Running move and the ones queued behind it
+    this.currentMove = null;
+    this.queue = [];
+
+    // Authored routes, keyed "from>to" (see src/data/cameraRoutes.js)
+    this.routes = routes;
+    // Footprints with a height that planned paths go around, set by main
+    this.obstacles = [];
+    // Named viewpoint the camera is resting at, null once it moved away
+    this.location = null;
+
+    // Called with the points and curve of every flight (debug view)
+    this.onPathPlanned = null;
+    // Called before every move, e.g. so walk mode hands the camera over
+    this.onBeforeMove = null;
+
     this.viewpoints = {
+      // In front of the center monitor, where the page starts
       home: {
-        position: { x: -15, y: 8, z: 20 },
-        target: { x: 0, y: 2, z: 0 },
+        position: { x: 0, y: 8, z: 12 },
+        target: { x: 0, y: 5, z: -1.5 },
       },
       about: {
         position: { x: 0, y: 5, z: 15 },
@@ -30,6 +61,11 @@ export default class NavigationManager {
         position: { x: -10, y: 6, z: 10 },
         target: { x: 0, y: 2, z: 0 },
       },
+      // Close-up of the CPU tower beside the desk, e.g. for tour stops
+      cpuTower: {
+        position: { x: 13, y: 6, z: 7 },
+        target: { x: 8, y: 3, z: 1 },
+      },
     };
   }
 
@@ -37,63 +73,176 @@ export default class NavigationManager {
     this.camera = camera;
     this.controls = controls;
     this.scene = scene;
+
+    this.controls.addEventListener("start", () => {
+      this.location = null;
+      this.cancel();
+    });
   }
 
-  async navigateTo(section) {
-    if (this.isNavigating || !this.viewpoints[section]) {
-      return;
-    }
+  // Fly the camera and orbit target to a viewpoint ({ position, target },
+  // plain {x, y, z} or Vector3). Options:
+  //   name           - of the viewpoint, picks the authored route there
+  //   duration, ease - of this move (an authored route's own win)
+  //   queue          - wait for the running and queued moves instead of
+  //                    taking over
+  //   onStart        - called when the move actually starts
+  //   onUpdate       - called every frame of the move
+  // Resolves with true once the camera arrives, false if the move was
+  // cancelled or replaced before that
+  moveCamera(viewpoint, options = {}) {
+    if (this.onBeforeMove) this.onBeforeMove();
+
+    const move = {
+      name: options.name || null,
+      position: pick(viewpoint.position),
+      target: pick(viewpoint.target),
+      duration: options.duration ?? this.navigationDuration,
+      ease: options.ease || "power2.inOut",
+      onStart: options.onStart,
+      onUpdate: options.onUpdate,
+    };
 
-    this.isNavigating = true;
-    const viewpoint = this.viewpoints[section];
+    return new Promise((resolve) => {
+      move.resolve = resolve;
+
+      if (options.queue && this.currentMove) {
+        this.queue.push(move);
+        return;
+      }
 
-    // Disable controls during navigation
-    this.controls.enabled = false;
+      // Taking over mid-flight: the camera is already moving, so don't
+      // ease in from a standstill again
+      const interrupted = Boolean(this.currentMove);
+      this.cancel();
+      this.startMove(move, { interrupted });
+    });
+  }
 
-    // Create navigation timeline
-    const tl = gsap.timeline({
-      onComplete: () => {
-        this.isNavigating = false;
-        this.controls.enabled = true;
+  startMove(move, { interrupted = false } = {}) {
+    // Mid-flight the camera is nowhere in particular
+    const route = move.name
+      ? this.getRoute(interrupted ? null : this.location, move.name)
+      : null;
+    const duration = (route && route.duration) || move.duration;
+    let ease = (route && route.ease) || move.ease;
+    if (interrupted && ease.endsWith(".inOut")) {
+      ease = ease.replace(".inOut", ".out");
+    }
 
-        // Update controls target
-        this.controls.target.set(
-          viewpoint.target.x,
-          viewpoint.target.y,
-          viewpoint.target.z
-        );
+    const path = this.planPath(move, route);
 
-        // Apply section-specific settings
-        this.applySectionSettings(section);
-      },
-    });
+    this.currentMove = move;
+    this.location = null;
+    this.isNavigating = true;
+    if (move.onStart) move.onStart();
 
-    // Animate camera position
-    tl.to(this.camera.position, {
-      x: viewpoint.position.x,
-      y: viewpoint.position.y,
-      z: viewpoint.position.z,
-      duration: this.navigationDuration,
-      ease: "power2.inOut",
+    move.timeline = gsap.timeline({
+      onUpdate: move.onUpdate,
+      onComplete: () => this.finishMove(move),
     });
-
-    // Animate camera target (controls target)
-    tl.to(
+    if (path) {
+      // Even speed along the curve, the ease shapes the whole flight
+      const progress = { value: 0 };
+      move.timeline.to(
+        progress,
+        {
+          value: 1,
+          duration,
+          ease,
+          onUpdate: () => {
+            path.getPointAt(progress.value, this.camera.position);
+          },
+        },
+        0
+      );
+    }
+    move.timeline.to(
       this.controls.target,
-      {
-        x: viewpoint.target.x,
-        y: viewpoint.target.y,
-        z: viewpoint.target.z,
-        duration: this.navigationDuration,
-        ease: "power2.inOut",
-      },
+      { ...move.target, duration, ease },
       0
-    ); // Start at the same time as camera position
+    );
+  }
+
+  // Curve from the camera to the move's position, null if it stays put
+  planPath(move, route) {
+    const start = this.camera.position.clone();
+    const end = new THREE.Vector3(
+      move.position.x,
+      move.position.y,
+      move.position.z
+    );
+
+    const points =
+      route && route.waypoints
+        ? [
+            start,
+            ...route.waypoints.map((point) => new THREE.Vector3(...point)),
+            end,
+          ]
+        : planCameraPath(start, end, this.obstacles);
+    const path = buildCameraCurve(points);
+
+    if (this.onPathPlanned) this.onPathPlanned(points, path);
+    return path;
+  }
 
-    // Add section-specific animations
-    this.addSectionTransition(tl, section);
+  // Authored route for a flight, the exact pair before wildcards
+  getRoute(from, to) {
+    const key = [`${from}>${to}`, `*>${to}`, `${from}>*`].find(
+      (candidate) => this.routes[candidate]
+    );
+    return key ? this.routes[key] : null;
+  }
+
+  finishMove(move) {
+    if (this.currentMove !== move) return;
+
+    this.currentMove = null;
+    this.location = move.name;
+    move.resolve(true);
+
+    const next = this.queue.shift();
+    if (next) {
+      this.startMove(next);
+    } else {
+      this.isNavigating = false;
+    }
+  }
+
+  // Stop the camera where it is and drop the queued moves. Their promises
+  // resolve with false
+  cancel() {
+    const moves = this.currentMove ? [this.currentMove] : [];
+    moves.push(...this.queue);
+
+    if (this.currentMove) this.currentMove.timeline.kill();
+    this.currentMove = null;
+    this.queue = [];
+    this.isNavigating = false;
+
+    moves.forEach((move) => move.resolve(false));
+  }
+
+  // Fly to a named viewpoint, see moveCamera() for options and the result
+  async navigateTo(section, options = {}) {
+    const viewpoint = this.viewpoints[section];
+    if (!viewpoint) return false;
+
+    const arrived = await this.moveCamera(viewpoint, {
+      name: section,
+      ...options,
+      onStart: () => {
+        if (options.onStart) options.onStart();
+
+        // Lighting and decoration effects of the section
+        const effects = gsap.timeline();
+        this.addSectionTransition(effects, section);
+      },
+    });
 
-    return tl;
+    if (arrived) this.applySectionSettings(section);
+    return arrived;
   }
 
   applySectionSettings(section) {
@@ -249,46 +398,10 @@ export default class NavigationManager {
     });
   }
 
-  // Method to smoothly transition between any two viewpoints
+  // Method to smoothly transition between any two viewpoints. The camera
+  // always starts from where it is, fromViewpoint is kept for older callers
   customTransition(fromViewpoint, toViewpoint, duration = 2) {
-    if (this.isNavigating) return;
-
-    this.isNavigating = true;
-    this.controls.enabled = false;
-
-    const tl = gsap.timeline({
-      onComplete: () => {
-        this.isNavigating = false;
-        this.controls.enabled = true;
-        this.controls.target.set(
-          toViewpoint.target.x,
-          toViewpoint.target.y,
-          toViewpoint.target.z
-        );
-      },
-    });
-
-    tl.to(this.camera.position, {
-      x: toViewpoint.position.x,
-      y: toViewpoint.position.y,
-      z: toViewpoint.position.z,
-      duration: duration,
-      ease: "power2.inOut",
-    });
-
-    tl.to(
-      this.controls.target,
-      {
-        x: toViewpoint.target.x,
-        y: toViewpoint.target.y,
-        z: toViewpoint.target.z,
-        duration: duration,
-        ease: "power2.inOut",
-      },
-      0
-    );
-
-    return tl;
+    return this.moveCamera(toViewpoint, { duration });
   }
 
   // Method to add custom viewpoints
@@ -319,6 +432,8 @@ export default class NavigationManager {
   snapTo(section) {
     if (!this.viewpoints[section]) return;
 
+    this.cancel();
+
     const viewpoint = this.viewpoints[section];
 
     this.camera.position.set(
@@ -333,6 +448,7 @@ export default class NavigationManager {
       viewpoint.target.z
     );
 
+    this.location = section;
     this.applySectionSettings(section);
     this.controls.update();
   }
@@ -0,0 +1,182 @@
+// Toast notifications for short feedback ("Email copied", "Quality
+// reduced", navigation errors)
+//
+//   notificationManager.show("Email copied to clipboard", { type: "success" })
+//
+// Types are "info", "success", "warning" and "error". Toasts stack in the
+// top right corner, close themselves after `duration` ms (0 keeps them until
+// dismissed) and are announced by screen readers, errors assertively.
+
+const TYPES = {
+  info: { icon: "ℹ", color: "#00ffff" },
+  success: { icon: "✔", color: "#00ff88" },
+  warning: { icon: "⚠", color: "#ffaa00" },
+  error: { icon: "✖", color: "#ff0055" },
+};
+
+export default class NotificationManager {
+  constructor(i18n) {
+    this.i18n = i18n;
+    this.container = null;
+    this.maxToasts = 4;
+    this.defaultDuration = 3500;
+    this.stylesAdded = false;
+  }
+
+  show(message, { type = "info", duration = this.defaultDuration } = {}) {
+    const { icon, color } = TYPES[type] || TYPES.info;
+    const container = this.getContainer();
+
+    const toast = document.createElement("div");
+    toast.className = "toast";
+    toast.style.setProperty("--toast-color", color);
+    toast.setAttribute("role", type === "error" ? "alert" : "status");
+
+    const iconElement = document.createElement("span");
+    iconElement.className = "toast-icon";
+    iconElement.setAttribute("aria-hidden", "true");
+    iconElement.textContent = icon;
+
+    const text = document.createElement("span");
+    text.className = "toast-message";
+    text.textContent = message;
+
+    const closeButton = document.createElement("button");
+    closeButton.type = "button";
+    closeButton.className = "toast-close";
+    closeButton.setAttribute(
+      "aria-label",
+      this.i18n.t("notifications.dismiss")
+    );
+    closeButton.textContent = "×";
+    closeButton.addEventListener("click", () => this.dismiss(toast));
+
+    toast.append(iconElement, text, closeButton);
+    container.appendChild(toast);
+
+    // Oldest toasts make room for new ones
+    while (container.children.length > this.maxToasts) {
+      container.removeChild(container.firstElementChild);
+    }
+
+    requestAnimationFrame(() => toast.classList.add("toast-visible"));
+
+    if (duration > 0) {
+      toast.dismissTimeout = setTimeout(() => this.dismiss(toast), duration);
+    }
+
+    return toast;
+  }
+
+  dismiss(toast) {
+    if (!toast.parentNode || toast.classList.contains("toast-leaving")) return;
+
+    clearTimeout(toast.dismissTimeout);
+    toast.classList.add("toast-leaving");
+    toast.classList.remove("toast-visible");
+
+    setTimeout(() => {
+      if (toast.parentNode) toast.parentNode.removeChild(toast);
+    }, 300);
+  }
+
+  getContainer() {
+    if (this.container) return this.container;
+
+    this.addStyles();
+
+    this.container = document.createElement("div");
+    this.container.className = "toast-container";
+    // Stays readable for screen readers while a modal hides the page
+    this.container.dataset.liveRegion = "";
+    document.body.appendChild(this.container);
+
+    return this.container;
+  }
+
+  addStyles() {
+    if (this.stylesAdded) return;
+    this.stylesAdded = true;
+
+    const style = document.createElement("style");
+    style.textContent = `
+      .toast-container {
+        position: fixed;
+        top: 1.5rem;
+        right: 1.5rem;
+        z-index: 3000;
+        display: flex;
+        flex-direction: column;
+        gap: 0.6rem;
+        max-width: min(360px, calc(100vw - 2rem));
+        pointer-events: none;
+      }
+
+      .toast {
+        display: flex;
+        align-items: center;
+        gap: 0.7rem;
+        padding: 0.7rem 0.8rem 0.7rem 1rem;
+        background: rgba(5, 5, 20, 0.92);
+        border: 1px solid var(--toast-color);
+        border-left-width: 4px;
+        clip-path: polygon(0 0, calc(100% - 12px) 0, 100% 12px, 100% 100%, 0 100%);
+        box-shadow: 0 0 18px color-mix(in srgb, var(--toast-color) 35%, transparent);
+        color: #fff;
+        font-family: 'Rajdhani', sans-serif;
+        font-size: 1rem;
+        line-height: 1.3;
+        pointer-events: auto;
+        opacity: 0;
+        transform: translateX(30px);
+        transition: opacity 0.3s ease, transform 0.3s ease;
+      }
+
+      .toast-visible {
+        opacity: 1;
+        transform: translateX(0);
+      }
+
+      .toast-icon {
+        color: var(--toast-color);
+        font-weight: bold;
+        text-shadow: 0 0 8px var(--toast-color);
+      }
+
+      .toast-message {
+        flex: 1;
+      }
+
+      .toast-close {
+        background: transparent;
+        border: none;
+        color: var(--toast-color);
+        font-size: 1.3rem;
+        line-height: 1;
+        cursor: pointer;
+      }
+
+      .toast-close:focus-visible {
+        outline: 2px solid var(--toast-color);
+        outline-offset: 2px;
+      }
+
+      @media (max-width: 768px) {
+        .toast-container {
+          top: 4.5rem;
+          right: 1rem;
+          left: 1rem;
+          max-width: none;
+        }
+      }
+
+      @media (prefers-reduced-motion: reduce) {
+        .toast {
+          transition: none;
+          transform: none;
+        }
+      }
+    `;
+    document.head.appendChild(style);
+  }
+}
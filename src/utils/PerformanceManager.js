@@ -17,6 +17,10 @@ export default class PerformanceManager {
 
     this.onPerformanceChange = null;
 
+    // Called with the setting that was turned down ("decorations",
+    // "particles", "shadows" or "pixelRatio") when low FPS lowers quality
+    this.onQualityReduced = null;
+
     // Add cooldown to prevent excessive adjustments
     this.lastAdjustmentTime = 0;
     this.adjustmentCooldown = 5000; // 5 seconds between adjustments
@@ -143,25 +147,29 @@ export default class PerformanceManager {
   }
 
   reduceQuality() {
-    let changed = false;
+    let reduced = null;
 
     if (this.settings.decorations) {
       this.settings.decorations = false;
-      changed = true;
+      reduced = "decorations";
     } else if (this.settings.particles) {
       this.settings.particles = false;
-      changed = true;
+      reduced = "particles";
     } else if (this.settings.shadows) {
       this.settings.shadows = false;
-      changed = true;
+      reduced = "shadows";
     } else if (this.settings.pixelRatio > 1) {
       this.settings.pixelRatio = 1;
-      changed = true;
+      reduced = "pixelRatio";
     }
 
-    if (changed) {
+    if (reduced) {
       console.log("Performance: Reducing quality", this.settings);
       this.applySettings();
+
+      if (this.onQualityReduced) {
+        this.onQualityReduced(reduced);
+      }
     }
   }
 
@@ -0,0 +1,375 @@
+// Builds a CV from the portfolio content (about, experience, projects,
+// skills, contact) in the current language
+//
+//   buildDocument(content)    - standalone HTML page with its own print
+//                               stylesheet. The CV modal shows it in an
+//                               iframe and prints that frame, so "Save as
+//                               PDF" in the print dialog gives the PDF
+//   buildMarkdown(content)    - the same CV as Markdown
+//   downloadMarkdown(content) - saves the Markdown as a .md file
+
+import { html, safeUrl, trustedHtml } from "./html.js";
+import { downloadTextFile, slugify } from "./download.js";
+
+// Plain, ink-friendly styles. Kept inside the document so the neon modal
+// styles never reach the printout
+const RESUME_STYLES = `
+  @page {
+    size: A4;
+    margin: 15mm;
+  }
+
+  * {
+    box-sizing: border-box;
+  }
+
+  body {
+    margin: 0;
+    background: #eef1f4;
+    color: #1b1f24;
+    font: 10.5pt/1.5 "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif;
+  }
+
+  .resume {
+    max-width: 210mm;
+    margin: 0 auto;
+    padding: 14mm 15mm;
+    background: #fff;
+  }
+
+  header {
+    border-bottom: 2px solid #0b7285;
+    padding-bottom: 0.8em;
+    margin-bottom: 1.2em;
+  }
+
+  h1 {
+    margin: 0;
+    font-size: 22pt;
+    letter-spacing: 0.02em;
+  }
+
+  .headline {
+    margin: 0.1em 0 0.5em;
+    color: #0b7285;
+    font-size: 12pt;
+    font-weight: 600;
+  }
+
+  .contact {
+    display: flex;
+    flex-wrap: wrap;
+    gap: 0.2em 1.2em;
+    margin: 0;
+    padding: 0;
+    list-style: none;
+    font-size: 9.5pt;
+  }
+
+  .contact strong {
+    font-weight: 600;
+  }
+
+  h2 {
+    margin: 1.3em 0 0.5em;
+    color: #0b7285;
+    font-size: 11pt;
+    letter-spacing: 0.08em;
+    text-transform: uppercase;
+  }
+
+  h3 {
+    margin: 0;
+    font-size: 11pt;
+  }
+
+  p {
+    margin: 0 0 0.5em;
+  }
+
+  ul {
+    margin: 0.3em 0 0.4em;
+    padding-left: 1.2em;
+  }
+
+  a {
+    color: inherit;
+  }
+
+  .profile {
+    white-space: pre-line;
+  }
+
+  .entry {
+    margin-bottom: 0.9em;
+  }
+
+  .entry-meta {
+    color: #5c6670;
+    font-size: 9.5pt;
+  }
+
+  .tech {
+    color: #5c6670;
+    font-size: 9.5pt;
+  }
+
+  .skills {
+    margin: 0;
+    padding: 0;
+    list-style: none;
+  }
+
+  .skills li {
+    margin-bottom: 0.25em;
+  }
+
+  @media print {
+    body {
+      background: none;
+    }
+
+    .resume {
+      max-width: none;
+      margin: 0;
+      padding: 0;
+    }
+
+    a {
+      text-decoration: none;
+    }
+
+    h2 {
+      break-after: avoid;
+    }
+
+    .entry {
+      break-inside: avoid;
+    }
+  }
+`;
+
+export default class ResumeExporter {
+  constructor(i18n) {
+    this.i18n = i18n;
+  }
+
+  buildDocument(content) {
+    const { about } = content;
+    const title = `${about.name} - ${this.i18n.t("resume.title")}`;
+
+    const page = html`
+      <html lang="${this.i18n.locale}">
+        <head>
+          <meta charset="UTF-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>${title}</title>
+          <style>${trustedHtml(RESUME_STYLES)}</style>
+        </head>
+        <body>
+          ${this.renderResume(content)}
+        </body>
+      </html>
+    `;
+
+    return `<!DOCTYPE html>${page}`;
+  }
+
+  renderResume({ about, experience, projects, skills, contact }) {
+    const t = (key, params) => this.i18n.t(key, params);
+
+    return html`
+      <article class="resume">
+        <header>
+          <h1>${about.name}</h1>
+          ${about.headline ? html`<p class="headline">${about.headline}</p>` : ""}
+          <ul class="contact">
+            <li>${about.location} · ${contact.timezone}</li>
+            ${contact.contactInfo.map(
+              (item) => html`
+              <li>
+                <strong>${item.type}:</strong>
+                ${
+                  item.link
+                    ? html`<a href="${safeUrl(item.link)}">${item.value}</a>`
+                    : item.value
+                }
+              </li>
+            `
+            )}
+          </ul>
+        </header>
+
+        <section>
+          <h2>${t("resume.profile")}</h2>
+          <p class="profile">${about.description}</p>
+          <p><em>${contact.availability}</em></p>
+        </section>
+
+        <section>
+          <h2>${t("resume.experience")}</h2>
+          ${experience.entries.map(
+            (entry) => html`
+            <div class="entry">
+              <h3>${entry.role} · ${entry.company}</h3>
+              <div class="entry-meta">
+                ${this.i18n.formatPeriod(entry.start, entry.end)}${
+                  entry.location ? ` · ${entry.location}` : ""
+                }
+              </div>
+              <ul>
+                ${entry.highlights.map((item) => html`<li>${item}</li>`)}
+              </ul>
+              <div class="tech">
+                ${t("resume.technologies")}: ${entry.technologies.join(", ")}
+              </div>
+            </div>
+          `
+          )}
+        </section>
+
+        <section>
+          <h2>${t("resume.projects")}</h2>
+          ${projects.projectList.map(
+            (project) => html`
+            <div class="entry">
+              <h3>${project.name}</h3>
+              <div class="entry-meta">
+                ${project.year} · ${t(`modal.projectStatus.${project.status}`)}${
+                  project.role ? ` · ${project.role}` : ""
+                }
+              </div>
+              <p>${project.description}</p>
+              ${
+                project.outcomes && project.outcomes.length
+                  ? html`<ul>
+                    ${project.outcomes.map((item) => html`<li>${item}</li>`)}
+                  </ul>`
+                  : ""
+              }
+              <div class="tech">
+                ${t("resume.technologies")}: ${project.technologies.join(", ")}
+              </div>
+              ${this.getProjectLinks(project).map(
+                ({ label, url }) => html`
+                <div class="tech">
+                  ${label}: <a href="${safeUrl(url)}">${url}</a>
+                </div>
+              `
+              )}
+            </div>
+          `
+          )}
+        </section>
+
+        <section>
+          <h2>${t("resume.skills")}</h2>
+          <ul class="skills">
+            ${skills.skillCategories.map(
+              (category) => html`
+              <li>
+                <strong>${category.category}:</strong>
+                ${this.describeSkills(category.skills)}
+              </li>
+            `
+            )}
+          </ul>
+        </section>
+      </article>
+    `;
+  }
+
+  buildMarkdown({ about, experience, projects, skills, contact }) {
+    const t = (key, params) => this.i18n.t(key, params);
+    const lines = [`# ${about.name}`, ""];
+
+    if (about.headline) {
+      lines.push(`**${about.headline}**`, "");
+    }
+
+    lines.push(`${about.location} · ${contact.timezone}`, "");
+    contact.contactInfo.forEach((item) => {
+      const value = item.link ? `[${item.value}](${item.link})` : item.value;
+      lines.push(`- **${item.type}:** ${value}`);
+    });
+
+    // "• item" lines from the about text become a Markdown list
+    const profile = about.description.replace(/^•\s*/gm, "- ");
+    lines.push("", `## ${t("resume.profile")}`, "", profile, "");
+    lines.push(`*${contact.availability}*`, "");
+
+    lines.push(`## ${t("resume.experience")}`, "");
+    experience.entries.forEach((entry) => {
+      const meta = [this.i18n.formatPeriod(entry.start, entry.end)];
+      if (entry.location) meta.push(entry.location);
+
+      lines.push(`### ${entry.role} · ${entry.company}`, "");
+      lines.push(`*${meta.join(" · ")}*`, "");
+      entry.highlights.forEach((item) => lines.push(`- ${item}`));
+      lines.push(
+        "",
+        `${t("resume.technologies")}: ${entry.technologies.join(", ")}`,
+        ""
+      );
+    });
+
+    lines.push(`## ${t("resume.projects")}`, "");
+    projects.projectList.forEach((project) => {
+      const meta = [project.year, t(`modal.projectStatus.${project.status}`)];
+      if (project.role) meta.push(project.role);
+
+      lines.push(`### ${project.name}`, "");
+      lines.push(`*${meta.join(" · ")}*`, "", project.description, "");
+      if (project.outcomes && project.outcomes.length) {
+        project.outcomes.forEach((item) => lines.push(`- ${item}`));
+        lines.push("");
+      }
+      lines.push(
+        `${t("resume.technologies")}: ${project.technologies.join(", ")}`
+      );
+      this.getProjectLinks(project).forEach(({ label, url }) => {
+        lines.push("", `${label}: <${url}>`);
+      });
+      lines.push("");
+    });
+
+    lines.push(`## ${t("resume.skills")}`, "");
+    skills.skillCategories.forEach((category) => {
+      lines.push(
+        `- **${category.category}:** ${this.describeSkills(category.skills)}`
+      );
+    });
+
+    return `${lines.join("\n")}\n`;
+  }
+
+  downloadMarkdown(content) {
+    downloadTextFile(
+      this.getFileName(content, "md"),
+      this.buildMarkdown(content),
+      "text/markdown;charset=utf-8"
+    );
+  }
+
+  // "Taufik Hidayat Zebua" -> "taufik-hidayat-zebua-cv.md"
+  getFileName(content, extension) {
+    return `${slugify(content.about.name) || "resume"}-cv.${extension}`;
+  }
+
+  // "React (Advanced), Vue.js (Intermediate)"
+  describeSkills(skills) {
+    return skills
+      .map(
+        (skill) =>
+          `${skill.name} (${this.i18n.t(`modal.skillLevels.${skill.level}`)})`
+      )
+      .join(", ");
+  }
+
+  getProjectLinks(project) {
+    return [
+      { url: project.liveUrl, label: this.i18n.t("modal.live") },
+      { url: project.repoUrl, label: this.i18n.t("modal.repo") },
+    ].filter(({ url }) => url);
+  }
+}
@@ -0,0 +1,184 @@
+// URL router for deep-linking sections, hologram screens and detail modals
+//
+// Routes look like "/projects" or "/skills/details". Hash links such as
+// "/#skills/details" are understood too, so old or shared hash URLs keep
+// working even when the router writes clean paths.
+
+export default class Router {
+  constructor(options = {}) {
+    // "history" writes /projects, "hash" writes /#projects
+    this.mode = options.mode || "history";
+    this.sections = options.sections || ["home"];
+    this.views = options.views || ["details"];
+    this.defaultSection = options.defaultSection || "home";
+
+    this.currentRoute = null;
+    this.isStarted = false;
+
+    // Called with the parsed route on start and on back/forward
+    this.onRouteChange = null;
+
+    // Called with the requested section name when the URL points to a
+    // section that doesn't exist, before falling back to the default one
+    this.onUnknownRoute = null;
+
+    this.handlePopState = () => {
+      this.resolve();
+    };
+  }
+
+  // Begin listening to history changes and return the route the page was
+  // opened with
+  start() {
+    if (this.isStarted) return this.currentRoute;
+    this.isStarted = true;
+
+    window.addEventListener("popstate", this.handlePopState);
+    if (this.mode === "hash") {
+      window.addEventListener("hashchange", this.handlePopState);
+    }
+
+    const route = this.resolveLocation();
+
+    // Normalise whatever URL we were opened with to the configured mode,
+    // keeping query parameters such as shared view links
+    this.writeUrl(route, true, true);
+    this.currentRoute = route;
+
+    if (this.onRouteChange) {
+      this.onRouteChange(route);
+    }
+
+    return route;
+  }
+
+  // Re-read the URL after back/forward and notify listeners if it changed
+  resolve() {
+    const route = this.resolveLocation();
+    if (this.isSameRoute(route, this.currentRoute)) return;
+
+    this.currentRoute = route;
+
+    if (this.onRouteChange) {
+      this.onRouteChange(route);
+    }
+  }
+
+  // Push (or replace) a new route without notifying listeners - used when
+  // the app itself changes state and the URL has to follow
+  navigate(route, { replace = false } = {}) {
+    const normalized = this.normalize(route);
+    if (this.isSameRoute(normalized, this.currentRoute)) return;
+
+    this.currentRoute = normalized;
+
+    if (this.isStarted) {
+      this.writeUrl(normalized, replace);
+    }
+  }
+
+  resolveLocation() {
+    const requested = this.readLocation(window.location);
+    const route = this.normalize(requested);
+
+    if (requested.section && requested.section !== route.section) {
+      if (this.onUnknownRoute) {
+        this.onUnknownRoute(requested.section);
+      }
+    }
+
+    return route;
+  }
+
+  parse(location) {
+    return this.normalize(this.readLocation(location));
+  }
+
+  // The section and view segments as written in the URL, not validated
+  readLocation(location) {
+    // Hash links win over the path so "/#skills/details" works everywhere
+    const hash = (location.hash || "").replace(/^#\/?/, "");
+    const raw = hash || this.stripBase(location.pathname || "/");
+
+    const [section, view] = raw
+      .split("?")[0]
+      .split("/")
+      .filter(Boolean)
+      .map((segment) => this.decodeSegment(segment).toLowerCase());
+
+    return { section, view };
+  }
+
+  // A malformed escape such as "/100%" keeps the raw segment, which then
+  // fails normalize() like any other unknown section
+  decodeSegment(segment) {
+    try {
+      return decodeURIComponent(segment);
+    } catch (error) {
+      return segment;
+    }
+  }
+
+  normalize(route = {}) {
+    const section = this.sections.includes(route.section)
+      ? route.section
+      : this.defaultSection;
+
+    // Views only make sense on top of a real section
+    const view =
+      section !== this.defaultSection && this.views.includes(route.view)
+        ? route.view
+        : null;
+
+    return { section, view };
+  }
+
+  buildPath(route) {
+    const { section, view } = this.normalize(route);
+    const segments = section === this.defaultSection ? [] : [section];
+    if (view) segments.push(view);
+
+    const path = segments.join("/");
+
+    if (this.mode === "hash") {
+      return `${this.getBase()}${path ? `#${path}` : ""}`;
+    }
+
+    return `${this.getBase()}${path}`;
+  }
+
+  writeUrl(route, replace, keepSearch = false) {
+    const target = new URL(this.buildPath(route), window.location.origin);
+    if (keepSearch) {
+      target.search = window.location.search;
+    }
+
+    const { pathname, search, hash } = window.location;
+    const url = `${target.pathname}${target.search}${target.hash}`;
+    if (url === `${pathname}${search}${hash}`) return;
+
+    const method = replace ? "replaceState" : "pushState";
+    window.history[method]({ ...route }, "", url);
+  }
+
+  isSameRoute(a, b) {
+    if (!a || !b) return false;
+    return a.section === b.section && a.view === b.view;
+  }
+
+  getBase() {
+    const base = import.meta.env.BASE_URL || "/";
+    return base.endsWith("/") ? base : `${base}/`;
+  }
+
+  stripBase(pathname) {
+    const base = this.getBase();
+    return pathname.startsWith(base) ? pathname.slice(base.length) : pathname;
+  }
+
+  destroy() {
+    window.removeEventListener("popstate", this.handlePopState);
+    window.removeEventListener("hashchange", this.handlePopState);
+    this.isStarted = false;
+  }
+}
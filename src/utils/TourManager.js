@@ -0,0 +1,380 @@
+// Guided tour through the office, started by the "Start Tour" button
+//
+// Plays content.tour.steps one after another: main.js moves the camera for
+// each step through `goTo`, then the caption stays up for the step's
+// duration before the next one. The panel at the bottom shows the caption,
+// a timer bar, progress dots and Pause / Skip / Stop. Any other click,
+// touch, scroll or key press ends the tour and leaves the camera to the
+// visitor.
+
+// Seconds a step stays up once the camera arrived
+const DEFAULT_DURATION = 6;
+
+// Events that mean the visitor wants the camera back
+const INPUT_EVENTS = ["pointerdown", "wheel", "touchstart", "keydown"];
+
+// Keys that don't count as taking over: moving focus and lone modifiers
+const IGNORED_KEYS = ["Tab", "Shift", "Control", "Alt", "Meta"];
+
+export default class TourManager {
+  constructor(i18n) {
+    this.i18n = i18n;
+
+    // Moves the camera to a step, returns a promise of whether it arrived
+    this.goTo = null;
+    // Called when the tour ends: "end", "stop" (the button), "input" or
+    // "interrupted" (something else took the camera)
+    this.onStop = null;
+
+    this.steps = [];
+    this.index = -1;
+    this.isPlaying = false;
+    this.isPaused = false;
+
+    // Dwell timer of the current step, in milliseconds
+    this.timer = null;
+    this.remaining = 0;
+    this.timerStarted = 0;
+    // Whether the camera reached the current step, its timer runs after
+    this.hasArrived = false;
+    // Bumped per step, so a late arrival of a skipped step is ignored
+    this.stepRun = 0;
+
+    this.panel = this.createPanel();
+    this.stylesAdded = false;
+    this.addStyles();
+
+    this.onInput = (event) => this.handleInput(event);
+  }
+
+  createPanel() {
+    const panel = document.createElement("div");
+    panel.className = "tour-panel";
+    panel.hidden = true;
+    panel.setAttribute("role", "region");
+
+    this.caption = document.createElement("p");
+    this.caption.className = "tour-caption";
+    this.caption.setAttribute("aria-live", "polite");
+
+    this.timerBar = document.createElement("div");
+    this.timerBar.className = "tour-timer";
+
+    const footer = document.createElement("div");
+    footer.className = "tour-footer";
+
+    this.dots = document.createElement("ol");
+    this.dots.className = "tour-dots";
+
+    this.counter = document.createElement("span");
+    this.counter.className = "tour-counter";
+
+    this.pauseButton = this.createButton("pause", () => this.togglePause());
+    this.skipButton = this.createButton("skip", () => this.next());
+    this.stopButton = this.createButton("stop", () => this.stop("stop"));
+
+    footer.append(
+      this.dots,
+      this.counter,
+      this.pauseButton,
+      this.skipButton,
+      this.stopButton
+    );
+    panel.append(this.caption, this.timerBar, footer);
+    document.body.appendChild(panel);
+    return panel;
+  }
+
+  createButton(name, onClick) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = `tour-button tour-${name}`;
+    button.addEventListener("click", onClick);
+    return button;
+  }
+
+  start(steps) {
+    if (!this.goTo || steps.length === 0) return;
+    if (this.isPlaying) this.stop("stop");
+
+    this.steps = steps;
+    this.isPlaying = true;
+    this.isPaused = false;
+    this.panel.classList.remove("paused");
+
+    this.renderLabels();
+    this.renderDots();
+    this.panel.hidden = false;
+
+    // Capture phase, so the tour is over before the input does anything
+    INPUT_EVENTS.forEach((type) => {
+      document.addEventListener(type, this.onInput, {
+        capture: true,
+        passive: true,
+      });
+    });
+
+    this.showStep(0);
+  }
+
+  stop(reason) {
+    if (!this.isPlaying) return;
+
+    this.isPlaying = false;
+    this.stepRun += 1;
+    this.clearTimer();
+    this.panel.hidden = true;
+
+    INPUT_EVENTS.forEach((type) => {
+      document.removeEventListener(type, this.onInput, { capture: true });
+    });
+
+    if (this.onStop) this.onStop(reason);
+  }
+
+  next() {
+    if (!this.isPlaying) return;
+
+    if (this.index + 1 >= this.steps.length) {
+      this.stop("end");
+    } else {
+      this.showStep(this.index + 1);
+    }
+  }
+
+  togglePause() {
+    if (!this.isPlaying) return;
+
+    this.isPaused = !this.isPaused;
+    this.panel.classList.toggle("paused", this.isPaused);
+    this.renderLabels();
+
+    // A step still flying starts its timer paused (see showStep)
+    if (!this.hasArrived) return;
+
+    if (this.isPaused) {
+      this.remaining -= performance.now() - this.timerStarted;
+      this.clearTimer();
+    } else {
+      this.startTimer();
+    }
+  }
+
+  // Caption and dots right away, the timer once the camera is there
+  showStep(index) {
+    const step = this.steps[index];
+    const run = ++this.stepRun;
+
+    this.index = index;
+    this.hasArrived = false;
+    this.clearTimer();
+    this.remaining = (step.duration || DEFAULT_DURATION) * 1000;
+
+    this.caption.textContent = step.caption;
+    this.counter.textContent = this.i18n.t("tour.progress", {
+      current: index + 1,
+      total: this.steps.length,
+    });
+    Array.from(this.dots.children).forEach((dot, dotIndex) => {
+      dot.classList.toggle("done", dotIndex < index);
+      dot.classList.toggle("current", dotIndex === index);
+    });
+    this.timerBar.style.animationDuration = `${this.remaining}ms`;
+    this.timerBar.classList.remove("running");
+
+    Promise.resolve(this.goTo(step)).then((arrived) => {
+      if (run !== this.stepRun) return;
+
+      // The camera was taken over by something other than the tour
+      if (!arrived) {
+        this.stop("interrupted");
+        return;
+      }
+
+      // Restart the bar's animation from the beginning
+      void this.timerBar.offsetWidth;
+      this.timerBar.classList.add("running");
+      this.hasArrived = true;
+      if (!this.isPaused) this.startTimer();
+    });
+  }
+
+  startTimer() {
+    this.timerStarted = performance.now();
+    this.timer = setTimeout(() => this.next(), Math.max(this.remaining, 0));
+  }
+
+  clearTimer() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  // Clicks and keys on the panel are for the panel
+  handleInput(event) {
+    if (this.panel.contains(event.target)) return;
+    if (event.type === "keydown" && IGNORED_KEYS.includes(event.key)) return;
+
+    this.stop("input");
+  }
+
+  renderLabels() {
+    this.panel.setAttribute("aria-label", this.i18n.t("tour.label"));
+    this.pauseButton.textContent = this.i18n.t(
+      this.isPaused ? "tour.resume" : "tour.pause"
+    );
+    this.pauseButton.setAttribute("aria-pressed", String(this.isPaused));
+    this.skipButton.textContent = this.i18n.t("tour.skip");
+    this.stopButton.textContent = this.i18n.t("tour.stop");
+  }
+
+  renderDots() {
+    this.dots.innerHTML = "";
+    this.dots.setAttribute("aria-hidden", "true");
+    this.steps.forEach(() => {
+      const dot = document.createElement("li");
+      dot.className = "tour-dot";
+      this.dots.appendChild(dot);
+    });
+  }
+
+  addStyles() {
+    if (this.stylesAdded) return;
+    this.stylesAdded = true;
+
+    const style = document.createElement("style");
+    style.textContent = `
+      .tour-panel {
+        position: fixed;
+        left: 50%;
+        bottom: 5rem;
+        z-index: 60;
+        width: min(560px, calc(100vw - 2rem));
+        transform: translateX(-50%);
+        padding: 1rem 1.2rem 0.8rem;
+        background: rgba(0, 0, 0, 0.9);
+        border: 1px solid rgba(0, 255, 255, 0.4);
+        border-radius: 12px;
+        box-shadow: 0 0 25px rgba(0, 255, 255, 0.25);
+        backdrop-filter: blur(15px);
+        font-family: "Rajdhani", sans-serif;
+      }
+
+      .tour-panel[hidden] {
+        display: none;
+      }
+
+      .tour-caption {
+        min-height: 2.6em;
+        margin: 0;
+        color: #ffffff;
+        font-size: 1.1rem;
+        line-height: 1.3;
+      }
+
+      .tour-timer {
+        height: 2px;
+        margin: 0.7rem 0;
+        background: #00ffff;
+        box-shadow: 0 0 8px #00ffff;
+        transform: scaleX(0);
+        transform-origin: left;
+      }
+
+      .tour-timer.running {
+        animation-name: tour-timer;
+        animation-timing-function: linear;
+        animation-fill-mode: forwards;
+      }
+
+      .tour-panel.paused .tour-timer {
+        animation-play-state: paused;
+      }
+
+      @keyframes tour-timer {
+        from {
+          transform: scaleX(0);
+        }
+        to {
+          transform: scaleX(1);
+        }
+      }
+
+      .tour-footer {
+        display: flex;
+        align-items: center;
+        gap: 0.5rem;
+      }
+
+      .tour-dots {
+        display: flex;
+        gap: 0.4rem;
+        margin: 0;
+        padding: 0;
+        list-style: none;
+      }
+
+      .tour-dot {
+        width: 8px;
+        height: 8px;
+        border: 1px solid #00ffff;
+        border-radius: 50%;
+        transition: all 0.3s ease;
+      }
+
+      .tour-dot.done {
+        background: rgba(0, 255, 255, 0.5);
+      }
+
+      .tour-dot.current {
+        background: #ff00ff;
+        border-color: #ff00ff;
+        box-shadow: 0 0 8px #ff00ff;
+      }
+
+      .tour-counter {
+        margin-right: auto;
+        color: rgba(0, 255, 255, 0.7);
+        font-size: 0.8rem;
+      }
+
+      .tour-button {
+        padding: 0.3rem 0.8rem;
+        background: rgba(0, 255, 255, 0.1);
+        border: 1px solid rgba(0, 255, 255, 0.3);
+        border-radius: 20px;
+        color: #00ffff;
+        font-family: inherit;
+        font-size: 0.75rem;
+        font-weight: 600;
+        letter-spacing: 0.5px;
+        text-transform: uppercase;
+        cursor: pointer;
+        transition: all 0.3s ease;
+      }
+
+      .tour-button:hover,
+      .tour-button:focus-visible {
+        background: rgba(0, 255, 255, 0.2);
+        border-color: #00ffff;
+        outline: none;
+      }
+
+      .tour-stop {
+        border-color: rgba(255, 0, 255, 0.5);
+        color: #ff00ff;
+      }
+
+      @media (max-width: 768px) {
+        .tour-panel {
+          bottom: 4.5rem;
+          padding: 0.8rem;
+        }
+
+        .tour-caption {
+          font-size: 1rem;
+        }
+      }
+    `;
+    document.head.appendChild(style);
+  }
+}
@@ -0,0 +1,72 @@
+// Encodes the current camera view into a shareable URL and reads it back
+//
+// A view link adds two query parameters to the normal route URL:
+//   view  = camera position and OrbitControls target, "px,py,pz,tx,ty,tz"
+//   focus = what was active when the link was made: "hologram", "phone" or "robot"
+// e.g. /projects?view=0,10,-18,0,10,-30&focus=hologram
+
+const FOCUS_MODES = ["hologram", "phone", "robot"];
+const MAX_COORDINATE = 200; // Anything beyond this is outside the office
+
+export default class ViewLinkManager {
+  constructor() {
+    this.precision = 2;
+
+    // Called with the raw "view" value when a link can't be restored
+    this.onInvalidLink = null;
+  }
+
+  // Build an absolute URL for the given route path and view state
+  buildUrl(path, { viewpoint, focus = null }) {
+    const url = new URL(path, window.location.origin);
+
+    // Written by hand so the commas stay readable instead of becoming %2C
+    const params = [`view=${this.encodeViewpoint(viewpoint)}`];
+    if (FOCUS_MODES.includes(focus)) {
+      params.push(`focus=${focus}`);
+    }
+    url.search = params.join("&");
+
+    return url.toString();
+  }
+
+  encodeViewpoint(viewpoint) {
+    const { position, target } = viewpoint;
+    return [position.x, position.y, position.z, target.x, target.y, target.z]
+      .map((value) => parseFloat(value.toFixed(this.precision)))
+      .join(",");
+  }
+
+  // Returns { viewpoint, focus } or null when the URL has no valid view link
+  parse(search) {
+    const params = new URLSearchParams(search);
+    const raw = params.get("view");
+    if (!raw) return null;
+
+    const values = raw.split(",").map(Number);
+    const isValid =
+      values.length === 6 &&
+      values.every(
+        (value) => Number.isFinite(value) && Math.abs(value) <= MAX_COORDINATE
+      );
+
+    if (!isValid) {
+      console.warn(`Ignoring invalid view link: "${raw}"`);
+      if (this.onInvalidLink) {
+        this.onInvalidLink(raw);
+      }
+      return null;
+    }
+
+    const [px, py, pz, tx, ty, tz] = values;
+    const focus = params.get("focus");
+
+    return {
+      viewpoint: {
+        position: { x: px, y: py, z: pz },
+        target: { x: tx, y: ty, z: tz },
+      },
+      focus: FOCUS_MODES.includes(focus) ? focus : null,
+    };
+  }
+}
@@ -0,0 +1,549 @@
+import * as THREE from "three";
+
+// First-person walking through the office, the "Walk Mode" button
+//
+//   Mouse - click the canvas to look around (pointer lock), W A S D or the
+//           arrows to walk, Shift to run, E to interact, Escape frees the
+//           mouse and a second Escape leaves walk mode
+//   Touch - joystick bottom left to walk, drag anywhere else to look, tap
+//           the prompt to interact
+//
+// OrbitControls stay off while walking (main.js skips controls.update()).
+// What the walker bumps into is up to `isBlocked`, and walking up to one of
+// `getTargets` shows an interact prompt for it.
+
+// Camera height above the floor while walking
+const EYE_HEIGHT = 5;
+// Where walking starts when the camera is somewhere the walker can't be
+const SPAWN = { x: 0, z: 14 };
+
+// Units per second, Shift doubles it
+const WALK_SPEED = 8;
+const RUN_FACTOR = 2;
+
+// Radians per pixel of mouse or finger movement
+const MOUSE_LOOK_SPEED = 0.002;
+const TOUCH_LOOK_SPEED = 0.005;
+// Just short of straight up or down
+const PITCH_LIMIT = Math.PI / 2 - 0.1;
+
+// How directly the walker has to face a target for its prompt (cosine)
+const INTERACT_FACING = 0.6;
+
+// Browsers use the Escape that frees the mouse, some still send it on
+const ESCAPE_GRACE = 200;
+
+const MOVE_KEYS = {
+  KeyW: { forward: 1 },
+  ArrowUp: { forward: 1 },
+  KeyS: { forward: -1 },
+  ArrowDown: { forward: -1 },
+  KeyA: { right: -1 },
+  ArrowLeft: { right: -1 },
+  KeyD: { right: 1 },
+  ArrowRight: { right: 1 },
+};
+
+// Keys belong to these while they have focus
+const TEXT_ENTRY = "input, textarea, select, [contenteditable='true']";
+
+export default class WalkManager {
+  constructor(canvas, i18n) {
+    this.canvas = canvas;
+    this.i18n = i18n;
+    this.camera = null;
+
+    this.isActive = false;
+    // Touch devices get the joystick instead of pointer lock
+    this.isTouch = false;
+
+    // Returns whether a walker standing at (x, z) runs into something
+    this.isBlocked = null;
+    // Returns what can be interacted with:
+    // [{ position: { x, z }, range, label, activate }]
+    this.getTargets = null;
+    // Called when walking ends, with why: "leave" (Escape or the button),
+    // "interact" or "camera" (a camera move took over)
+    this.onExit = null;
+
+    this.euler = new THREE.Euler(0, 0, 0, "YXZ");
+    this.position = new THREE.Vector3();
+    this.forward = new THREE.Vector3();
+
+    this.heldKeys = new Set();
+    this.isRunning = false;
+    // -1 to 1 on both axes, y is down like the screen
+    this.joystick = { x: 0, y: 0 };
+    this.joystickPointer = null;
+    this.lookPointer = null;
+    this.hasMoved = false;
+    this.nearbyTarget = null;
+    this.unlockedAt = 0;
+    this.lastUpdate = performance.now();
+
+    this.overlay = this.createOverlay();
+    this.stylesAdded = false;
+    this.addStyles();
+
+    this.addListeners();
+  }
+
+  setup(camera) {
+    this.camera = camera;
+  }
+
+  createOverlay() {
+    const overlay = document.createElement("div");
+    overlay.className = "walk-overlay";
+    overlay.hidden = true;
+
+    const crosshair = document.createElement("div");
+    crosshair.className = "walk-crosshair";
+    crosshair.setAttribute("aria-hidden", "true");
+
+    this.hint = document.createElement("p");
+    this.hint.className = "walk-hint";
+    this.hint.setAttribute("role", "status");
+
+    this.prompt = document.createElement("button");
+    this.prompt.type = "button";
+    this.prompt.className = "walk-prompt";
+    this.prompt.hidden = true;
+    this.prompt.addEventListener("click", () => this.interact());
+
+    this.joystickElement = document.createElement("div");
+    this.joystickElement.className = "walk-joystick";
+    this.joystickElement.setAttribute("aria-hidden", "true");
+    this.knob = document.createElement("div");
+    this.knob.className = "walk-joystick-knob";
+    this.joystickElement.appendChild(this.knob);
+
+    overlay.append(crosshair, this.hint, this.prompt, this.joystickElement);
+    document.body.appendChild(overlay);
+    return overlay;
+  }
+
+  addListeners() {
+    document.addEventListener("keydown", (event) => this.onKeyDown(event));
+    document.addEventListener("keyup", (event) => {
+      this.heldKeys.delete(event.code);
+      this.isRunning = event.shiftKey;
+    });
+    // Key up events are lost while the window is in the background
+    window.addEventListener("blur", () => {
+      this.heldKeys.clear();
+      this.isRunning = false;
+    });
+
+    // Mouse look while the pointer is locked
+    document.addEventListener("mousemove", (event) => {
+      if (!this.isActive || document.pointerLockElement !== this.canvas) {
+        return;
+      }
+      this.look(event.movementX, event.movementY, MOUSE_LOOK_SPEED);
+    });
+    document.addEventListener("pointerlockchange", () => {
+      if (document.pointerLockElement !== this.canvas) {
+        this.unlockedAt = performance.now();
+      }
+      this.updateHint();
+    });
+    this.canvas.addEventListener("click", () => {
+      if (this.isActive && !this.isTouch) this.lockPointer();
+    });
+
+    // Touch look: drag anywhere on the canvas
+    this.canvas.addEventListener("pointerdown", (event) => {
+      if (!this.isActive || event.pointerType === "mouse") return;
+      if (this.lookPointer !== null) return;
+      this.lookPointer = {
+        id: event.pointerId,
+        x: event.clientX,
+        y: event.clientY,
+      };
+    });
+    window.addEventListener("pointermove", (event) => {
+      if (!this.lookPointer || event.pointerId !== this.lookPointer.id) {
+        return;
+      }
+      this.look(
+        event.clientX - this.lookPointer.x,
+        event.clientY - this.lookPointer.y,
+        TOUCH_LOOK_SPEED
+      );
+      this.lookPointer.x = event.clientX;
+      this.lookPointer.y = event.clientY;
+    });
+    const endLook = (event) => {
+      if (this.lookPointer && event.pointerId === this.lookPointer.id) {
+        this.lookPointer = null;
+      }
+    };
+    window.addEventListener("pointerup", endLook);
+    window.addEventListener("pointercancel", endLook);
+
+    // Joystick
+    this.joystickElement.addEventListener("pointerdown", (event) => {
+      if (this.joystickPointer !== null) return;
+      this.joystickPointer = event.pointerId;
+      this.joystickElement.setPointerCapture(event.pointerId);
+      this.moveJoystick(event);
+    });
+    this.joystickElement.addEventListener("pointermove", (event) => {
+      if (event.pointerId === this.joystickPointer) this.moveJoystick(event);
+    });
+    const releaseJoystick = (event) => {
+      if (event.pointerId === this.joystickPointer) this.resetJoystick();
+    };
+    this.joystickElement.addEventListener("pointerup", releaseJoystick);
+    this.joystickElement.addEventListener("pointercancel", releaseJoystick);
+  }
+
+  enter() {
+    if (this.isActive || !this.camera) return;
+
+    this.isActive = true;
+    this.isTouch = window.matchMedia("(pointer: coarse)").matches;
+    this.hasMoved = false;
+
+    // Carry on on foot from where the camera is, looking the same way
+    this.euler.setFromQuaternion(this.camera.quaternion);
+    this.euler.x = 0;
+    this.euler.z = 0;
+    const { x, z } = this.camera.position;
+    this.position.set(x, EYE_HEIGHT, z);
+    if (this.blocked(this.position.x, this.position.z)) {
+      this.position.set(SPAWN.x, EYE_HEIGHT, SPAWN.z);
+      this.euler.y = 0;
+    }
+    this.applyCamera();
+
+    this.overlay.hidden = false;
+    this.joystickElement.hidden = !this.isTouch;
+    this.lastUpdate = performance.now();
+
+    // Away from the button, so Space or Enter don't press it again
+    this.canvas.focus();
+    if (!this.isTouch) this.lockPointer();
+    this.updateHint();
+  }
+
+  exit(reason) {
+    if (!this.isActive) return;
+
+    this.isActive = false;
+    this.heldKeys.clear();
+    this.lookPointer = null;
+    this.resetJoystick();
+    this.setNearbyTarget(null);
+    this.overlay.hidden = true;
+
+    if (document.pointerLockElement === this.canvas) {
+      document.exitPointerLock();
+    }
+
+    if (this.onExit) this.onExit(reason);
+  }
+
+  // Leaves walk mode and hands over to the target's focus logic
+  interact() {
+    const target = this.nearbyTarget;
+    if (!this.isActive || !target) return;
+
+    this.exit("interact");
+    target.activate();
+  }
+
+  lockPointer() {
+    if (!this.canvas.requestPointerLock) return;
+
+    // Newer browsers return a promise that rejects without a user gesture
+    const request = this.canvas.requestPointerLock();
+    if (request && request.catch) request.catch(() => {});
+  }
+
+  onKeyDown(event) {
+    if (!this.isActive) return;
+    if (event.ctrlKey || event.metaKey || event.altKey) return;
+    if (event.target.closest && event.target.closest(TEXT_ENTRY)) return;
+
+    this.isRunning = event.shiftKey;
+
+    if (event.key === "Escape") {
+      const locked = document.pointerLockElement === this.canvas;
+      if (!locked && performance.now() - this.unlockedAt > ESCAPE_GRACE) {
+        this.exit("leave");
+      }
+      return;
+    }
+
+    if (event.code === "KeyE") {
+      if (!event.repeat) this.interact();
+      return;
+    }
+
+    if (MOVE_KEYS[event.code]) {
+      event.preventDefault();
+      this.heldKeys.add(event.code);
+    }
+  }
+
+  look(deltaX, deltaY, speed) {
+    this.euler.y -= deltaX * speed;
+    this.euler.x = THREE.MathUtils.clamp(
+      this.euler.x - deltaY * speed,
+      -PITCH_LIMIT,
+      PITCH_LIMIT
+    );
+    this.applyCamera();
+  }
+
+  moveJoystick(event) {
+    const rect = this.joystickElement.getBoundingClientRect();
+    const radius = rect.width / 2;
+    let x = event.clientX - (rect.left + radius);
+    let y = event.clientY - (rect.top + radius);
+
+    const length = Math.hypot(x, y);
+    if (length > radius) {
+      x = (x / length) * radius;
+      y = (y / length) * radius;
+    }
+
+    this.joystick.x = x / radius;
+    this.joystick.y = y / radius;
+    this.knob.style.transform = `translate(${x}px, ${y}px)`;
+  }
+
+  resetJoystick() {
+    this.joystickPointer = null;
+    this.joystick.x = 0;
+    this.joystick.y = 0;
+    this.knob.style.transform = "";
+  }
+
+  // Call once per frame while walking
+  update() {
+    if (!this.isActive) return;
+
+    const now = performance.now();
+    // Cap the step so a background tab doesn't teleport the walker
+    const delta = Math.min((now - this.lastUpdate) / 1000, 0.1);
+    this.lastUpdate = now;
+
+    this.walk(delta);
+    this.applyCamera();
+    this.updatePrompt();
+  }
+
+  walk(delta) {
+    let forward = -this.joystick.y;
+    let right = this.joystick.x;
+    this.heldKeys.forEach((code) => {
+      forward += MOVE_KEYS[code].forward || 0;
+      right += MOVE_KEYS[code].right || 0;
+    });
+
+    // Diagonals aren't faster
+    const length = Math.hypot(forward, right);
+    if (length < 0.05) return;
+    if (length > 1) {
+      forward /= length;
+      right /= length;
+    }
+
+    if (!this.hasMoved) {
+      this.hasMoved = true;
+      this.updateHint();
+    }
+
+    const speed = WALK_SPEED * (this.isRunning ? RUN_FACTOR : 1) * delta;
+    const sin = Math.sin(this.euler.y);
+    const cos = Math.cos(this.euler.y);
+    const dx = (-sin * forward + cos * right) * speed;
+    const dz = (-cos * forward - sin * right) * speed;
+
+    // One axis at a time, so the walker slides along what it bumps into
+    if (!this.blocked(this.position.x + dx, this.position.z)) {
+      this.position.x += dx;
+    }
+    if (!this.blocked(this.position.x, this.position.z + dz)) {
+      this.position.z += dz;
+    }
+  }
+
+  blocked(x, z) {
+    return this.isBlocked ? this.isBlocked(x, z) : false;
+  }
+
+  applyCamera() {
+    this.camera.position.copy(this.position);
+    this.camera.quaternion.setFromEuler(this.euler);
+  }
+
+  // The closest target in range that the walker is facing
+  updatePrompt() {
+    const targets = this.getTargets ? this.getTargets() : [];
+    this.forward.set(-Math.sin(this.euler.y), 0, -Math.cos(this.euler.y));
+
+    let closest = null;
+    let closestDistance = Infinity;
+    targets.forEach((target) => {
+      const dx = target.position.x - this.position.x;
+      const dz = target.position.z - this.position.z;
+      const distance = Math.hypot(dx, dz);
+      if (distance > target.range || distance >= closestDistance) return;
+
+      const facing =
+        distance < 1e-3
+          ? 1
+          : (dx * this.forward.x + dz * this.forward.z) / distance;
+      if (facing < INTERACT_FACING) return;
+
+      closest = target;
+      closestDistance = distance;
+    });
+
+    if (closest?.label !== this.nearbyTarget?.label) {
+      this.setNearbyTarget(closest);
+    } else {
+      // Targets are rebuilt each frame, keep the latest activate()
+      this.nearbyTarget = closest;
+    }
+  }
+
+  setNearbyTarget(target) {
+    this.nearbyTarget = target;
+    this.prompt.hidden = !target;
+    if (!target) return;
+
+    this.prompt.innerHTML = "";
+    if (!this.isTouch) {
+      const key = document.createElement("kbd");
+      key.textContent = "E";
+      this.prompt.appendChild(key);
+    }
+    this.prompt.append(target.label);
+  }
+
+  // How to look around until the mouse is locked, or the first steps
+  updateHint() {
+    if (!this.isActive) return;
+
+    if (this.isTouch) {
+      this.hint.hidden = this.hasMoved;
+      this.hint.textContent = this.i18n.t("walk.hintTouch");
+    } else {
+      this.hint.hidden = document.pointerLockElement === this.canvas;
+      this.hint.textContent = this.i18n.t("walk.hintMouse");
+    }
+  }
+
+  addStyles() {
+    if (this.stylesAdded) return;
+    this.stylesAdded = true;
+
+    const style = document.createElement("style");
+    style.textContent = `
+      .walk-overlay {
+        position: fixed;
+        inset: 0;
+        z-index: 40;
+        pointer-events: none;
+        font-family: "Rajdhani", sans-serif;
+      }
+
+      .walk-overlay[hidden],
+      .walk-overlay [hidden] {
+        display: none !important;
+      }
+
+      .walk-crosshair {
+        position: absolute;
+        top: 50%;
+        left: 50%;
+        width: 6px;
+        height: 6px;
+        margin: -3px 0 0 -3px;
+        border-radius: 50%;
+        background: #00ffff;
+        box-shadow: 0 0 8px #00ffff;
+      }
+
+      .walk-hint {
+        position: absolute;
+        top: 50%;
+        left: 50%;
+        max-width: calc(100vw - 2rem);
+        margin: 5rem 0 0;
+        padding: 0.6rem 1rem;
+        transform: translateX(-50%);
+        background: rgba(0, 0, 0, 0.8);
+        border: 1px solid rgba(0, 255, 255, 0.4);
+        border-radius: 8px;
+        color: #00ffff;
+        font-size: 1rem;
+        text-align: center;
+      }
+
+      .walk-prompt {
+        position: absolute;
+        top: 50%;
+        left: 50%;
+        display: flex;
+        align-items: center;
+        gap: 0.5rem;
+        margin-top: 2rem;
+        padding: 0.5rem 1rem;
+        transform: translateX(-50%);
+        background: rgba(0, 0, 0, 0.85);
+        border: 1px solid #ff00ff;
+        border-radius: 20px;
+        box-shadow: 0 0 15px rgba(255, 0, 255, 0.5);
+        color: #ff00ff;
+        font-family: inherit;
+        font-size: 1rem;
+        font-weight: 600;
+        letter-spacing: 0.5px;
+        text-transform: uppercase;
+        white-space: nowrap;
+        cursor: pointer;
+        pointer-events: auto;
+      }
+
+      .walk-prompt kbd {
+        padding: 0 0.4rem;
+        border: 1px solid #ff00ff;
+        border-radius: 4px;
+        font-family: 'Orbitron', monospace;
+        font-size: 0.8rem;
+      }
+
+      .walk-joystick {
+        position: absolute;
+        left: 1.5rem;
+        bottom: 6rem;
+        width: 120px;
+        height: 120px;
+        border: 2px solid rgba(0, 255, 255, 0.5);
+        border-radius: 50%;
+        background: rgba(0, 255, 255, 0.08);
+        pointer-events: auto;
+        touch-action: none;
+      }
+
+      .walk-joystick-knob {
+        position: absolute;
+        top: 50%;
+        left: 50%;
+        width: 50px;
+        height: 50px;
+        margin: -25px 0 0 -25px;
+        border-radius: 50%;
+        background: rgba(0, 255, 255, 0.4);
+        box-shadow: 0 0 15px rgba(0, 255, 255, 0.6);
+      }
+    `;
+    document.head.appendChild(style);
+  }
+}
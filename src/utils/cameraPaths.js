@@ -0,0 +1,165 @@
+// Curved camera paths between two poses
+//
+// A straight flight can cut through the desk or a hologram projector, so
+// planCameraPath() adds waypoints around (or over) whatever is in the way
+// and buildCameraCurve() smooths the points into a Catmull-Rom spline.
+// Obstacles are floor footprints with a height, as in
+// CyberpunkOffice.obstacles: { x, z, width, depth, height }.
+
+import * as THREE from "three";
+
+// How far the camera stays from an obstacle
+const CLEARANCE = 1.5;
+
+// Detours within detours, so planning always ends
+const MAX_DEPTH = 3;
+
+// Inside the obstacle's footprint grown by `clearance`, below its top
+const isAt = (point, obstacle, clearance) =>
+  Math.abs(point.x - obstacle.x) <= obstacle.width / 2 + clearance &&
+  Math.abs(point.z - obstacle.z) <= obstacle.depth / 2 + clearance &&
+  point.y < (obstacle.height ?? Infinity) + clearance;
+
+// Where the segment a-b crosses the obstacle's footprint grown by
+// `clearance`, as [enter, exit] fractions of the segment, or null. Only
+// counts if the camera is lower than the obstacle there
+const findCrossing = (a, b, obstacle, clearance) => {
+  const halfWidth = obstacle.width / 2 + clearance;
+  const halfDepth = obstacle.depth / 2 + clearance;
+  let enter = 0;
+  let exit = 1;
+
+  // Slab test on x, then z
+  const slabs = [
+    [a.x, b.x - a.x, obstacle.x - halfWidth, obstacle.x + halfWidth],
+    [a.z, b.z - a.z, obstacle.z - halfDepth, obstacle.z + halfDepth],
+  ];
+  for (const [origin, delta, min, max] of slabs) {
+    if (Math.abs(delta) < 1e-6) {
+      if (origin < min || origin > max) return null;
+      continue;
+    }
+    let t1 = (min - origin) / delta;
+    let t2 = (max - origin) / delta;
+    if (t1 > t2) [t1, t2] = [t2, t1];
+    enter = Math.max(enter, t1);
+    exit = Math.min(exit, t2);
+    if (enter > exit) return null;
+  }
+
+  // The height changes linearly, so its lowest point is at one end
+  const lowest = Math.min(
+    THREE.MathUtils.lerp(a.y, b.y, enter),
+    THREE.MathUtils.lerp(a.y, b.y, exit)
+  );
+  if (lowest >= (obstacle.height ?? Infinity) + clearance) return null;
+
+  return [enter, exit];
+};
+
+// A point beside or above the obstacle, the shortest way that doesn't
+// land in another one. Over the top is the fallback
+const getDetour = (a, b, obstacle, [enter, exit], obstacles, clearance) => {
+  const middle = new THREE.Vector3().lerpVectors(a, b, (enter + exit) / 2);
+  const candidates = [];
+
+  if (obstacle.height !== undefined) {
+    const over = Math.max(obstacle.height + clearance * 2 - middle.y, 0);
+    candidates.push({
+      distance: over,
+      point: middle.clone().setY(middle.y + over),
+    });
+  }
+
+  // Either side: perpendicular to the flight on the floor plane
+  const normal = new THREE.Vector2(-(b.z - a.z), b.x - a.x);
+  if (normal.lengthSq() > 1e-6) {
+    normal.normalize();
+
+    const halfWidth = obstacle.width / 2 + clearance;
+    const halfDepth = obstacle.depth / 2 + clearance;
+    const offsets = [-1, 1].flatMap((sx) =>
+      [-1, 1].map(
+        (sz) =>
+          (obstacle.x + sx * halfWidth - middle.x) * normal.x +
+          (obstacle.z + sz * halfDepth - middle.z) * normal.y
+      )
+    );
+    [Math.max(...offsets) + clearance, Math.min(...offsets) - clearance]
+      .map((side) => ({
+        distance: Math.abs(side),
+        point: new THREE.Vector3(
+          middle.x + normal.x * side,
+          middle.y,
+          middle.z + normal.y * side
+        ),
+      }))
+      .forEach((candidate) => candidates.push(candidate));
+  }
+
+  candidates.sort((first, second) => first.distance - second.distance);
+  const clear = candidates.find(
+    ({ point }) => !obstacles.some((other) => isAt(point, other, clearance))
+  );
+  return (clear || candidates[0]).point;
+};
+
+const planSegment = (a, b, obstacles, clearance, depth) => {
+  if (depth === 0) return [];
+
+  // Deal with the first obstacle on the way, then plan both halves again
+  let first = null;
+  obstacles.forEach((obstacle) => {
+    const crossing = findCrossing(a, b, obstacle, clearance);
+    if (crossing && (!first || crossing[0] < first.crossing[0])) {
+      first = { obstacle, crossing };
+    }
+  });
+  if (!first) return [];
+
+  const detour = getDetour(
+    a,
+    b,
+    first.obstacle,
+    first.crossing,
+    obstacles,
+    clearance
+  );
+  return [
+    ...planSegment(a, detour, obstacles, clearance, depth - 1),
+    detour,
+    ...planSegment(detour, b, obstacles, clearance, depth - 1),
+  ];
+};
+
+// Points from `start` to `end` (Vector3s) that keep clear of the obstacles.
+// Obstacles the flight starts or ends down at don't count, being there is
+// the point (the phone sits on the desk)
+export const planCameraPath = (
+  start,
+  end,
+  obstacles,
+  { clearance = CLEARANCE } = {}
+) => {
+  const inTheWay = obstacles.filter(
+    (obstacle) =>
+      !isAt(start, obstacle, clearance) && !isAt(end, obstacle, clearance)
+  );
+
+  return [
+    start.clone(),
+    ...planSegment(start, end, inTheWay, clearance, MAX_DEPTH),
+    end.clone(),
+  ];
+};
+
+// Smooth curve through the points, or null when the camera doesn't travel.
+// Centripetal Catmull-Rom doesn't overshoot into loops at sharp turns
+export const buildCameraCurve = (points) => {
+  const distinct = points.filter(
+    (point, index) => index === 0 || point.distanceTo(points[index - 1]) > 0.01
+  );
+  if (distinct.length < 2) return null;
+
+  return new THREE.CatmullRomCurve3(distinct, false, "centripetal");
+};
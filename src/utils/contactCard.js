@@ -0,0 +1,160 @@
+// vCard and QR code for the contact details, built in the browser so
+// nothing is sent anywhere
+//
+// The vCard takes the name and headline from `about` and the channels from
+// `contact.contactInfo`: "mailto" entries become EMAIL, tel: links and
+// values that look like a phone number become TEL, other links become URL.
+// A phone number with a chat link (WhatsApp) gets both. Placeholder values
+// such as "+62 xxx-xxx-xxxx" match none and are left out.
+
+import qrcode from "qrcode-generator";
+import { html } from "./html.js";
+import { downloadTextFile, slugify } from "./download.js";
+
+// The library encodes text as Latin-1 by default, vCards are UTF-8
+qrcode.stringToBytes = qrcode.stringToBytesFuncs["UTF-8"];
+
+const PHONE_PATTERN = /^\+?[\d\s().-]{6,}$/;
+
+export const isPhoneNumber = (value) => PHONE_PATTERN.test(value);
+
+// Light border around the code, scanners need at least 4 modules
+const QUIET_ZONE = 4;
+
+// Text values escape backslashes, newlines, commas and semicolons
+const escapeValue = (value) =>
+  String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/\r?\n/g, "\\n")
+    .replace(/[,;]/g, (char) => `\\${char}`);
+
+// Where a contact entry leads: its link, or a mailto: for its value. Copy
+// entries have none
+export const getContactHref = ({ action, value, link }) => {
+  if (action === "mailto") return link || `mailto:${value}`;
+  if (action === "link") return link;
+  return null;
+};
+
+// The address of a "mailto" entry, from its link when it has one
+const getEmailAddress = ({ value, link }) =>
+  link ? link.slice(7).split("?")[0] : value;
+
+// First e-mail address in the contact list, null when there is none
+export const getContactEmail = (contact) => {
+  const item = contact.contactInfo.find(({ action }) => action === "mailto");
+  return item ? getEmailAddress(item) : null;
+};
+
+const getVCardLines = (item) => {
+  const { action, value, link = "" } = item;
+
+  if (action === "mailto") {
+    return [`EMAIL;TYPE=INTERNET:${escapeValue(getEmailAddress(item))}`];
+  }
+  if (link.startsWith("tel:")) {
+    return [`TEL;TYPE=CELL:${escapeValue(link.slice(4))}`];
+  }
+
+  const lines = [];
+  if (isPhoneNumber(value)) {
+    lines.push(`TEL;TYPE=CELL:${escapeValue(value)}`);
+  }
+  if (link) {
+    lines.push(`URL:${link}`);
+  }
+  return lines;
+};
+
+// vCard 3.0, the version phone contact apps read from QR codes
+export const buildVCard = ({ about, contact }) => {
+  const names = about.name.trim().split(/\s+/);
+  const familyName = names.length > 1 ? names[names.length - 1] : "";
+  const givenNames = names.length > 1 ? names.slice(0, -1) : names;
+
+  const lines = [
+    "BEGIN:VCARD",
+    "VERSION:3.0",
+    `FN:${escapeValue(about.name)}`,
+    `N:${escapeValue(familyName)};${escapeValue(givenNames.join(" "))};;;`,
+  ];
+  if (about.headline) {
+    lines.push(`TITLE:${escapeValue(about.headline)}`);
+  }
+
+  contact.contactInfo.forEach((item) => {
+    lines.push(...getVCardLines(item));
+  });
+
+  lines.push("END:VCARD");
+
+  // vCard lines end with CRLF
+  return `${lines.join("\r\n")}\r\n`;
+};
+
+export const downloadVCard = (content) => {
+  downloadTextFile(
+    `${slugify(content.about.name) || "contact"}.vcf`,
+    buildVCard(content),
+    "text/vcard;charset=utf-8"
+  );
+};
+
+const createQrCode = (text) => {
+  const qr = qrcode(0, "M"); // 0 = smallest version that fits
+  qr.addData(text);
+  qr.make();
+  return qr;
+};
+
+// Paint the code into a square on a 2D canvas, quiet zone included
+export const drawQrCode = (
+  context,
+  text,
+  { x = 0, y = 0, size, dark = "#000000", light = "#ffffff" }
+) => {
+  const qr = createQrCode(text);
+  const count = qr.getModuleCount();
+  const cell = size / (count + QUIET_ZONE * 2);
+
+  context.fillStyle = light;
+  context.fillRect(x, y, size, size);
+
+  context.fillStyle = dark;
+  for (let row = 0; row < count; row++) {
+    for (let col = 0; col < count; col++) {
+      if (!qr.isDark(row, col)) continue;
+
+      // Rounded out so neighbouring modules don't leave hairline gaps
+      context.fillRect(
+        Math.floor(x + (col + QUIET_ZONE) * cell),
+        Math.floor(y + (row + QUIET_ZONE) * cell),
+        Math.ceil(cell),
+        Math.ceil(cell)
+      );
+    }
+  }
+};
+
+// The same code as inline SVG markup
+export const renderQrSvg = (text, { label, size = 200 }) => {
+  const qr = createQrCode(text);
+  const count = qr.getModuleCount();
+  const total = count + QUIET_ZONE * 2;
+
+  let path = "";
+  for (let row = 0; row < count; row++) {
+    for (let col = 0; col < count; col++) {
+      if (qr.isDark(row, col)) {
+        path += `M${col + QUIET_ZONE} ${row + QUIET_ZONE}h1v1h-1z`;
+      }
+    }
+  }
+
+  return html`
+    <svg viewBox="0 0 ${total} ${total}" width="${size}" height="${size}" role="img" aria-label="${label}" shape-rendering="crispEdges">
+      <rect width="${total}" height="${total}" fill="#ffffff"></rect>
+      <path d="${path}" fill="#000000"></path>
+    </svg>
+  `;
+};
@@ -0,0 +1,46 @@
+// Rules for messages sent through the contact form
+//
+// Shared by the form in the contact modal and the local mock endpoint
+// (scripts/contact-mock-server.js), so both reject the same messages.
+
+export const CONTACT_FIELDS = {
+  name: { required: true, maxLength: 100 },
+  email: { required: true, maxLength: 254 },
+  message: { required: true, minLength: 10, maxLength: 2000 },
+};
+
+// Deliberately loose, the mail server has the final word
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Trimmed copy of the known fields, anything else is dropped
+export const normalizeContactMessage = (message = {}) => {
+  const normalized = {};
+  Object.keys(CONTACT_FIELDS).forEach((field) => {
+    const value = message[field];
+    normalized[field] = typeof value === "string" ? value.trim() : "";
+  });
+  return normalized;
+};
+
+// Returns { field: { code, limit } } for every invalid field, empty when
+// the message can be sent. Codes: "required", "invalid", "tooShort",
+// "tooLong"
+export const validateContactMessage = (message) => {
+  const errors = {};
+
+  Object.entries(CONTACT_FIELDS).forEach(([field, rules]) => {
+    const value = message[field] || "";
+
+    if (!value) {
+      if (rules.required) errors[field] = { code: "required" };
+    } else if (rules.minLength && value.length < rules.minLength) {
+      errors[field] = { code: "tooShort", limit: rules.minLength };
+    } else if (rules.maxLength && value.length > rules.maxLength) {
+      errors[field] = { code: "tooLong", limit: rules.maxLength };
+    } else if (field === "email" && !EMAIL_PATTERN.test(value)) {
+      errors[field] = { code: "invalid" };
+    }
+  });
+
+  return errors;
+};
@@ -0,0 +1,58 @@
+// Ways to deliver a contact form message
+//
+// A transport is an object with a `type` and an async `send(message)` that
+// resolves once the message is on its way and rejects when it isn't.
+// `message` is { name, email, message }, already validated.
+//
+//   createHttpTransport({ endpoint })   - POSTs the message as JSON
+//   createMailtoTransport({ address })  - opens the visitor's mail app with
+//                                         the message filled in
+//
+// main plugs in the HTTP transport when VITE_CONTACT_ENDPOINT is set,
+// otherwise the form falls back to mailto:.
+
+export const createHttpTransport = ({ endpoint, timeout = 10000 }) => ({
+  type: "http",
+
+  async send(message) {
+    // Give up on endpoints that never answer
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+
+    try {
+      const response = await fetch(endpoint, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Accept: "application/json",
+        },
+        body: JSON.stringify(message),
+        signal: controller.signal,
+      });
+
+      if (!response.ok) {
+        throw new Error(`Contact endpoint answered ${response.status}`);
+      }
+    } finally {
+      clearTimeout(timer);
+    }
+  },
+});
+
+export const buildMailtoUrl = (address, { name, email, message }, subject) => {
+  const body = `${message}\n\n${name} <${email}>`;
+  const params = [`subject=${encodeURIComponent(subject)}`];
+  params.push(`body=${encodeURIComponent(body)}`);
+
+  return `mailto:${address}?${params.join("&")}`;
+};
+
+// Nothing is sent from the page itself, so "sent" only means the mail app
+// was asked to open
+export const createMailtoTransport = ({ address, subject = "" }) => ({
+  type: "mailto",
+
+  async send(message) {
+    window.location.href = buildMailtoUrl(address, message, subject);
+  },
+});
@@ -0,0 +1,67 @@
+// Helpers shared by I18nManager (browser) and ContentValidator (browser and
+// Node), so keep them free of DOM access
+
+export const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+// Deep-merge locale overrides onto the base content. Arrays are merged item
+// by item in the same order, so an override only lists what it translates
+export const mergeContent = (base, override) => {
+  if (override === undefined || override === null) return base;
+
+  if (Array.isArray(base) && Array.isArray(override)) {
+    return base.map((item, index) => mergeContent(item, override[index]));
+  }
+
+  if (isPlainObject(base) && isPlainObject(override)) {
+    const merged = { ...base };
+    Object.keys(override).forEach((key) => {
+      merged[key] = mergeContent(base[key], override[key]);
+    });
+    return merged;
+  }
+
+  return override;
+};
+
+// Locale bundles with extra content overrides applied per section, e.g. the
+// translations that came with runtime-loaded content
+export const applyLocaleContent = (locales, localeContent = {}) => {
+  const result = { ...locales };
+
+  Object.entries(localeContent).forEach(([code, sections]) => {
+    if (!result[code]) return;
+    result[code] = {
+      ...result[code],
+      content: { ...(result[code].content || {}), ...sections },
+    };
+  });
+
+  return result;
+};
+
+// Turn a Markdown file into the plain text the modals show (they keep line
+// breaks). Only the common bits are handled: headings, lists, emphasis,
+// inline code and links
+export const markdownToText = (markdown) =>
+  markdown
+    .replace(/\r\n?/g, "\n")
+    .split("\n")
+    .map((line) =>
+      line
+        .replace(/^\s{0,3}#{1,6}\s+/, "")
+        .replace(/^(\s*)[-*+]\s+/, "$1• ")
+        .replace(/\[([^\]]+)\]\([^)]*\)/g, "$1")
+        .replace(/(\*\*|__)(.+?)\1/g, "$2")
+        .replace(/(^|[^\w*])(\*|_)(\S(?:.*?\S)?)\2(?![\w*])/g, "$1$3")
+        .replace(/`([^`]+)`/g, "$1")
+    )
+    .join("\n")
+    .trim();
+
+// URL sections the router accepts: home plus one per hologram screen. Also
+// used for the sitemap at build time
+export const getRouteSections = (screens) => [
+  "home",
+  ...screens.map(({ section }) => section),
+];
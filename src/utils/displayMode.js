@@ -0,0 +1,36 @@
+// 3D office or 2D page
+//
+// The 2D page is used when the browser has no WebGL, or when the visitor
+// picked it with the "2D Mode" button. That choice is remembered.
+
+const STORAGE_KEY = "portfolio-display-mode";
+
+export const isWebGLAvailable = () => {
+  try {
+    const canvas = document.createElement("canvas");
+    return Boolean(
+      window.WebGLRenderingContext &&
+        (canvas.getContext("webgl2") || canvas.getContext("webgl"))
+    );
+  } catch (error) {
+    return false;
+  }
+};
+
+// "3d" or "2d"
+export const getPreferredMode = () => {
+  try {
+    return localStorage.getItem(STORAGE_KEY) === "2d" ? "2d" : "3d";
+  } catch (error) {
+    // Storage can be blocked (private mode) - default to the office
+    return "3d";
+  }
+};
+
+export const setPreferredMode = (mode) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, mode);
+  } catch (error) {
+    // Not fatal - the choice just won't survive a reload
+  }
+};
@@ -0,0 +1,24 @@
+// Saves text built in the browser (CV Markdown, vCard) as a file
+
+// "Taufik Hidayat Zebua" -> "taufik-hidayat-zebua"
+export const slugify = (value) =>
+  String(value)
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+
+export const downloadTextFile = (fileName, text, type) => {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+
+  // Give the browser a moment to start the download first
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
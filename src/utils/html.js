@@ -0,0 +1,66 @@
+// Escaping template helper for markup that ends up in innerHTML
+//
+//   html`<h2>${content.title}</h2>`      - values are escaped
+//   html`<ul>${items.map((i) => html`<li>${i}</li>`)}</ul>` - nested html
+//                                          and arrays of it are kept as-is
+//   trustedHtml(tutorialMarkup)          - explicit opt-in for rich text we
+//                                          wrote ourselves (never content
+//                                          loaded from files)
+
+const ENTITIES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+  "`": "&#96;",
+};
+
+// Schemes allowed in href/src. Relative URLs have no scheme and are fine
+const SAFE_URL_SCHEMES = ["http", "https", "mailto", "tel"];
+
+class SafeHtml {
+  constructor(markup) {
+    this.markup = markup;
+  }
+
+  toString() {
+    return this.markup;
+  }
+}
+
+export const escapeHtml = (value) =>
+  String(value).replace(/[&<>"'`]/g, (char) => ENTITIES[char]);
+
+export const trustedHtml = (markup) => new SafeHtml(String(markup));
+
+export const isSafeHtml = (value) => value instanceof SafeHtml;
+
+const renderValue = (value) => {
+  if (value === null || value === undefined || value === false) return "";
+  if (value instanceof SafeHtml) return value.markup;
+  if (Array.isArray(value)) return value.map(renderValue).join("");
+  return escapeHtml(value);
+};
+
+export const html = (strings, ...values) =>
+  new SafeHtml(
+    strings.reduce((markup, string, index) => {
+      const value = index < values.length ? renderValue(values[index]) : "";
+      return markup + string + value;
+    }, "")
+  );
+
+// For href/src attributes: escaping alone still lets "javascript:" through.
+// Browsers ignore tabs and newlines inside URLs, so check without them
+export const safeUrl = (url) => {
+  const value = String(url || "").trim();
+  const scheme = value
+    .replace(/[\u0000-\u0020]/g, "")
+    .match(/^([a-z][a-z\d+.-]*):/i);
+
+  if (scheme && !SAFE_URL_SCHEMES.includes(scheme[1].toLowerCase())) {
+    return "#";
+  }
+  return value;
+};
@@ -0,0 +1,144 @@
+// Search engine and link preview data built from the portfolio content
+//
+// The page itself is a single canvas, so this is what crawlers and link
+// previews get to read. Used at build time by scripts/seo-plugin.js, which
+// puts the result into index.html and writes sitemap.xml. Free of DOM
+// access so it runs in Node.
+//
+//   buildStructuredData(content, { siteUrl }) - JSON-LD: the Person and an
+//                                                ItemList of the projects as
+//                                                CreativeWorks
+//   buildMetaTags(content)                     - Open Graph and Twitter tags
+//   buildSitemap(sections, { siteUrl })        - sitemap.xml for the routes
+
+import { getContactEmail } from "./contactCard.js";
+
+const XML_ENTITIES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&apos;",
+};
+
+const escapeXml = (value) =>
+  String(value).replace(/[&<>"']/g, (char) => XML_ENTITIES[char]);
+
+// First paragraph of a longer text, cut at a word for meta descriptions
+export const summarize = (text, maxLength = 200) => {
+  const paragraph = text.trim().split(/\n\s*\n/)[0].replace(/\s+/g, " ");
+  if (paragraph.length <= maxLength) return paragraph;
+
+  const cut = paragraph.slice(0, maxLength - 1);
+  return `${cut.slice(0, cut.lastIndexOf(" "))}…`;
+};
+
+// "https://example.com/app" -> "https://example.com/app/"
+const withTrailingSlash = (url) => (url.endsWith("/") ? url : `${url}/`);
+
+// Profile links such as GitHub or LinkedIn, not chat links or the site
+const getProfileLinks = (contact, siteUrl) =>
+  contact.contactInfo
+    .filter(({ action, link }) => action === "link" && /^https?:/.test(link))
+    .map(({ link }) => link)
+    .filter(
+      (link) =>
+        !link.startsWith("https://wa.me/") &&
+        withTrailingSlash(link) !== withTrailingSlash(siteUrl)
+    );
+
+export const buildStructuredData = (
+  { about, projects, contact },
+  { siteUrl }
+) => {
+  const personId = `${withTrailingSlash(siteUrl)}#person`;
+  const email = getContactEmail(contact);
+
+  const person = {
+    "@type": "Person",
+    "@id": personId,
+    name: about.name,
+    url: siteUrl,
+    description: summarize(about.description),
+    knowsAbout: about.technologies,
+    homeLocation: { "@type": "Place", name: about.location },
+    sameAs: getProfileLinks(contact, siteUrl),
+  };
+  if (about.headline) person.jobTitle = about.headline;
+  if (email) person.email = `mailto:${email}`;
+
+  const projectList = {
+    "@type": "ItemList",
+    name: projects.title,
+    itemListElement: projects.projectList.map((project, index) => {
+      const work = {
+        "@type": "CreativeWork",
+        name: project.name,
+        description: project.description,
+        dateCreated: project.year,
+        creativeWorkStatus: project.status,
+        keywords: project.technologies.join(", "),
+        creator: { "@id": personId },
+      };
+      if (project.liveUrl || project.repoUrl) {
+        work.url = project.liveUrl || project.repoUrl;
+      }
+      if (project.liveUrl && project.repoUrl) {
+        work.sameAs = project.repoUrl;
+      }
+
+      return { "@type": "ListItem", position: index + 1, item: work };
+    }),
+  };
+
+  return {
+    "@context": "https://schema.org",
+    "@graph": [person, projectList],
+  };
+};
+
+// [{ property | name, content }], Open Graph uses `property`, Twitter `name`.
+// No og:url: the same tags serve every section route
+export const buildMetaTags = ({ about }) => {
+  const title = about.headline
+    ? `${about.name} - ${about.headline}`
+    : about.name;
+  const description = summarize(about.description);
+
+  return [
+    { property: "og:type", content: "profile" },
+    { property: "og:site_name", content: about.name },
+    { property: "og:title", content: title },
+    { property: "og:description", content: description },
+    { property: "og:locale", content: "en_US" },
+    { property: "og:locale:alternate", content: "id_ID" },
+    { name: "twitter:card", content: "summary" },
+    { name: "twitter:title", content: title },
+    { name: "twitter:description", content: description },
+  ];
+};
+
+// One entry per deep-linkable section, "home" is the site root
+export const buildSitemap = (sections, { siteUrl, lastModified }) => {
+  const base = withTrailingSlash(siteUrl);
+  const urls = sections.map((section) => {
+    const loc = section === "home" ? base : `${base}${section}`;
+    return [
+      "  <url>",
+      `    <loc>${escapeXml(loc)}</loc>`,
+      lastModified ? `    <lastmod>${lastModified}</lastmod>` : null,
+      `    <priority>${section === "home" ? "1.0" : "0.8"}</priority>`,
+      "  </url>",
+    ]
+      .filter(Boolean)
+      .join("\n");
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...urls,
+    "</urlset>",
+    "",
+  ].join("\n");
+};
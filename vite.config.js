@@ -1,22 +1,31 @@
-import { defineConfig } from "vite";
+import { defineConfig, loadEnv } from "vite";
+import seoPlugin from "./scripts/seo-plugin.js";
 
-export default defineConfig({
-  root: ".",
-  publicDir: "assets",
-  server: {
-    port: 3000,
-    open: true,
-  },
-  build: {
-    outDir: "dist",
-    sourcemap: true,
-    rollupOptions: {
-      input: {
-        main: "index.html",
+export default defineConfig(({ mode }) => {
+  // Where the site is deployed, for the structured data URLs and the
+  // sitemap. Set SITE_URL (environment or .env) when deploying elsewhere
+  const env = loadEnv(mode, process.cwd(), "");
+  const siteUrl = env.SITE_URL || "https://taufikhizet.github.io/";
+
+  return {
+    root: ".",
+    publicDir: "assets",
+    plugins: [seoPlugin({ siteUrl })],
+    server: {
+      port: 3000,
+      open: true,
+    },
+    build: {
+      outDir: "dist",
+      sourcemap: true,
+      rollupOptions: {
+        input: {
+          main: "index.html",
+        },
       },
     },
-  },
-  optimizeDeps: {
-    include: ["three", "gsap"],
-  },
+    optimizeDeps: {
+      include: ["three", "gsap"],
+    },
+  };
 });